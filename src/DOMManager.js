@@ -24,6 +24,27 @@ function _sanitizeHTML(html) {
   return sanitized;
 }
 
+/**
+ * Format a byte count for display (e.g. "1.5 MB")
+ * @private
+ */
+function formatFileSize(bytes) {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(k)));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+/**
+ * "2048×2048 · BC7 · sRGB · 5.33 MB" line of the texture browser
+ * @private
+ */
+function formatTextureInfo(texture, t) {
+  if (!texture.loaded) return t('texture_not_decoded');
+  return `${texture.width}×${texture.height} · ${texture.format} · ${texture.colorSpace} · ${formatFileSize(texture.bytes)}`;
+}
+
 /**
  * DOM Manager class
  */
@@ -97,6 +118,49 @@ class DOMManager {
       'meter': '#meter',
       'progressTitle': '#progress-title',
       'progressSub': '#progress-sub',
+      'loadQueue': '#load-queue',
+      'loadCancelAll': '#load-cancel-all',
+      'fileInput': '#file-input',
+      'recentList': '#recent-list',
+      'recentClear': '#recent-clear',
+      'recentUsage': '#recent-usage',
+      'diagList': '#diag-list',
+      'diagEmpty': '#diag-empty',
+      'diagExport': '#diag-export',
+      'diagClear': '#diag-clear',
+      'remapTextures': '#remap-textures',
+      'remapDialog': '#remap-dialog',
+      'remapHint': '#remap-hint',
+      'remapList': '#remap-list',
+      'remapSaveRules': '#remap-save-rules',
+      'remapRules': '#remap-rules',
+      'remapApply': '#remap-apply',
+      'remapClose': '#remap-close',
+      'textureList': '#texture-list',
+      'textureEmpty': '#texture-empty',
+      'textureSlots': '#texture-slots',
+      'textureSlotsHint': '#texture-slots-hint',
+      'textureDialog': '#texture-dialog',
+      'textureDialogTitle': '#texture-dialog-title',
+      'textureDialogInfo': '#texture-dialog-info',
+      'textureChannels': '#texture-channels',
+      'textureUVToggle': '#texture-uv-toggle',
+      'texturePreviewCanvas': '#texture-preview-canvas',
+      'textureUVCanvas': '#texture-uv-canvas',
+      'textureUsages': '#texture-usages',
+      'textureDialogClose': '#texture-dialog-close',
+      'presetName': '#preset-name',
+      'presetSave': '#preset-save',
+      'presetList': '#preset-list',
+      'presetEmpty': '#preset-empty',
+      'presetPattern': '#preset-pattern',
+      'presetApplyPattern': '#preset-apply-pattern',
+      'presetImportFile': '#preset-import-file',
+      'presetExport': '#preset-export',
+      'variantSelect': '#variant-select',
+      'variantName': '#variant-name',
+      'variantCapture': '#variant-capture',
+      'variantRemove': '#variant-remove',
       'toast': '#toast',
       'tree': '#tree',
       'sceneInspector': '#scene-inspector',
@@ -884,6 +948,367 @@ class DOMManager {
     }
   }
 
+  /**
+   * Render the load queue list in the overlay (one row per file with status and cancel button)
+   * @param {Array<{id: number, name: string, status: string, progress: number, error: string|null}>} items
+   */
+  renderLoadQueue(items) {
+    const list = this.get('loadQueue');
+    const cancelAll = this.get('loadCancelAll');
+    if (!list) return;
+
+    const finished = ['done', 'failed', 'cancelled'];
+    list.replaceChildren(...items.map(item => {
+      const row = this.create('li', { class: `load-queue-item status-${item.status}` });
+      const name = this.create('span', { class: 'load-queue-name' });
+      const status = this.create('span', { class: 'load-queue-status' });
+      this.setText(name, item.name);
+      const progress = item.status === 'loading' && item.progress > 0 ? ` ${Math.round(item.progress * 100)}%` : '';
+      this.setText(status, this.t(`load_status_${item.status}`) + progress);
+      if (item.error) status.title = item.error;
+      row.append(name, status);
+
+      if (!finished.includes(item.status)) {
+        const cancel = this.create('button', { class: 'load-queue-cancel', attrs: { 'data-cancel-id': item.id, title: this.t('btnCancel') } });
+        this.setText(cancel, '✕');
+        row.append(cancel);
+      }
+      return row;
+    }));
+
+    if (cancelAll) {
+      cancelAll.hidden = items.filter(item => !finished.includes(item.status)).length < 2;
+    }
+  }
+
+  /**
+   * Render the Recent panel: one row per stored file set with its thumbnail, size and a remove button
+   * @param {{entries: Array<{id: string, name: string, size: number, fileCount: number, thumbnail: string|null, openedAt: number}>, usedBytes: number, maxBytes: number}} data
+   */
+  renderRecentFiles({ entries = [], usedBytes = 0, maxBytes = 0 } = {}) {
+    const list = this.get('recentList');
+    const usage = this.get('recentUsage');
+    const clear = this.get('recentClear');
+    if (!list) return;
+
+    list.replaceChildren(...entries.map(entry => {
+      const row = this.create('li', { class: 'recent-item', attrs: { 'data-recent-id': entry.id, title: this.t('recent_open') } });
+      const thumb = entry.thumbnail
+        ? this.create('img', { class: 'recent-thumb', attrs: { src: entry.thumbnail, alt: '' } })
+        : this.create('span', { class: 'recent-thumb recent-thumb-empty', html: '<i class="fas fa-cube"></i>' });
+      const info = this.create('span', { class: 'recent-info' });
+      const name = this.create('span', { class: 'recent-name' });
+      const meta = this.create('span', { class: 'recent-meta small' });
+      this.setText(name, entry.name);
+      const files = entry.fileCount > 1 ? ` · ${this.t('recent_files_count', { count: entry.fileCount })}` : '';
+      this.setText(meta, `${formatFileSize(entry.size)}${files} · ${new Date(entry.openedAt).toLocaleDateString()}`);
+      info.append(name, meta);
+
+      const remove = this.create('button', { class: 'recent-remove', attrs: { 'data-remove-id': entry.id, title: this.t('btnRemove') } });
+      this.setText(remove, '✕');
+      row.append(thumb, info, remove);
+      return row;
+    }));
+
+    if (usage) {
+      this.setText(usage, entries.length
+        ? this.t('recent_usage', { used: formatFileSize(usedBytes), max: formatFileSize(maxBytes) })
+        : this.t('recent_empty'));
+    }
+    if (clear) clear.disabled = entries.length === 0;
+  }
+
+  /**
+   * Render load diagnostics reports, newest first. Reports that were expanded stay expanded.
+   * @param {Object[]} reports - Reports collected by AssetLoader (see LoadDiagnostics)
+   */
+  renderLoadDiagnostics(reports = []) {
+    const list = this.get('diagList');
+    const empty = this.get('diagEmpty');
+    if (!list) return;
+
+    const expanded = new Set(Array.from(list.querySelectorAll('details[open]'), el => el.dataset.reportId));
+    const t = this.t;
+
+    const section = (title, items) => {
+      if (!items.length) return null;
+      const block = this.create('div', { class: 'diag-block' });
+      const heading = this.create('div', { class: 'diag-heading small' });
+      this.setText(heading, `${title} (${items.length})`);
+      const ul = this.create('ul', { class: 'diag-items' });
+      items.forEach(text => {
+        const li = this.create('li');
+        this.setText(li, text);
+        ul.append(li);
+      });
+      block.append(heading, ul);
+      return block;
+    };
+
+    list.replaceChildren(...reports.slice().reverse().map(report => {
+      const details = this.create('details', { class: `diag-report status-${report.status}`, attrs: { 'data-report-id': report.id } });
+      if (expanded.has(String(report.id))) details.open = true;
+
+      const summary = this.create('summary');
+      const name = this.create('span', { class: 'diag-name' });
+      const status = this.create('span', { class: 'diag-status' });
+      this.setText(name, report.file);
+      this.setText(status, report.status === 'failed'
+        ? t('diag_status_failed')
+        : report.issueCount ? t('diag_issues', { count: report.issueCount }) : t('diag_status_ok'));
+      summary.append(name, status);
+
+      const body = this.create('div', { class: 'diag-body' });
+      const timings = this.create('div', { class: 'small' });
+      const phases = Object.entries(report.timings).map(([phase, ms]) => `${phase} ${Math.round(ms)}ms`).join(' · ');
+      this.setText(timings, `${(report.format || '').toUpperCase()} · ${formatFileSize(report.size)} · ${t('diag_total')} ${Math.round(report.totalMs)}ms${phases ? ` (${phases})` : ''}`);
+      body.append(timings);
+
+      const { textures, materials, geometry } = report;
+      [
+        report.error ? section(t('diag_error'), [report.error]) : null,
+        section(t('diag_unresolved_textures'), textures.unresolved),
+        section(t('diag_missing_from_zip'), textures.missingFromZIP),
+        section(t('diag_converted_materials'), materials.converted.map(m => {
+          const dropped = [...m.droppedMaps, ...m.droppedProperties];
+          return `${m.name} (${m.type} → ${m.target || 'MeshStandardMaterial'})${dropped.length ? ` — ${t('diag_dropped')}: ${dropped.join(', ')}` : ''}`;
+        })),
+        section(t('diag_degenerate'), geometry.degenerate.map(g => `${g.name}: ${g.triangles}`)),
+        section(t('diag_invalid_bounds'), geometry.invalidBounds.map(g => `${g.name}: ${g.vertices}`)),
+        section(t('diag_empty_geometry'), geometry.empty),
+        section(t('diag_non_indexed'), geometry.nonIndexed.map(g => `${g.name}: ${g.vertices}`)),
+        section(t('diag_warnings'), report.warnings.map(w => `[${w.source}] ${w.message}`))
+      ].filter(Boolean).forEach(block => body.append(block));
+
+      details.append(summary, body);
+      return details;
+    }));
+
+    if (empty) empty.hidden = reports.length > 0;
+    const exportButton = this.get('diagExport');
+    if (exportButton) exportButton.disabled = reports.length === 0;
+  }
+
+  /**
+   * Render the missing textures dialog: one row per unresolved reference with a dropdown
+   * of the loaded ZIP textures, followed by the saved remap rules
+   * @param {Object} state
+   * @param {Array<{path: string, slots: number}>} state.references - Unresolved texture references
+   * @param {string[]} state.textures - Names of the textures available for mapping
+   * @param {Array<{from: string, to: string}>} state.rules - Saved remap rules
+   */
+  renderTextureRemap({ references = [], textures = [], rules = [] } = {}) {
+    const list = this.get('remapList');
+    const rulesList = this.get('remapRules');
+    if (!list) return;
+
+    const t = this.t;
+    this.setText(this.get('remapHint'), !references.length
+      ? t('remap_none')
+      : textures.length ? t('remap_hint') : t('remap_no_textures'));
+
+    list.replaceChildren(...references.map(({ path, slots }) => {
+      const row = this.create('li', { class: 'remap-item', attrs: { 'data-reference': path } });
+      const ref = this.create('span', { class: 'remap-ref', attrs: { title: path } });
+      this.setText(ref, slots > 1 ? `${path} (×${slots})` : path);
+
+      const select = this.create('select', { class: 'field remap-select' });
+      const keep = this.create('option', { attrs: { value: '' } });
+      this.setText(keep, t('remap_keep'));
+      select.append(keep, ...textures.map(name => {
+        const option = this.create('option', { attrs: { value: name } });
+        this.setText(option, name);
+        return option;
+      }));
+      select.disabled = textures.length === 0;
+
+      row.append(ref, select, this.create('div', { class: 'remap-rule small' }));
+      return row;
+    }));
+
+    if (rulesList) {
+      rulesList.replaceChildren(...rules.map((rule, index) => {
+        const row = this.create('li', { class: 'remap-rules-item' });
+        const text = this.create('span');
+        this.setText(text, `${rule.from} → ${rule.to}`);
+        const remove = this.create('button', { class: 'remap-rules-remove', attrs: { 'data-rule-index': index, title: t('btnRemove') } });
+        this.setText(remove, '✕');
+        row.append(text, remove);
+        return row;
+      }));
+    }
+
+    const apply = this.get('remapApply');
+    if (apply) apply.disabled = !references.length || !textures.length;
+  }
+
+  /**
+   * Show or hide the missing textures dialog
+   * @param {boolean} visible
+   */
+  toggleTextureRemap(visible) {
+    const dialog = this.get('remapDialog');
+    if (!dialog) return;
+    if (visible) {
+      this.addClass(dialog, 'show');
+    } else {
+      this.removeClass(dialog, 'show');
+    }
+  }
+
+  /**
+   * Render the texture browser list. Rows can be dragged onto material slots and open
+   * the texture details on click.
+   * @param {Array<Object>} textures - {id, name, width, height, format, colorSpace, bytes, loaded, inArchive, uses, thumbnail}
+   */
+  renderTextureBrowser(textures = []) {
+    const list = this.get('textureList');
+    if (!list) return;
+    const t = this.t;
+
+    list.replaceChildren(...textures.map(texture => {
+      const row = this.create('li', { class: 'texture-item', attrs: { 'data-texture-id': texture.id, draggable: 'true', title: texture.name } });
+      const thumb = this.create('img', { class: 'texture-thumb', attrs: { alt: '', draggable: 'false' } });
+      if (texture.thumbnail) thumb.src = texture.thumbnail;
+
+      const text = this.create('div', { class: 'texture-text' });
+      const name = this.create('span', { class: 'texture-name' });
+      const meta = this.create('span', { class: 'texture-meta' });
+      this.setText(name, texture.name);
+      this.setText(meta, formatTextureInfo(texture, t));
+      text.append(name, meta);
+
+      const uses = this.create('span', { class: 'texture-uses' });
+      this.setText(uses, texture.uses ? `×${texture.uses}` : (texture.inArchive ? 'ZIP' : ''));
+      row.append(thumb, text, uses);
+      return row;
+    }));
+
+    const empty = this.get('textureEmpty');
+    if (empty) empty.hidden = textures.length > 0;
+  }
+
+  /**
+   * Render the texture slots of the selected mesh as drop targets
+   * @param {Array<{index: number, name: string, slots: Array<{slot: string, texture: string|null}>}>} materials -
+   *   Materials of the selected mesh; empty when no mesh is selected
+   */
+  renderTextureSlots(materials = []) {
+    const list = this.get('textureSlots');
+    if (!list) return;
+    const t = this.t;
+
+    list.replaceChildren(...materials.flatMap(material => material.slots.map(({ slot, texture }) => {
+      const row = this.create('li', { class: 'texture-slot', attrs: { 'data-material-index': material.index, 'data-slot': slot } });
+      const name = this.create('span', { class: 'texture-slot-name', attrs: { title: material.name } });
+      const value = this.create('span', { class: 'texture-slot-value', attrs: { title: texture || '' } });
+      this.setText(name, materials.length > 1 ? `${material.name} · ${slot}` : slot);
+      this.setText(value, texture || '—');
+      row.append(name, value);
+      if (texture) {
+        const clear = this.create('button', { class: 'remap-rules-remove', attrs: { 'data-clear-slot': slot, title: t('btnRemove') } });
+        this.setText(clear, '✕');
+        row.append(clear);
+      }
+      return row;
+    })));
+
+    const hint = this.get('textureSlotsHint');
+    if (hint) hint.hidden = materials.length > 0;
+  }
+
+  /**
+   * Fill the texture details dialog (the preview canvases are drawn by the caller)
+   * @param {Object} texture - {name, width, height, format, colorSpace, bytes, loaded}, see describeTexture()
+   * @param {string[]} usages - "mesh · material · slot" lines
+   */
+  renderTextureDetails(texture, usages = []) {
+    this.setText(this.get('textureDialogTitle'), texture.name);
+    this.setText(this.get('textureDialogInfo'), formatTextureInfo(texture, this.t));
+    const list = this.get('textureUsages');
+    if (!list) return;
+    list.replaceChildren(...usages.map(usage => {
+      const li = this.create('li');
+      this.setText(li, usage);
+      return li;
+    }));
+  }
+
+  /**
+   * Render the material library. Rows can be dragged onto meshes in the viewport;
+   * clicking a row selects it for "Apply to matching".
+   * @param {Object[]} presets - {id, name, swatch, thumbnail, textureCount}, see MaterialLibrary.list()
+   * @param {string|null} [activeId] - Selected preset
+   */
+  renderMaterialLibrary(presets = [], activeId = null) {
+    const list = this.get('presetList');
+    if (!list) return;
+    const t = this.t;
+
+    list.replaceChildren(...presets.map(preset => {
+      const row = this.create('li', {
+        class: `preset-item${preset.id === activeId ? ' active' : ''}`,
+        attrs: { 'data-preset-id': preset.id, draggable: 'true', title: preset.name }
+      });
+      const swatch = this.create('span', { class: 'preset-swatch' });
+      swatch.style.backgroundColor = preset.swatch;
+      if (preset.thumbnail) swatch.style.backgroundImage = `url("${preset.thumbnail}")`;
+
+      const text = this.create('div', { class: 'preset-text' });
+      const name = this.create('span', { class: 'preset-name' });
+      const meta = this.create('span', { class: 'preset-meta' });
+      this.setText(name, preset.name);
+      this.setText(meta, t('preset_textures', { count: preset.textureCount }));
+      text.append(name, meta);
+
+      const remove = this.create('button', { class: 'remap-rules-remove', attrs: { 'data-remove-preset': preset.id, title: t('btnRemove') } });
+      this.setText(remove, '✕');
+      row.append(swatch, text, remove);
+      return row;
+    }));
+
+    const empty = this.get('presetEmpty');
+    if (empty) empty.hidden = presets.length > 0;
+    const applyPattern = this.get('presetApplyPattern');
+    if (applyPattern) applyPattern.disabled = !presets.some(preset => preset.id === activeId);
+    const exportButton = this.get('presetExport');
+    if (exportButton) exportButton.disabled = presets.length === 0;
+  }
+
+  /**
+   * Fill the material variant switcher
+   * @param {string[]} names - Variant names of the loaded models
+   * @param {string|null} [active] - Variant shown, null for the default materials
+   */
+  renderMaterialVariants(names = [], active = null) {
+    const select = this.get('variantSelect');
+    if (!select) return;
+    const original = this.create('option', { attrs: { value: '', 'data-i': 'matOriginal' } });
+    this.setText(original, this.t('matOriginal'));
+    select.replaceChildren(original, ...names.map(name => {
+      const option = this.create('option', { attrs: { value: name } });
+      this.setText(option, name);
+      return option;
+    }));
+    select.value = active ?? '';
+    const remove = this.get('variantRemove');
+    if (remove) remove.disabled = !active;
+  }
+
+  /**
+   * Show or hide the texture details dialog
+   * @param {boolean} visible
+   */
+  toggleTextureDialog(visible) {
+    const dialog = this.get('textureDialog');
+    if (!dialog) return;
+    if (visible) {
+      this.addClass(dialog, 'show');
+    } else {
+      this.removeClass(dialog, 'show');
+    }
+  }
+
   /**
    * Resolve element from string or HTMLElement
    * @private
@@ -7,8 +7,14 @@
  */
 import * as THREE from 'three';
 import Logger from './core/Logger.js';
+import { createMaterialEditor } from './MaterialEditor.js';
+import { computeTexelDensity, getUnitScale } from './utils/texelDensity.js';
+import { removeDebugOverlays } from './utils/debugViews.js';
 
-export function initInspector({ sceneManager, onSelect, onFocus, onIsolate, onSceneChange, onModelAdded, getCurrentModel, getLoadedModels, tControls, lighting, eventSystem } = {}) {
+// Meshes of a selected group measured for texel density
+const MAX_TEXEL_DENSITY_ROWS = 50;
+
+export function initInspector({ sceneManager, onSelect, onFocus, onIsolate, onSceneChange, onModelAdded, getCurrentModel, getLoadedModels, tControls, lighting, eventSystem, onExportSelection, getTextures, onAssignTexture, onMaterialChange } = {}) {
   if (!lighting) {
     Logger.error('[Inspector] FATAL: lighting is null');
     return null; // Return null or an empty API object
@@ -503,13 +509,27 @@ export function initInspector({ sceneManager, onSelect, onFocus, onIsolate, onSc
           <hr/>
           <button data-action="isolate">Isolate</button>
           <button data-action="focus">Focus</button>
+          <hr/>
+          <div class="context-submenu">
+              <button class="context-submenu-title">Export selection as…</button>
+              <div class="context-submenu-items">
+                  <button data-action="export-obj">OBJ + MTL</button>
+                  <button data-action="export-stl">STL</button>
+                  <button data-action="export-usdz">USDZ</button>
+              </div>
+          </div>
       `;
+      // The submenu title only opens the submenu, it must not close the menu
+      const isSubmenuTitle = (e) => e.target.closest?.('.context-submenu-title');
       menu.addEventListener('click', (e) => {
+          if (isSubmenuTitle(e)) return;
           const action = e.target.dataset.action;
           if (action) handleContextMenuAction(action);
           hideContextMenu();
       });
-      document.addEventListener('click', hideContextMenu, true);
+      document.addEventListener('click', (e) => {
+          if (!isSubmenuTitle(e)) hideContextMenu();
+      }, true);
       return menu;
   }
 
@@ -523,6 +543,16 @@ export function initInspector({ sceneManager, onSelect, onFocus, onIsolate, onSc
       contextMenu.style.display = 'none';
   }
 
+  // Selected objects without their selected descendants, so nothing is exported twice
+  function getTopLevelSelection() {
+    return selectedObjects.filter(obj => {
+      for (let parent = obj.parent; parent; parent = parent.parent) {
+        if (selectedObjects.includes(parent)) return false;
+      }
+      return true;
+    });
+  }
+
   function handleContextMenuAction(action) {
     if (selectedObjects.length === 0) return;
     const targetObject = selectedObjects[0]; // For single-object actions
@@ -564,6 +594,7 @@ export function initInspector({ sceneManager, onSelect, onFocus, onIsolate, onSc
         if (confirm(`Delete ${selectedObjects.length} object(s)?`)) {
             selectedObjects.forEach(obj => {
                 if(tControls && tControls.object === obj) tControls.detach();
+                removeDebugOverlays(obj);
                 obj.parent.remove(obj);
                 // Basic resource cleanup
                 obj.traverse(child => {
@@ -589,6 +620,11 @@ export function initInspector({ sceneManager, onSelect, onFocus, onIsolate, onSc
       case 'focus':
         if (onFocus) onFocus(targetObject);
         break;
+      case 'export-obj':
+      case 'export-stl':
+      case 'export-usdz':
+        if (onExportSelection) onExportSelection(getTopLevelSelection(), action.replace('export-', ''));
+        break;
       case 'attach':
         if (selectedObjects.length === 2) {
           const objectToAttach = selectedObjects[0];
@@ -749,11 +785,56 @@ export function initInspector({ sceneManager, onSelect, onFocus, onIsolate, onSc
         // Отображаем обычные свойства объекта
         updateObjectPropertiesPanel(panel, obj);
       }
+
+      // Per-material editor for meshes
+      if (obj.material) {
+        panel.appendChild(createMaterialEditor(obj, {
+          getTextures,
+          onAssignTexture,
+          onChange: () => {
+            if (onMaterialChange) onMaterialChange(obj);
+            else if (onSceneChange) onSceneChange();
+          }
+        }));
+      }
+
+      const texelDensity = createTexelDensitySection(obj);
+      if (texelDensity) panel.appendChild(texelDensity);
     } else {
       panel.style.display = 'none';
     }
   }
 
+  /**
+   * Texel density (px/m of the color map) of the selected mesh, or of the meshes under a group
+   */
+  function createTexelDensitySection(obj) {
+    const meshes = [];
+    obj.traverse(child => { if (child.isMesh) meshes.push(child); });
+    if (meshes.length === 0) return null;
+
+    const { metresPerUnit, declared } = getUnitScale(obj);
+    const rows = meshes.slice(0, MAX_TEXEL_DENSITY_ROWS)
+      .map(mesh => ({ mesh, stats: computeTexelDensity(mesh, metresPerUnit) }))
+      .filter(row => row.stats);
+
+    const format = value => Math.round(value).toLocaleString();
+    const section = document.createElement('div');
+    section.className = 'properties-content texel-density';
+    section.innerHTML = `
+      <div class="properties-divider"></div>
+      <div class="properties-header">Texel Density (px/m)</div>
+      ${rows.length === 0 ? '<div>No mesh with a color map and UVs</div>' : rows.map(({ mesh, stats }) => `
+        <div class="texel-density-row">
+          ${meshes.length > 1 ? `<div><strong>${mesh.name || mesh.type}</strong> (${stats.mapSize.width}×${stats.mapSize.height})</div>` : `<div><strong>Map:</strong> ${stats.mapSize.width}×${stats.mapSize.height}</div>`}
+          <div>min ${format(stats.min)} · avg ${format(stats.average)} · max ${format(stats.max)}</div>
+        </div>`).join('')}
+      ${meshes.length > MAX_TEXEL_DENSITY_ROWS ? `<div class="small">First ${MAX_TEXEL_DENSITY_ROWS} of ${meshes.length} meshes</div>` : ''}
+      <div class="small">${declared ? `1 unit = ${metresPerUnit} m (declared by the file)` : '1 unit = 1 m (the file declares no unit scale)'}</div>
+    `;
+    return section;
+  }
+
   function updateObjectPropertiesPanel(panel, obj) {
     let vertexCount = 'N/A';
     let triangleCount = 'N/A';
@@ -806,14 +887,16 @@ export function initInspector({ sceneManager, onSelect, onFocus, onIsolate, onSc
         <div><strong>Loaded:</strong> ${new Date(metadata.loadTime).toLocaleString()}</div>
         <div class="properties-divider"></div>
 
-        <div class="properties-header">FBX Metadata</div>
-        <div><strong>FBX Version:</strong> ${metadata.fbxVersion || 'N/A'}</div>
+        <div class="properties-header">${metadata.format || 'FBX'} Metadata</div>
+        <div><strong>${metadata.format || 'FBX'} Version:</strong> ${metadata.fbxVersion || 'N/A'}</div>
         <div><strong>Software:</strong> ${metadata.software || 'N/A'}</div>
         <div><strong>Creation Time:</strong> ${metadata.creationTime || 'N/A'}</div>
         <div><strong>Units:</strong> ${metadata.units || 'N/A'}</div>
         <div><strong>Coordinate System:</strong> ${metadata.coordinateSystem || 'N/A'}</div>
         <div class="properties-divider"></div>
 
+        ${generateLoadWarningsHTML(metadata.loadWarnings)}
+
         <div class="properties-header">Statistics</div>
         <div><strong>Meshes:</strong> ${stats.meshes || 0}</div>
         <div><strong>Materials:</strong> ${stats.materials || 0}</div>
@@ -832,6 +915,22 @@ export function initInspector({ sceneManager, onSelect, onFocus, onIsolate, onSc
     `;
   }
 
+  function generateLoadWarningsHTML(warnings) {
+    if (!warnings || warnings.length === 0) return '';
+
+    return `
+        <div class="properties-header">Load Warnings (${warnings.length})</div>
+        <ul class="load-warnings">
+          ${warnings.map(warning => `<li>${escapeHTML(warning)}</li>`).join('')}
+        </ul>
+        <div class="properties-divider"></div>
+    `;
+  }
+
+  function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+  }
+
   function formatFileSize(bytes) {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -849,9 +948,10 @@ export function initInspector({ sceneManager, onSelect, onFocus, onIsolate, onSc
     // Search for FBX metadata in the object hierarchy
     let current = object;
     while (current) {
-      if (current.userData && current.userData.fbxMetadata) {
+      const metadata = current.userData?.fbxMetadata || current.userData?.sourceMetadata;
+      if (metadata) {
         // Cache the metadata for future use
-        currentFBXMetadata = current.userData.fbxMetadata;
+        currentFBXMetadata = metadata;
         return currentFBXMetadata;
       }
       current = current.parent;
@@ -890,7 +990,7 @@ export function initInspector({ sceneManager, onSelect, onFocus, onIsolate, onSc
     
     return `
       <div class="properties-divider"></div>
-      <div class="properties-header">FBX Metadata</div>
+      <div class="properties-header">${metadata.format || 'FBX'} Metadata</div>
       <div class="properties-content fbx-metadata">
         <div class="metadata-section">
           <div class="metadata-title">File Information</div>
@@ -900,7 +1000,7 @@ export function initInspector({ sceneManager, onSelect, onFocus, onIsolate, onSc
         </div>
         
         <div class="metadata-section">
-          <div class="metadata-title">FBX Properties</div>
+          <div class="metadata-title">${metadata.format || 'FBX'} Properties</div>
           <div><strong>Creation Time:</strong> ${metadata.creationTime || 'N/A'}</div>
           <div><strong>Software:</strong> ${metadata.software || 'N/A'}</div>
           <div><strong>Version:</strong> ${metadata.version || 'N/A'}</div>
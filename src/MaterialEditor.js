@@ -0,0 +1,182 @@
+/**
+ * Material editor for the Inspector properties panel.
+ * Edits the materials of the selected mesh live: colors, PBR scalars (and the clearcoat, sheen,
+ * transmission, iridescence and specular parameters of physical materials), transparency,
+ * side, normal scale and texture slots. The first edit snapshots the materials
+ * (saveOriginalMaterials() in Materials.js), so "Revert" can bring them back.
+ */
+import * as THREE from 'three';
+import { saveOriginalMaterials, hasOriginalMaterials, revertMaterials } from './Materials.js';
+import { TEXTURE_SLOTS } from './utils/textureUsage.js';
+
+// Color pickers: [property, label]; shown when the material has the property
+const COLOR_FIELDS = [
+  ['color', 'Color'],
+  ['emissive', 'Emissive'],
+  ['specularColor', 'Specular'],
+  ['sheenColor', 'Sheen color'],
+  ['attenuationColor', 'Attenuation']
+];
+
+// Sliders: [property, label, min, max, step]; shown when the material has the property
+const SCALAR_FIELDS = [
+  ['metalness', 'Metalness', 0, 1, 0.01],
+  ['roughness', 'Roughness', 0, 1, 0.01],
+  ['emissiveIntensity', 'Emissive int.', 0, 10, 0.05],
+  ['opacity', 'Opacity', 0, 1, 0.01],
+  ['alphaTest', 'Alpha test', 0, 1, 0.01],
+  ['envMapIntensity', 'Env intensity', 0, 3, 0.01],
+  // MeshPhysicalMaterial (specular intensity goes above 1 for converted Phong materials)
+  ['specularIntensity', 'Specular int.', 0, 2, 0.01],
+  ['ior', 'IOR', 1, 2.333, 0.01],
+  ['clearcoat', 'Clearcoat', 0, 1, 0.01],
+  ['clearcoatRoughness', 'Clearcoat rough.', 0, 1, 0.01],
+  ['sheen', 'Sheen', 0, 1, 0.01],
+  ['sheenRoughness', 'Sheen rough.', 0, 1, 0.01],
+  ['transmission', 'Transmission', 0, 1, 0.01],
+  ['thickness', 'Thickness', 0, 10, 0.05],
+  ['iridescence', 'Iridescence', 0, 1, 0.01],
+  ['iridescenceIOR', 'Iridescence IOR', 1, 2.333, 0.01]
+];
+
+const SIDES = [[THREE.FrontSide, 'Front'], [THREE.BackSide, 'Back'], [THREE.DoubleSide, 'Double']];
+
+// Changing these switches shader defines, so the program has to be rebuilt
+const RECOMPILE_PROPERTIES = ['transparent', 'alphaTest', 'side'];
+
+function element(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function field(label, ...controls) {
+  const row = element('div', 'material-field');
+  row.append(element('label', '', label), ...controls);
+  return row;
+}
+
+/**
+ * Create the material section for a mesh
+ * @param {THREE.Object3D} object - Mesh (or any object with a material)
+ * @param {Object} options
+ * @param {function():Array<{id: string, name: string}>} [options.getTextures] - Textures offered for the slots
+ * @param {function(string|null, number, string)} [options.onAssignTexture] - (texture id or null, material index, slot);
+ *   texture slots are shown only with this callback
+ * @param {function()} [options.onChange] - Called after every edit
+ * @returns {HTMLElement}
+ */
+export function createMaterialEditor(object, options = {}) {
+  const { getTextures = () => [], onAssignTexture = null, onChange = () => {} } = options;
+  const materials = Array.isArray(object.material) ? object.material : [object.material];
+
+  const root = element('div', 'material-editor');
+  const header = element('div', 'properties-header material-editor-header', 'Materials');
+  const revert = element('button', 'btn small-btn', 'Revert');
+  revert.title = 'Restore the materials as they were before the first edit';
+  revert.disabled = !hasOriginalMaterials(object);
+  revert.addEventListener('click', () => {
+    if (!revertMaterials(object)) return;
+    root.replaceWith(createMaterialEditor(object, options));
+    onChange();
+  });
+  header.append(revert);
+  root.append(header);
+
+  const edit = (material, property, apply) => {
+    saveOriginalMaterials(object);
+    apply();
+    if (RECOMPILE_PROPERTIES.includes(property)) material.needsUpdate = true;
+    revert.disabled = false;
+    onChange();
+  };
+
+  const textures = onAssignTexture ? getTextures() : [];
+
+  materials.forEach((material, index) => {
+    if (!material) return;
+    const block = element('div', 'material-block');
+    block.append(element('div', 'material-title', `${material.name || `Material ${index + 1}`} (${material.type})`));
+
+    COLOR_FIELDS.forEach(([property, label]) => {
+      if (!material[property]?.isColor) return;
+      const input = element('input');
+      input.type = 'color';
+      input.value = `#${material[property].getHexString()}`;
+      input.addEventListener('input', () => edit(material, property, () => material[property].set(input.value)));
+      block.append(field(label, input));
+    });
+
+    SCALAR_FIELDS.forEach(([property, label, min, max, step]) => {
+      if (typeof material[property] !== 'number') return;
+      block.append(slider(label, material[property], min, max, step,
+        value => edit(material, property, () => { material[property] = value; })));
+    });
+
+    if (material.normalScale?.isVector2) {
+      // One strength for both axes; the signs (flipped green channel) are kept
+      const signX = Math.sign(material.normalScale.x) || 1;
+      const signY = Math.sign(material.normalScale.y) || 1;
+      block.append(slider('Normal scale', Math.abs(material.normalScale.x), 0, 3, 0.01,
+        value => edit(material, 'normalScale', () => material.normalScale.set(value * signX, value * signY))));
+    }
+
+    const transparent = element('input');
+    transparent.type = 'checkbox';
+    transparent.checked = material.transparent;
+    transparent.addEventListener('change', () => edit(material, 'transparent', () => { material.transparent = transparent.checked; }));
+    block.append(field('Transparent', transparent));
+
+    const side = element('select', 'field');
+    SIDES.forEach(([value, label]) => {
+      const option = element('option', '', label);
+      option.value = value;
+      side.append(option);
+    });
+    side.value = material.side;
+    side.addEventListener('change', () => edit(material, 'side', () => { material.side = Number(side.value); }));
+    block.append(field('Side', side));
+
+    if (onAssignTexture) {
+      TEXTURE_SLOTS.filter(slot => slot in material).forEach(slot => {
+        block.append(field(slot, textureSelect(material[slot], textures,
+          id => onAssignTexture(id, index, slot))));
+      });
+    }
+
+    root.append(block);
+  });
+
+  return root;
+}
+
+function slider(label, value, min, max, step, onInput) {
+  const input = element('input', 'range');
+  Object.assign(input, { type: 'range', min, max, step });
+  input.value = value;
+  const output = element('span', 'material-value', Number(value).toFixed(2));
+  input.addEventListener('input', () => {
+    output.textContent = Number(input.value).toFixed(2);
+    onInput(Number(input.value));
+  });
+  return field(label, input, output);
+}
+
+function textureSelect(current, textures, onSelect) {
+  const select = element('select', 'field');
+  const none = element('option', '', '—');
+  none.value = '';
+  select.append(none);
+  const list = current && !textures.some(texture => texture.id === current.uuid)
+    ? [...textures, { id: current.uuid, name: current.name || current.uuid }]
+    : textures;
+  list.forEach(texture => {
+    const option = element('option', '', texture.name);
+    option.value = texture.id;
+    select.append(option);
+  });
+  select.value = current?.uuid || '';
+  select.addEventListener('change', () => onSelect(select.value || null));
+  return select;
+}
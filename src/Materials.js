@@ -1,12 +1,127 @@
 import * as THREE from 'three';
 import Logger from './core/Logger.js';
+import { getBasename, getTextureReference, matchTexturePath } from './utils/zipTextures.js';
+import { AUTO_PROFILE, matchTextureName, packChannels } from './utils/textureNaming.js';
+import { COLOR_SLOTS, TEXTURE_SLOTS } from './utils/textureUsage.js';
+import { copyTexture } from './utils/lazyTextures.js';
+import { isDebugView, makeDebugMaterial, disposeDebugMaterial, removeDebugOverlay } from './utils/debugViews.js';
 
 // Утилиты для работы с материалами
+// Снимки материалов меша до первой правки в редакторе материалов (для отката)
 const savedOriginal = new WeakMap();
 const savedOverride = new WeakMap();
+// Материал пресета -> число слотов мешей, в которых он стоит (см. applyMaterialPreset)
+const presetUsers = new WeakMap();
+// Снимки материалов на время режима "только освещение"
+const savedLightOnly = new WeakMap();
+
+// Свойства, которые попадают в снимок материала вместе с текстурными слотами
+const SNAPSHOT_PROPERTIES = [
+  'color', 'emissive', 'emissiveIntensity', 'side', 'transparent', 'opacity', 'alphaTest',
+  'depthWrite', 'visible', 'roughness', 'metalness', 'envMapIntensity', 'normalScale',
+  'clearcoat', 'clearcoatRoughness', 'sheen', 'sheenRoughness', 'sheenColor', 'transmission',
+  'thickness', 'attenuationColor', 'ior', 'iridescence', 'iridescenceIOR', 'specularIntensity', 'specularColor'
+];
+
+/**
+ * Снимает значения свойств материала (цвета и векторы копируются, текстуры - по ссылке).
+ * @param {THREE.Material} m - Материал.
+ * @returns {Object} Снимок; ref - сам материал.
+ */
+function snapshotMaterial(m) {
+  const saved = { ref: m };
+  if (!m) return saved;
+  [...SNAPSHOT_PROPERTIES, ...TEXTURE_SLOTS].forEach(key => {
+    if (!(key in m)) return;
+    const value = m[key];
+    saved[key] = value?.clone && !value.isTexture ? value.clone() : value;
+  });
+  return saved;
+}
+
+/**
+ * Возвращает материалу значения из снимка.
+ * @param {THREE.Material} m - Материал.
+ * @param {Object} saved - Снимок из snapshotMaterial().
+ */
+function restoreMaterial(m, saved) {
+  Object.entries(saved).forEach(([key, value]) => {
+    if (key === 'ref' || !(key in m)) return;
+    if (value?.copy && !value.isTexture && m[key]?.copy) {
+      m[key].copy(value);
+    } else {
+      m[key] = value;
+    }
+  });
+  m.needsUpdate = true;
+}
+
+// Свойства, общие для исходных (Phong, Lambert, Toon, Basic) и стандартных материалов;
+// цвета и векторы клонируются, текстуры переносятся по ссылке
+const SHARED_PROPERTIES = [
+  'name', 'color', 'opacity', 'transparent', 'side', 'flatShading', 'alphaTest', 'vertexColors',
+  'map', 'alphaMap', 'aoMap', 'aoMapIntensity', 'lightMap', 'lightMapIntensity',
+  'emissive', 'emissiveMap', 'emissiveIntensity', 'bumpMap', 'bumpScale',
+  'normalMap', 'normalMapType', 'normalScale', 'displacementMap', 'displacementScale', 'displacementBias'
+];
+
+// Возможности MeshPhysicalMaterial: материал с ненулевым значением одной из них остается физическим
+const PHYSICAL_FEATURES = ['clearcoat', 'sheen', 'transmission', 'iridescence'];
+
+// Свойства MeshPhysicalMaterial, переносимые как есть (если исходный материал их задает)
+const PHYSICAL_PROPERTIES = [
+  ...PHYSICAL_FEATURES, 'clearcoatRoughness', 'clearcoatMap', 'clearcoatRoughnessMap', 'clearcoatNormalMap',
+  'clearcoatNormalScale', 'sheenColor', 'sheenColorMap', 'sheenRoughness', 'sheenRoughnessMap',
+  'transmissionMap', 'thickness', 'thicknessMap', 'attenuationColor', 'attenuationDistance', 'ior',
+  'iridescenceMap', 'iridescenceIOR', 'iridescenceThicknessRange', 'iridescenceThicknessMap',
+  'specularIntensity', 'specularIntensityMap', 'specularColor', 'specularColorMap'
+];
+
+// Отражательная способность диэлектрика по умолчанию (F0 при ior = 1.5)
+const DIELECTRIC_F0 = 0.04;
+// Specular Phong - это F0; выше ~0.08 диэлектрик под IBL выглядит как металл, поэтому интенсивность ограничена
+const MAX_PHONG_SPECULAR_INTENSITY = 2;
+
+/**
+ * Тип материала, в который enhanceMaterial() преобразует материал.
+ * @param {THREE.Material} material - Исходный материал.
+ * @returns {string|null} 'MeshPhysicalMaterial' (Phong или физические возможности), 'MeshStandardMaterial'
+ *   или null, если материал уже стандартный (MeshPhysicalMaterial тоже) и не преобразуется.
+ */
+export function getEnhancedMaterialType(material) {
+  if (!material || material instanceof THREE.MeshStandardMaterial) return null;
+  const physical = material.specular?.isColor || PHYSICAL_FEATURES.some(key => material[key] > 0);
+  return physical ? 'MeshPhysicalMaterial' : 'MeshStandardMaterial';
+}
+
+/**
+ * Шероховатость GGX, эквивалентная блеску Blinn-Phong: alpha = sqrt(2 / (shininess + 2)),
+ * а в three.js alpha = roughness^2 (shininess 30 дает 0.5).
+ * @param {number} shininess - Показатель блеска Phong.
+ * @returns {number} Шероховатость 0..1.
+ */
+export function shininessToRoughness(shininess) {
+  return THREE.MathUtils.clamp(Math.pow(2 / (Math.max(shininess, 0) + 2), 0.25), 0, 1);
+}
+
+/**
+ * Переносит specular Phong в specularColor / specularIntensity физического материала.
+ * F0 физического материала = min(0.04 * specularColor, 1) * specularIntensity, поэтому оттенок
+ * specular становится specularColor, а его яркость - интенсивностью.
+ * @param {THREE.Color} specular - Specular Phong (F0).
+ * @param {THREE.MeshPhysicalMaterial} m - Целевой материал.
+ */
+function applyPhongSpecular(specular, m) {
+  const level = Math.max(specular.r, specular.g, specular.b);
+  if (level > 0) m.specularColor.copy(specular).multiplyScalar(1 / level);
+  m.specularIntensity = Math.min(level / DIELECTRIC_F0, MAX_PHONG_SPECULAR_INTENSITY);
+}
 
 /**
  * Улучшает материал, приводя его к MeshStandardMaterial, если он таковым не является.
+ * Phong и материалы с clearcoat / sheen / transmission / iridescence становятся MeshPhysicalMaterial:
+ * specular и shininess преобразуются (см. applyPhongSpecular и shininessToRoughness), общие карты
+ * и параметры переносятся. Стандартные и физические материалы (glTF) не меняются.
  * @param {THREE.Material | THREE.Material[]} material - Исходный материал или массив материалов.
  * @returns {THREE.Material | THREE.Material[]} Улучшенный материал.
  */
@@ -14,20 +129,29 @@ export function enhanceMaterial(material) {
   if (!material) return material;
   if (Array.isArray(material)) return material.map(m => enhanceMaterial(m));
 
+  const type = getEnhancedMaterialType(material);
   // Если материал не является стандартным, создаем новый на его основе
-  if (!(material instanceof THREE.MeshStandardMaterial)) {
-    const m = new THREE.MeshStandardMaterial({
-      name: material.name || '',
-      color: material.color ? material.color.clone() : new THREE.Color(0xcccccc),
-      opacity: material.opacity ?? 1,
-      transparent: !!material.transparent,
-      side: material.side ?? THREE.FrontSide,
-      wireframe: false,
-      flatShading: !!material.flatShading
+  if (type) {
+    const m = type === 'MeshPhysicalMaterial' ? new THREE.MeshPhysicalMaterial() : new THREE.MeshStandardMaterial();
+    m.color.set(0xcccccc);
+    [...SHARED_PROPERTIES, ...(m.isMeshPhysicalMaterial ? PHYSICAL_PROPERTIES : [])].forEach(key => {
+      const value = material[key];
+      if (value === undefined || value === null || !(key in m)) return;
+      if (value.isTexture) m[key] = value;
+      else if (Array.isArray(value)) m[key] = [...value];
+      else if (value.clone && m[key]?.copy) m[key].copy(value);
+      else if (typeof value !== 'object') m[key] = value;
     });
-    if (material.map) { m.map = material.map; if (m.map) m.map.colorSpace = THREE.SRGBColorSpace; }
+    if (m.map) m.map.colorSpace = THREE.SRGBColorSpace;
+    m.wireframe = false;
+
     m.metalness = material.metalness ?? 0.0;
-    m.roughness = material.roughness ?? 0.5;
+    if (material.roughness !== undefined) m.roughness = material.roughness;
+    else if (material.shininess !== undefined) m.roughness = shininessToRoughness(material.shininess);
+    // Lambert и Toon - только диффузное отражение
+    else m.roughness = material.isMeshLambertMaterial || material.isMeshToonMaterial ? 1.0 : 0.5;
+    if (material.specular?.isColor && m.isMeshPhysicalMaterial) applyPhongSpecular(material.specular, m);
+
     material = m;
   } else {
     // Для стандартных материалов просто настраиваем цветовое пространство карты
@@ -69,20 +193,25 @@ export function applyEnvIntensityToMaterial(material, intensity) {
  * Применяет переопределение материала или каркасный режим к объекту и его дочерним элементам.
  * @param {THREE.Object3D} root - Корневой объект.
  * @param {object} options - Опции.
- * @param {string} [options.overrideType='none'] - Тип материала для переопределения.
+ * @param {string} [options.overrideType='none'] - Тип материала для переопределения или отладочный режим ('debug:albedo', см. utils/debugViews.js).
  * @param {boolean} [options.wire=false] - Включить ли каркасный режим.
  * @param {number} [options.envIntensity=1] - Интенсивность окружения.
+ * @param {number} [options.texelDensityTarget] - Целевая плотность текселей (px/m) для режима 'debug:texelDensity'.
  */
 export function applyMaterialOverride(root, options = {}) {
   if (!root) return;
-  const { overrideType = 'none', wire = false, envIntensity = 1 } = options;
-  const overrideMat = makeOverride(overrideType);
+  const { overrideType = 'none', wire = false, envIntensity = 1, texelDensityTarget } = options;
+  const debugOptions = { texelDensityTarget };
+  const debugView = isDebugView(overrideType);
+  const overrideMat = debugView ? null : makeOverride(overrideType);
 
   function _disposeMaterial(mat){
     if (!mat) return;
     const list = Array.isArray(mat) ? mat : [mat];
     list.forEach(m=>{
       if (!m) return;
+      // Отладочные материалы используют текстуры исходного материала
+      if (m.userData.debugView) { disposeDebugMaterial(m); return; }
       ['map','normalMap','metalnessMap','roughnessMap','emissiveMap','aoMap','alphaMap','bumpMap','envMap']
         .forEach(k=>{ if (m[k]?.isTexture) m[k].dispose?.(); });
       m.dispose?.();
@@ -91,18 +220,29 @@ export function applyMaterialOverride(root, options = {}) {
 
   root.traverse(o=>{
     if (!o.isMesh) return;
+    // Оверлеи отладочных режимов (швы UV) создаются заново при каждом переключении
+    removeDebugOverlay(o);
 
-    if (overrideMat){
+    if (overrideMat || debugView){
       if (!savedOverride.has(o)){
         savedOverride.set(o, o.material);
       }
-      const base = overrideMat.clone();
+      const orig = savedOverride.get(o);
+      const previous = o.material;
+      // Отладочный материал строится для каждого меша из его исходного материала
+      const base = !debugView
+        ? overrideMat.clone()
+        : Array.isArray(orig)
+          ? orig.map(m => makeDebugMaterial(overrideType, m, o, debugOptions))
+          : makeDebugMaterial(overrideType, orig, o, debugOptions);
       if (Array.isArray(base)){
         base.forEach(m=>{ if (m) m.wireframe = !!wire; });
       } else if (base) {
         base.wireframe = !!wire;
       }
       o.material = base;
+      // Предыдущее переопределение больше не используется
+      if (previous !== orig) _disposeMaterial(previous);
     } else {
       if (savedOverride.has(o)){
         const orig = savedOverride.get(o);
@@ -143,19 +283,8 @@ export function setLightOnly(root, on) {
     const mats = Array.isArray(o.material) ? o.material : [o.material];
 
     if (on){
-      if (!savedOriginal.has(o)){
-        const snapshot = mats.map(m => ({
-          ref: m, color: m?.color?.clone?.(), emissive: m?.emissive?.clone?.(),
-          emissiveIntensity: m?.emissiveIntensity, map: m?.map || null,
-          emissiveMap: m?.emissiveMap || null, normalMap: m?.normalMap || null,
-          roughnessMap: m?.roughnessMap || null, metalnessMap: m?.metalnessMap || null,
-          aoMap: m?.aoMap || null, bumpMap: m?.bumpMap || null,
-          displacementMap: m?.displacementMap || null, alphaMap: m?.alphaMap || null,
-          side: m?.side, transparent: m?.transparent, opacity: m?.opacity,
-          alphaTest: m?.alphaTest, depthWrite: m?.depthWrite, visible: m?.visible,
-          roughness: m?.roughness, metalness: m?.metalness, envMapIntensity: m?.envMapIntensity
-        }));
-        savedOriginal.set(o, snapshot);
+      if (!savedLightOnly.has(o)){
+        savedLightOnly.set(o, mats.map(snapshotMaterial));
       }
 
       mats.forEach(m=>{
@@ -175,7 +304,7 @@ export function setLightOnly(root, on) {
       });
 
     } else {
-      const snapshot = savedOriginal.get(o);
+      const snapshot = savedLightOnly.get(o);
       if (snapshot){
         const currentMats = mats;
         currentMats.forEach((cm, idx)=>{
@@ -183,26 +312,126 @@ export function setLightOnly(root, on) {
           let saved = snapshot.find(s => s.ref === cm) || snapshot[idx];
           if (!saved) return;
           try {
-            Object.assign(cm, {
-              map: saved.map, emissiveMap: saved.emissiveMap, normalMap: saved.normalMap,
-              roughnessMap: saved.roughnessMap, metalnessMap: saved.metalnessMap, aoMap: saved.aoMap,
-              bumpMap: saved.bumpMap, displacementMap: saved.displacementMap, alphaMap: saved.alphaMap,
-              emissiveIntensity: saved.emissiveIntensity, roughness: saved.roughness, metalness: saved.metalness,
-              side: saved.side, transparent: saved.transparent, opacity: saved.opacity,
-              alphaTest: saved.alphaTest, depthWrite: saved.depthWrite, visible: saved.visible,
-              envMapIntensity: saved.envMapIntensity
-            });
-            saved.color && cm.color?.copy?.(saved.color);
-            saved.emissive && cm.emissive?.copy?.(saved.emissive);
-            cm.needsUpdate = true;
+            restoreMaterial(cm, saved);
           } catch(e){ Logger.error('[Materials] Error updating material color:', e); }
         });
-        savedOriginal.delete(o);
+        savedLightOnly.delete(o);
       }
     }
   });
 }
 
+/**
+ * Запоминает материалы меша перед первой правкой, чтобы revertMaterials() мог их вернуть.
+ * Повторные вызовы снимок не обновляют.
+ * @param {THREE.Object3D} object - Меш.
+ */
+export function saveOriginalMaterials(object) {
+  if (!object?.material || savedOriginal.has(object)) return;
+  const mats = Array.isArray(object.material) ? object.material : [object.material];
+  savedOriginal.set(object, mats.map(snapshotMaterial));
+}
+
+/**
+ * @param {THREE.Object3D} object - Меш.
+ * @returns {boolean} Были ли материалы меша изменены после saveOriginalMaterials().
+ */
+export function hasOriginalMaterials(object) {
+  return savedOriginal.has(object);
+}
+
+/**
+ * Возвращает материалам меша состояние до первой правки.
+ * Слоты, в которые был применен пресет, получают исходный материал обратно;
+ * прочие материалы, замененные после снимка (например, переопределением), не трогаются.
+ * @param {THREE.Object3D} object - Меш.
+ * @returns {boolean} Был ли откат.
+ */
+export function revertMaterials(object) {
+  const snapshot = savedOriginal.get(object);
+  if (!snapshot) return false;
+  const restoreSlot = (m, index) => {
+    if (!m?.userData.materialPreset || !snapshot[index]) return m;
+    _releasePresetMaterial(m);
+    return snapshot[index].ref;
+  };
+  const restoreSlots = (material) => Array.isArray(material) ? material.map(restoreSlot) : restoreSlot(material, 0);
+  if (savedOverride.has(object)) savedOverride.set(object, restoreSlots(savedOverride.get(object)));
+  else object.material = restoreSlots(object.material);
+
+  const mats = Array.isArray(object.material) ? object.material : [object.material];
+  mats.forEach(m => {
+    const saved = m && snapshot.find(s => s.ref === m);
+    if (saved) restoreMaterial(m, saved);
+  });
+  savedOriginal.delete(object);
+  return true;
+}
+
+/**
+ * Собственные материалы меша: под переопределением (applyMaterialOverride) - сохраненные исходные.
+ * @param {THREE.Object3D} object - Меш.
+ * @returns {THREE.Material[]} Материалы по индексам слотов.
+ */
+export function getSourceMaterials(object) {
+  const material = savedOverride.has(object) ? savedOverride.get(object) : object?.material;
+  if (!material) return [];
+  return Array.isArray(material) ? material : [material];
+}
+
+/**
+ * Заменяет собственные материалы меша (варианты материалов, см. utils/materialVariants.js).
+ * Под переопределением заменяются сохраненные исходные материалы, и они появятся при выборе "Original".
+ * @param {THREE.Object3D} object - Меш.
+ * @param {THREE.Material[]} materials - Материалы по индексам слотов.
+ * @returns {boolean} Показаны ли материалы сразу (меш не под переопределением).
+ */
+export function setSourceMaterials(object, materials) {
+  const material = Array.isArray(savedOverride.get(object) ?? object.material) ? materials.slice() : materials[0];
+  if (savedOverride.has(object)) {
+    savedOverride.set(object, material);
+    return false;
+  }
+  object.material = material;
+  return true;
+}
+
+/**
+ * Ставит материал пресета (см. utils/materialPresets.js) в слоты меша.
+ * Под переопределением пресет заменяет сохраненные исходные материалы и появится при выборе "Original".
+ * Исходные материалы запоминаются, и "Revert" в редакторе материалов возвращает их.
+ * @param {THREE.Object3D} object - Меш.
+ * @param {THREE.Material} material - Материал пресета (userData.materialPreset).
+ * @param {number[]} [indices] - Индексы слотов; по умолчанию все.
+ * @returns {boolean} Был ли заменен хотя бы один слот.
+ */
+export function applyMaterialPreset(object, material, indices = null) {
+  const current = getSourceMaterials(object);
+  if (!current.length || !material) return false;
+
+  if (!savedOriginal.has(object)) savedOriginal.set(object, current.map(snapshotMaterial));
+  const slots = current.map((m, index) => {
+    if ((indices && !indices.includes(index)) || m === material) return m;
+    if (m?.userData.materialPreset) _releasePresetMaterial(m);
+    presetUsers.set(material, (presetUsers.get(material) || 0) + 1);
+    return material;
+  });
+  setSourceMaterials(object, slots);
+  return true;
+}
+
+/**
+ * Убирает материал пресета из одного слота; когда слотов не осталось, освобождает его вместе
+ * с текстурами (они принадлежат только этому материалу).
+ * @param {THREE.Material} material - Материал пресета.
+ */
+function _releasePresetMaterial(material) {
+  presetUsers.set(material, (presetUsers.get(material) || 1) - 1);
+  if (presetUsers.get(material) > 0) return;
+  TEXTURE_SLOTS.forEach(slot => { if (material[slot]?.isTexture) material[slot].dispose(); });
+  material.dispose();
+}
+
 /**
  * Освобождает ресурсы материалов и геометрий.
  * @param {THREE.Object3D} root - Корневой объект.
@@ -229,86 +458,101 @@ export function disposeMaterialResources(root) {
 function normalizeMaterialName(materialName) {
   if (!materialName) return '';
   return materialName.toLowerCase()
+    .replace(/^(?:t|m|mi|mat)_/i, '') // Удаляет префиксы Unreal (T_Rock_D -> M_Rock)
     .replace(/(?:_mtl|_mat|_material)$/i, '') // Удаляет популярные суффиксы
     .replace(/[-_\s]+/g, ''); // Удаляет разделители
 }
 
 /**
- * Разбирает имя файла текстуры для извлечения префикса материала и типа карты.
- * Эта версия более надежна и разделяет имя по последнему знаку подчеркивания.
+ * Разбирает имя файла текстуры по профилю именования (см. utils/textureNaming.js).
  * @param {string} filename - Имя файла текстуры.
- * @returns {{materialPrefix: string, mapType: string} | null} Разобранные компоненты или null.
+ * @param {Object} [profile] - Профиль именования; по умолчанию пробуются все встроенные.
+ * @returns {{materialPrefix: string, mapType?: string, channels?: Object} | null}
+ *   mapType для обычных карт, channels для упакованных (ORM, MaskMap); null, если имя не распознано.
  */
-function parseTextureFilename(filename) {
-  if (!filename) return null;
-
-  const baseName = filename.toLowerCase();
-  const pathParts = baseName.split(/[\\/]/);
-  const fileName = pathParts[pathParts.length - 1];
-  
-  const dotIndex = fileName.lastIndexOf('.');
-  const nameNoExt = dotIndex > 0 ? fileName.substring(0, dotIndex) : fileName;
-
-  const lastUnderscoreIndex = nameNoExt.lastIndexOf('_');
-  if (lastUnderscoreIndex === -1) {
-    return null; // Разделитель не найден
-  }
-  
-  const materialPrefix = normalizeMaterialName(nameNoExt.substring(0, lastUnderscoreIndex));
-  let mapTypeSuffix = nameNoExt.substring(lastUnderscoreIndex + 1).replace(/[^a-z0-9]/g, '');
-
-  const mapTypeMap = {
-    'basecolor': 'map', 'basecolour': 'map', 'diffuse': 'map', 'albedo': 'map', 'color': 'map', 'base': 'map',
-    'normal': 'normalMap', 'norm': 'normalMap',
-    'roughness': 'roughnessMap', 'rough': 'roughnessMap',
-    'metallic': 'metalnessMap', 'metal': 'metalnessMap', 'metalic': 'metalnessMap',
-    'ao': 'aoMap', 'ambientocclusion': 'aoMap',
-    'emissive': 'emissiveMap', 'emission': 'emissiveMap', 'emit': 'emissiveMap',
-    'alpha': 'alphaMap', 'transparency': 'alphaMap',
-    'bump': 'bumpMap', 'height': 'bumpMap',
-    'displacement': 'displacementMap'
-  };
-
-  const mapType = mapTypeMap[mapTypeSuffix] || null;
-
-  return { materialPrefix, mapType };
+function parseTextureFilename(filename, profile = AUTO_PROFILE) {
+  const match = matchTextureName(filename, profile);
+  if (!match) return null;
+  return { materialPrefix: normalizeMaterialName(match.material), mapType: match.slot, channels: match.channels };
 }
 
 /**
  * Создает индекс "материал -> текстуры" из карты текстур.
+ * Упакованные карты раскладываются по каналам в aoMap/roughnessMap/metalnessMap;
+ * отдельные карты этих типов имеют приоритет над упакованными.
  * @param {Map<string, THREE.Texture>} textureMap - Карта путей текстур к текстурам.
+ * @param {Object} [profile] - Профиль именования.
  * @returns {Map<string, Map<string, THREE.Texture>>} Карта нормализованных имен материалов к (тип карты -> текстура).
  */
-function buildMaterialTextureIndex(textureMap) {
+function buildMaterialTextureIndex(textureMap, profile) {
   const materialIndex = new Map();
+  // Слоты, заполненные отдельными картами (их не перезаписывают упакованные)
+  const explicit = new Set();
   
   for (const [textureKey, texture] of textureMap) {
     const filename = texture.name || textureKey;
-    const parsed = parseTextureFilename(filename);
-    
-    if (parsed && parsed.materialPrefix && parsed.mapType) {
-      const { materialPrefix, mapType } = parsed;
-      if (!materialIndex.has(materialPrefix)) {
-        materialIndex.set(materialPrefix, new Map());
-      }
-      materialIndex.get(materialPrefix).set(mapType, texture);
+    const parsed = parseTextureFilename(filename, profile);
+    if (!parsed || !parsed.materialPrefix) continue;
+
+    const { materialPrefix, mapType, channels } = parsed;
+    if (!materialIndex.has(materialPrefix)) {
+      materialIndex.set(materialPrefix, new Map());
+    }
+    const materialTextures = materialIndex.get(materialPrefix);
+
+    if (mapType) {
+      materialTextures.set(mapType, texture);
+      explicit.add(`${materialPrefix}/${mapType}`);
+      continue;
     }
+
+    const packed = packChannels(texture, channels);
+    packed?.slots.forEach(slot => {
+      if (!explicit.has(`${materialPrefix}/${slot}`)) {
+        materialTextures.set(slot, packed.texture);
+      }
+    });
   }
   
   return materialIndex;
 }
 
+/**
+ * Ставит текстуру в слот материала: цветовое пространство по типу карты
+ * и скалярные параметры, без которых карта не видна.
+ * @param {THREE.Material} material - Материал.
+ * @param {string} mapType - Слот ('map', 'normalMap', ...).
+ * @param {THREE.Texture|null} texture - Текстура; null очищает слот.
+ */
+export function setMaterialTexture(material, mapType, texture) {
+  if (texture) {
+    texture.colorSpace = COLOR_SLOTS.includes(mapType) ? THREE.SRGBColorSpace : THREE.NoColorSpace;
+    texture.needsUpdate = true;
+  }
+  material[mapType] = texture || null;
+  material.needsUpdate = true;
+  if (!texture) return;
+
+  // Карты умножаются на скалярные параметры материала, иначе они не видны
+  // (после enhanceMaterial() metalness обычно 0, а emissive черный)
+  if (mapType === 'metalnessMap') material.metalness = 1;
+  if (mapType === 'roughnessMap') material.roughness = 1;
+  if (mapType === 'emissiveMap' && material.emissive?.getHex() === 0) material.emissive.set(0xffffff);
+}
+
 /**
  * Применяет текстуры из карты текстур к материалам в 3D-объекте.
  * Эта версия упрощена и полагается исключительно на детерминированный индекс материалов и текстур.
  * @param {THREE.Object3D} rootObject - Корневой объект для обхода.
  * @param {Map<string, THREE.Texture>} textureMap - Карта текстур, загруженных из ZIP.
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Профиль именования текстур (см. utils/textureNaming.js).
  */
-export function applyTexturesFromMap(rootObject, textureMap) {
+export function applyTexturesFromMap(rootObject, textureMap, options = {}) {
   if (!rootObject || !textureMap || textureMap.size === 0) return;
 
-  Logger.log('[Materials] Applying textures from map...');
-  const materialIndex = buildMaterialTextureIndex(textureMap);
+  Logger.log(`[Materials] Applying textures from map (naming: ${options.profile?.label || AUTO_PROFILE.label})...`);
+  const materialIndex = buildMaterialTextureIndex(textureMap, options.profile);
 
   if (materialIndex.size === 0) {
     Logger.warn('[Materials] Texture index is empty. No textures will be applied. Check texture naming.');
@@ -342,24 +586,25 @@ export function applyTexturesFromMap(rootObject, textureMap) {
         }
 
         for (const [mapType, texture] of materialTextures.entries()) {
-          // Настройка свойств текстуры
-          if (mapType === 'map' || mapType === 'emissiveMap') {
-            texture.colorSpace = THREE.SRGBColorSpace;
+          // Например, specularMap есть у Phong, но не у MeshStandardMaterial
+          if (!(mapType in material)) {
+            Logger.log(`[Materials] ${material.type} ${material.name} has no ${mapType}, skipping ${texture.name}`);
+            continue;
           }
-          
+
           // >>> НАЧАЛО ИСПРАВЛЕНИЯ <<<
           // Для FBX моделей часто требуется переворачивать текстуру по оси Y.
-          texture.flipY = true;
+          // Сжатые текстуры (DDS, KTX2) перевернуть при загрузке нельзя, их CPU-копии - тоже не трогаем
+          if (!texture.isCompressedTexture && !texture.userData.fixedOrientation) {
+            texture.flipY = true;
+          }
           // >>> КОНЕЦ ИСПРАВЛЕНИЯ <<<
           
           texture.wrapS = THREE.RepeatWrapping;
           texture.wrapT = THREE.RepeatWrapping;
           
-          texture.needsUpdate = true;
-          
           // Применение текстуры
-          material[mapType] = texture;
-          material.needsUpdate = true;
+          setMaterialTexture(material, mapType, texture);
 
           // Логирование для отладки
           if (!mappingSummary.has(material.name)) {
@@ -384,6 +629,143 @@ export function applyTexturesFromMap(rootObject, textureMap) {
   Logger.log('[Materials] === End Mapping Summary ===');
 }
 
+/**
+ * Собирает текстуры карты, которые нужны модели: те, что applyTexturesFromMap() назначит
+ * по именам материалов (включая исходники упакованных карт), и те, что уже стоят в материалах
+ * (их выдал загрузчику textureResolver). По этому списку ленивая карта декодирует только нужное.
+ * @param {THREE.Object3D} rootObject - Корневой объект.
+ * @param {Map<string, THREE.Texture>} textureMap - Карта текстур из ZIP.
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Профиль именования текстур.
+ * @returns {Set<THREE.Texture>}
+ */
+export function findTexturesForModel(rootObject, textureMap, options = {}) {
+  const textures = new Set();
+  if (!rootObject || !textureMap?.size) return textures;
+
+  const available = new Set(textureMap.values());
+  const materialNames = new Set();
+  rootObject.traverse((object) => {
+    if (!object.isMesh || !object.material) return;
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.filter(Boolean).forEach((material) => {
+      if (material.name) materialNames.add(normalizeMaterialName(material.name));
+      Object.values(material).forEach(value => {
+        // Копии (MTL, подстановка ссылок) декодируются вместе со своей текстурой из карты
+        const texture = value?.isTexture ? (textureMap.getPlaceholder?.(value) || value) : value;
+        if (available.has(texture)) textures.add(texture);
+      });
+    });
+  });
+
+  for (const texture of available) {
+    const parsed = parseTextureFilename(texture.name, options.profile);
+    if (parsed && materialNames.has(parsed.materialPrefix)) textures.add(texture);
+  }
+  return textures;
+}
+
+/**
+ * Обходит слоты материалов, в которых лежит текстура без изображения,
+ * т.е. ссылка модели, которую загрузчик так и не смог загрузить.
+ * @param {THREE.Object3D} root - Корневой объект.
+ * @param {function(THREE.Material, string, THREE.Texture):void} callback - (материал, слот, текстура).
+ */
+function forEachUnresolvedSlot(root, callback) {
+  root.traverse(object => {
+    if (!object.isMesh || !object.material) return;
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.filter(Boolean).forEach(material => {
+      for (const [slot, texture] of Object.entries(material)) {
+        if (texture?.isTexture && !texture.image && getTextureReference(texture)) {
+          callback(material, slot, texture);
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Собирает ссылки на текстуры, которые не загрузились.
+ * @param {THREE.Object3D} root - Корневой объект.
+ * @returns {Map<string, number>} Путь из модели -> число слотов, которые на него ссылаются.
+ */
+export function findUnresolvedTextures(root) {
+  const references = new Map();
+  if (!root) return references;
+  forEachUnresolvedSlot(root, (material, slot, texture) => {
+    const reference = getTextureReference(texture);
+    references.set(reference, (references.get(reference) || 0) + 1);
+  });
+  return references;
+}
+
+/**
+ * Подставляет текстуру во все слоты, где не загрузилась ссылка reference.
+ * Каждая незагруженная текстура заменяется своей копией texture (изображение общее), на которую
+ * переносятся параметры наложения (wrap, repeat, offset, цветовое пространство) от загрузчика.
+ * @param {THREE.Object3D} root - Корневой объект.
+ * @param {string} reference - Путь из модели; сравнивается по имени файла без учета регистра.
+ * @param {THREE.Texture} texture - Текстура для подстановки (например, из ZIP); сама не меняется.
+ * @returns {number} Число замененных слотов.
+ */
+export function replaceTextureReference(root, reference, texture) {
+  if (!root || !reference || !texture?.isTexture) return 0;
+
+  const basename = getBasename(reference).toLowerCase();
+  // Незагруженная текстура -> ее замена
+  const replaced = new Map();
+  let count = 0;
+
+  forEachUnresolvedSlot(root, (material, slot, placeholder) => {
+    if (getBasename(getTextureReference(placeholder)).toLowerCase() !== basename) return;
+
+    if (!replaced.has(placeholder)) {
+      const copy = copyTexture(texture);
+      copy.wrapS = placeholder.wrapS;
+      copy.wrapT = placeholder.wrapT;
+      copy.repeat.copy(placeholder.repeat);
+      copy.offset.copy(placeholder.offset);
+      copy.center.copy(placeholder.center);
+      copy.rotation = placeholder.rotation;
+      copy.colorSpace = placeholder.colorSpace;
+      replaced.set(placeholder, copy);
+    }
+
+    material[slot] = replaced.get(placeholder);
+    material.needsUpdate = true;
+    count++;
+  });
+
+  // Незагруженная текстура может использоваться несколькими материалами, освобождаем ее после замены
+  replaced.forEach((copy, placeholder) => placeholder.dispose());
+  if (count) {
+    Logger.log(`[Materials] ${reference} -> ${texture.name}: ${count} slots`);
+  }
+  return count;
+}
+
+/**
+ * Повторно сопоставляет незагруженные ссылки с картой текстур (с учетом правил переименования),
+ * например, когда ZIP с текстурами применяется уже после загрузки модели.
+ * @param {THREE.Object3D} rootObject - Корневой объект.
+ * @param {Map<string, THREE.Texture>} textureMap - Карта текстур, загруженных из ZIP.
+ * @param {Array<{from: string, to: string}>} [rules] - Правила переименования.
+ * @returns {number} Число замененных слотов.
+ */
+export function resolveTextureReferences(rootObject, textureMap, rules = null) {
+  if (!rootObject || !textureMap?.size) return 0;
+
+  let count = 0;
+  for (const reference of findUnresolvedTextures(rootObject).keys()) {
+    const texture = matchTexturePath(reference, textureMap, rules);
+    if (texture) {
+      count += replaceTextureReference(rootObject, reference, texture);
+    }
+  }
+  return count;
+}
+
 // Экспорт поддерживаемых типов карт для справки
 export const SUPPORTED_MAP_TYPES = [
   'map', 'normalMap', 'metalnessMap', 'roughnessMap',
@@ -393,11 +775,24 @@ export const SUPPORTED_MAP_TYPES = [
 // Группировка экспорта по умолчанию
 export default {
   enhanceMaterial,
+  getEnhancedMaterialType,
+  shininessToRoughness,
   makeOverride,
   applyMaterialOverride,
   applyEnvIntensityToMaterial,
   setLightOnly,
   disposeMaterialResources,
+  saveOriginalMaterials,
+  hasOriginalMaterials,
+  revertMaterials,
+  getSourceMaterials,
+  setSourceMaterials,
+  applyMaterialPreset,
+  setMaterialTexture,
   applyTexturesFromMap,
+  findTexturesForModel,
+  findUnresolvedTextures,
+  replaceTextureReference,
+  resolveTextureReferences,
   SUPPORTED_MAP_TYPES,
 };
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import Logger from './core/Logger.js';
 import ModelGroupManager from './core/ModelGroupManager.js';
+import { removeDebugOverlays } from './utils/debugViews.js';
 
 /**
  * SceneManager
@@ -143,6 +144,8 @@ export class SceneManager {
       }
     }
 
+    // Debug overlays (UV seams) live outside the model and would outlive it
+    removeDebugOverlays(root);
     this.scene.remove(root);
     this.disposeObject(root);
     this.model = null; // Clear model reference
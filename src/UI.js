@@ -1,6 +1,6 @@
 /**
  * Lightweight UI initializer for the refactor.
- * Exposes initUI({ onLoadFile, onApplyHDRI, onResetAll, onFrame, onClearScene, getSettings, setSettings })
+ * Exposes initUI({ onLoadFile, onOpenURL, onApplyHDRI, onResetAll, onFrame, onClearScene, getSettings, setSettings })
  *
  * This module expects the DOM structure in the original index.html (elements by id).
  * It handles language switching (i18n), theme toggle, basic bindings and settings persistence.
@@ -22,8 +22,10 @@ function saveSettings(s) {
 /**
  * initUI
  * @param {Object} opts
- * @param {(file:File)=>void} opts.onLoadFile
+ * @param {(files:FileList)=>void} opts.onLoadFile - All selected/dropped files; siblings (.bin, images) are resolved together
+ * @param {(url:string)=>Promise<void>} [opts.onOpenURL]
  * @param {(url:string)=>Promise<void>} opts.onApplyHDRI
+ * @param {(format:string, scope:'all'|'selected')=>void} [opts.onExport]
  * @param {()=>void} opts.onResetAll
  * @param {()=>void} opts.onFrame
  * @param {()=>void} opts.onClearScene
@@ -31,7 +33,7 @@ function saveSettings(s) {
  * @param {(s:Object)=>void} [opts.setSettings]
  */
 export function initUI({
-  onLoadFile, onApplyHDRI, onApplyTextures, onResetAll, onFrame, onClearScene, getSettings, setSettings
+  onLoadFile, onOpenURL, onApplyHDRI, onApplyTextures, onExport, onResetAll, onFrame, onClearScene, getSettings, setSettings
 } = {}) {
   // Enable runtime diagnostics for i18n key usage tracking
   enableDiagnostics(false);
@@ -45,8 +47,13 @@ export function initUI({
   const resetAllBtn = d.getElementById('reset-all');
   const applyHdriBtn = d.getElementById('apply-hdri');
   const hdriUrlInput = d.getElementById('hdri-url');
+  const openUrlBtn = d.getElementById('open-url');
+  const modelUrlInput = d.getElementById('model-url');
   const applyTexturesBtn = d.getElementById('apply-textures');
   const textureInput = d.getElementById('texture-input');
+  const exportBtn = d.getElementById('export-scene');
+  const exportFormatSelect = d.getElementById('export-format');
+  const exportScopeSelect = d.getElementById('export-scope');
   const langSelect = d.getElementById('lang');
   const themeToggle = d.getElementById('theme-toggle');
   const themeIcon = d.getElementById('theme-icon');
@@ -62,6 +69,10 @@ export function initUI({
       const key = el.getAttribute('data-i');
       el.textContent = t(key);
     });
+    // Attributes that are not text content (e.g. <optgroup label>)
+    document.querySelectorAll('[data-i-label]').forEach(el => {
+      el.label = t(el.getAttribute('data-i-label'));
+    });
     
     // Update inspector title specifically (in case inspector panel is not visible when applyLang is called)
     const inspectorTitle = d.querySelector('#scene-inspector header strong[data-i="inspector"]');
@@ -138,6 +149,15 @@ export function initUI({
     persistedToast(t('settingsReset'));
   });
 
+  // Open model from URL
+  const openModelURL = () => {
+    if (onOpenURL) onOpenURL(modelUrlInput.value.trim());
+  };
+  openUrlBtn?.addEventListener('click', openModelURL);
+  modelUrlInput?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') openModelURL();
+  });
+
   // HDRI apply
   applyHdriBtn?.addEventListener('click', () => {
     if (onApplyHDRI) onApplyHDRI(hdriUrlInput.value.trim());
@@ -166,6 +186,11 @@ export function initUI({
     }
   });
 
+  // Export
+  exportBtn?.addEventListener('click', () => {
+    if (onExport) onExport(exportFormatSelect?.value || 'glb', exportScopeSelect?.value || 'all');
+  });
+
   // Theme toggle
   themeToggle?.addEventListener('click', () => setTheme(isDark() ? 'light' : 'dark'));
 
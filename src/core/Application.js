@@ -3,6 +3,10 @@ import PolygonSelectionManager from '../polygon_selection.js';
 import Logger from './Logger.js';
 import { EventSystem, EVENTS } from './EventSystem.js';
 import { AssetLoader } from './AssetLoader.js';
+import { LOAD_STATUS, FINISHED_STATUSES, isAbortError } from './LoadQueue.js';
+import { AssetExporter } from './AssetExporter.js';
+import { RecentFiles } from './RecentFiles.js';
+import { MaterialLibrary } from './MaterialLibrary.js';
 import { SceneManager } from '../Scene.js';
 import { RendererManager } from '../Renderer.js';
 import { AnimationManager } from '../Animation.js';
@@ -20,6 +24,30 @@ import * as THREE from 'three';
 import { OrbitControls } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/controls/OrbitControls.js';
 import { InputHandler } from './InputHandler.js';
 import * as BufferGeometryUtils from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/utils/BufferGeometryUtils.js';
+import { createSiblingMap } from '../utils/siblingFiles.js';
+import { downloadBlob } from '../utils/exportFiles.js';
+import { deriveRemapRule, getBasename } from '../utils/zipTextures.js';
+import {
+  findUnresolvedTextures, replaceTextureReference, setMaterialTexture, saveOriginalMaterials,
+  getSourceMaterials, applyMaterialPreset
+} from '../Materials.js';
+import { getNamingProfile, parseNamingMaps, formatNamingMaps } from '../utils/textureNaming.js';
+import {
+  TEXTURE_SLOTS, collectTextures, describeTexture, readTexturePixels, drawTexturePreview, drawUVLayout
+} from '../utils/textureUsage.js';
+import { DEFAULT_TEXEL_DENSITY_TARGET } from '../utils/texelDensity.js';
+import { createPreset, createPresetMaterial, matchesNamePattern } from '../utils/materialPresets.js';
+import { getVariants, selectVariant, captureVariant, removeVariant } from '../utils/materialVariants.js';
+
+// Memory budget for decoded ZIP textures (MB) until the user picks one
+const DEFAULT_TEXTURE_BUDGET_MB = 1024;
+
+// Texture browser: thumbnail and preview size (longest side, px), and the drag data type of its rows
+const TEXTURE_THUMBNAIL_SIZE = 48;
+const TEXTURE_PREVIEW_SIZE = 512;
+const TEXTURE_DRAG_TYPE = 'application/x-texture-id';
+// Drag data type of material library rows
+const PRESET_DRAG_TYPE = 'application/x-material-preset';
 
 export class Application {
   constructor(canvas) {
@@ -52,6 +80,23 @@ export class Application {
     Logger.log('[Application] Initializing AssetLoader...');
     this.assetLoader = new AssetLoader(this.eventSystem, this.stateManager, this.rendererManager);
     Logger.log('[Application] AssetLoader initialized.');
+
+    Logger.log('[Application] Initializing AssetExporter...');
+    this.assetExporter = new AssetExporter(this.eventSystem, this.stateManager);
+    Logger.log('[Application] AssetExporter initialized.');
+
+    // Last dropped models, kept in IndexedDB for the Recent panel
+    this.recentFiles = new RecentFiles(this.eventSystem);
+    // Recent entry of the files currently open, and a texture ZIP applied through "Load textures"
+    this.activeRecentId = null;
+    this.texturePackFile = null;
+    // Texture browser: thumbnail data URLs per texture version, and the texture open in the details dialog
+    this.textureThumbnails = new WeakMap();
+    this.textureDetails = null;
+    // Material presets in IndexedDB, their summaries and the one picked for "Apply to matching"
+    this.materialLibrary = new MaterialLibrary(this.eventSystem);
+    this.materialPresets = [];
+    this.activePresetId = null;
     
     // Initialize managers
     this.sceneManager = null;
@@ -162,16 +207,32 @@ export class Application {
       Logger.log('[Application] Initial empty scene rendered immediately');
     }
     
+    // Assets linked through ?model=&textures=&hdri= replace the default model
+    const startupParams = this.getStartupParams();
+    if (startupParams.textures) {
+      await this.loadTexturesFromURL(startupParams.textures);
+    }
+
     // Load default model if enabled
     const loadDefaultModelEnabled = this.settings.get('loadDefaultModel', true);
     Logger.log(`[Application] Load default model enabled: ${loadDefaultModelEnabled}`);
-    if (loadDefaultModelEnabled) {
+    if (startupParams.model) {
+      Logger.log(`[Application] Loading model from query string: ${startupParams.model}`);
+      await this.handleOpenURL(startupParams.model);
+    } else if (this.settings.get('reopenRecent', false) && await this.openLastRecent()) {
+      Logger.log('[Application] Reopened the last recent files instead of the default model');
+    } else if (loadDefaultModelEnabled) {
       Logger.log('[Application] Calling loadDefaultModel()...');
       await this.loadDefaultModel();
       Logger.log(`[Perf] loadDefaultModel() took: ${(performance.now() - stepStart).toFixed(2)}ms`);
     } else {
       Logger.log('[Application] Skipping loadDefaultModel() - disabled by user');
     }
+    if (startupParams.hdri) {
+      const hdriUrlInput = this.dom?.get('hdri-url');
+      if (hdriUrlInput) hdriUrlInput.value = startupParams.hdri;
+      await this.handleHDRIApply(startupParams.hdri);
+    }
     stepStart = performance.now();
 
     // Start the application
@@ -276,6 +337,9 @@ export class Application {
     Logger.log('[Application] Initializing Settings...');
     this.settings = new Settings();
     Logger.log('[Application] Settings initialized.');
+    this.assetLoader?.setTextureRemapRules(this.settings.get('textureRemapRules', []));
+    this.assetLoader?.setTextureNamingProfile(this.getTextureNamingProfile());
+    this.assetLoader?.setTextureBudget(this.settings.get('textureBudget', DEFAULT_TEXTURE_BUDGET_MB) * 1048576);
     // Ensure gizmo is always disabled on load
     this.settings.set('transform', { enabled: false });
     
@@ -315,8 +379,10 @@ export class Application {
       t: t,
       toast: this.showToast.bind(this),
       onLoadFile: this.handleFileLoad.bind(this),
+      onOpenURL: this.handleOpenURL.bind(this),
       onApplyHDRI: this.handleHDRIApply.bind(this),
       onApplyTextures: this.handleTexturesApply.bind(this),
+      onExport: this.handleExport.bind(this),
       onResetAll: this.resetAll.bind(this),
       onFrame: this.handleFrame.bind(this),
       onClearScene: this.handleClearScene.bind(this),
@@ -348,6 +414,158 @@ export class Application {
     if (this.dom) {
       this.dom.onResize(this.handleResize.bind(this));
     }
+
+    // Cancel buttons of the load queue overlay
+    this.dom?.get('loadQueue')?.addEventListener('click', (e) => {
+      const cancelId = e.target.closest('[data-cancel-id]')?.dataset.cancelId;
+      if (cancelId) this.assetLoader?.loadQueue.cancel(Number(cancelId));
+    });
+    this.dom?.get('loadCancelAll')?.addEventListener('click', () => this.assetLoader?.loadQueue.cancelAll());
+    this.updateFileInputAccept();
+
+    // Recent panel: open or remove an entry, clear the list
+    this.dom?.get('recentList')?.addEventListener('click', (e) => {
+      const removeId = e.target.closest('[data-remove-id]')?.dataset.removeId;
+      if (removeId) {
+        this.recentFiles.remove(removeId);
+        return;
+      }
+      const openId = e.target.closest('[data-recent-id]')?.dataset.recentId;
+      if (openId) this.openRecent(openId);
+    });
+    this.dom?.get('recentClear')?.addEventListener('click', () => this.recentFiles.clear());
+    this.recentFiles.notify();
+
+    // Load report panel
+    this.dom?.get('diagExport')?.addEventListener('click', this.exportLoadDiagnostics);
+    this.dom?.get('diagClear')?.addEventListener('click', () => this.assetLoader?.clearDiagnostics());
+    this.dom?.renderLoadDiagnostics(this.assetLoader?.loadReports || []);
+
+    // Missing textures dialog
+    this.dom?.get('remapTextures')?.addEventListener('click', this.openTextureRemap);
+    this.dom?.get('remapApply')?.addEventListener('click', this.applyTextureRemap);
+    this.dom?.get('remapClose')?.addEventListener('click', () => this.dom?.toggleTextureRemap(false));
+    this.dom?.get('remapDialog')?.addEventListener('click', (e) => {
+      if (e.target === e.currentTarget) this.dom?.toggleTextureRemap(false);
+    });
+    this.dom?.get('remapList')?.addEventListener('change', (e) => {
+      const row = e.target.closest('[data-reference]');
+      const rule = row?.querySelector('.remap-rule');
+      if (!rule) return;
+      const { from, to } = e.target.value ? deriveRemapRule(row.dataset.reference, e.target.value) : {};
+      this.dom.setText(rule, from ? `${t('remap_rule')}: ${from} → ${to}` : '');
+    });
+    this.dom?.get('remapRules')?.addEventListener('click', (e) => {
+      const index = e.target.closest('[data-rule-index]')?.dataset.ruleIndex;
+      if (index === undefined) return;
+      const rules = this.settings.get('textureRemapRules', []).filter((rule, i) => i !== Number(index));
+      this.setTextureRemapRules(rules);
+      this.dom?.renderTextureRemap(this.getTextureRemapState());
+    });
+
+    // Texture browser: open details on click, drag rows onto the slots of the selected mesh
+    this.dom?.query('details[data-sec="textures"]')?.addEventListener('toggle', this.refreshTextureBrowser);
+    this.dom?.get('textureList')?.addEventListener('click', (e) => {
+      const id = e.target.closest('[data-texture-id]')?.dataset.textureId;
+      if (id) this.openTextureDetails(id);
+    });
+    this.dom?.get('textureList')?.addEventListener('dragstart', (e) => {
+      const id = e.target.closest('[data-texture-id]')?.dataset.textureId;
+      if (!id) return;
+      e.dataTransfer.setData(TEXTURE_DRAG_TYPE, id);
+      e.dataTransfer.effectAllowed = 'link';
+    });
+    const textureSlots = this.dom?.get('textureSlots');
+    textureSlots?.addEventListener('dragover', (e) => {
+      const slot = e.target.closest('[data-slot]');
+      if (!slot || !e.dataTransfer.types.includes(TEXTURE_DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'link';
+      slot.classList.add('drag-over');
+    });
+    textureSlots?.addEventListener('dragleave', (e) => {
+      e.target.closest('[data-slot]')?.classList.remove('drag-over');
+    });
+    textureSlots?.addEventListener('drop', (e) => {
+      const slot = e.target.closest('[data-slot]');
+      const id = e.dataTransfer.getData(TEXTURE_DRAG_TYPE);
+      if (!slot || !id) return;
+      e.preventDefault();
+      e.stopPropagation();
+      slot.classList.remove('drag-over');
+      this.assignTextureToSlot(id, Number(slot.dataset.materialIndex), slot.dataset.slot);
+    });
+    textureSlots?.addEventListener('click', (e) => {
+      const slot = e.target.closest('[data-clear-slot]')?.closest('[data-slot]');
+      if (slot) this.assignTextureToSlot(null, Number(slot.dataset.materialIndex), slot.dataset.slot);
+    });
+
+    // Texture details dialog
+    this.dom?.get('textureDialogClose')?.addEventListener('click', this.closeTextureDetails);
+    this.dom?.get('textureDialog')?.addEventListener('click', (e) => {
+      if (e.target === e.currentTarget) this.closeTextureDetails();
+    });
+    this.dom?.get('textureChannels')?.addEventListener('click', (e) => {
+      const channel = e.target.closest('[data-channel]')?.dataset.channel;
+      if (!channel || !this.textureDetails) return;
+      this.textureDetails.channel = channel;
+      this.drawTextureDetails();
+    });
+    this.dom?.get('textureUVToggle')?.addEventListener('change', () => this.drawTextureDetails());
+
+    // Material library: save the selected mesh's materials, pick / remove presets, import and export
+    this.dom?.get('presetSave')?.addEventListener('click', this.saveMaterialPreset);
+    this.dom?.get('presetList')?.addEventListener('click', (e) => {
+      const removeId = e.target.closest('[data-remove-preset]')?.dataset.removePreset;
+      if (removeId) {
+        if (this.activePresetId === removeId) this.activePresetId = null;
+        this.materialLibrary.remove(removeId);
+        return;
+      }
+      const id = e.target.closest('[data-preset-id]')?.dataset.presetId;
+      if (!id) return;
+      this.activePresetId = this.activePresetId === id ? null : id;
+      this.dom.renderMaterialLibrary(this.materialPresets, this.activePresetId);
+    });
+    this.dom?.get('presetList')?.addEventListener('dragstart', (e) => {
+      const id = e.target.closest('[data-preset-id]')?.dataset.presetId;
+      if (!id) return;
+      e.dataTransfer.setData(PRESET_DRAG_TYPE, id);
+      e.dataTransfer.effectAllowed = 'copy';
+    });
+    this.dom?.get('presetApplyPattern')?.addEventListener('click', () => {
+      this.applyPresetByPattern(this.activePresetId, this.dom.getValue('presetPattern')).catch(error => {
+        Logger.error('[Application] Failed to apply preset:', error);
+        this.dom?.showToast(t('preset_apply_failed'));
+      });
+    });
+    this.dom?.get('presetExport')?.addEventListener('click', this.exportMaterialLibrary);
+    this.dom?.get('presetImportFile')?.addEventListener('change', (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = '';
+      if (file) this.importMaterialLibrary(file);
+    });
+    // Presets dropped on the viewport go to the material slot under the cursor
+    this.canvas?.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes(PRESET_DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    });
+    this.canvas?.addEventListener('drop', (e) => {
+      const id = e.dataTransfer.getData(PRESET_DRAG_TYPE);
+      if (!id) return;
+      e.preventDefault();
+      this.applyPresetAtPoint(id, e.clientX, e.clientY);
+    });
+    this.materialLibrary.notify();
+    // Material variants: switch, capture the current materials under a name, remove
+    this.dom?.get('variantSelect')?.addEventListener('change', (e) => {
+      this.selectMaterialVariant(e.target.value || null);
+    });
+    this.dom?.get('variantCapture')?.addEventListener('click', this.captureMaterialVariant);
+    this.dom?.get('variantRemove')?.addEventListener('click', () => {
+      this.removeMaterialVariant(this.dom.getValue('variantSelect'));
+    });
     
     // Handle runtime errors
     window.addEventListener('error', (e) => {
@@ -389,6 +607,17 @@ export class Application {
     this.eventSystem.on(EVENTS.OBJECT_SELECTED, this.handleObjectSelected.bind(this));
     this.eventSystem.on(EVENTS.SCENE_CLEARED, this.handleSceneCleared.bind(this));
     this.eventSystem.on(EVENTS.MODEL_LOADED, this.handleModelLoaded.bind(this));
+    this.eventSystem.on(EVENTS.LOAD_QUEUE_UPDATED, this.handleLoadQueueUpdated);
+    this.eventSystem.on(EVENTS.FORMAT_REGISTERED, this.updateFileInputAccept);
+    this.eventSystem.on(EVENTS.RECENT_FILES_CHANGED, (data) => this.dom?.renderRecentFiles(data));
+    this.eventSystem.on(EVENTS.LOAD_DIAGNOSTICS, () => this.dom?.renderLoadDiagnostics(this.assetLoader.loadReports));
+    this.eventSystem.on(EVENTS.TEXTURES_LOADED, this.refreshTextureBrowser);
+    this.eventSystem.on(EVENTS.TEXTURE_APPLIED, this.refreshTextureBrowser);
+    this.eventSystem.on(EVENTS.ZIP_TEXTURES_CLEARED, this.refreshTextureBrowser);
+    this.eventSystem.on(EVENTS.MATERIAL_LIBRARY_CHANGED, ({ presets }) => {
+      this.materialPresets = presets;
+      this.dom?.renderMaterialLibrary(presets, this.activePresetId);
+    });
     // KEY_PRESS event handling moved to centralized keyboard manager
     this.eventSystem.on(EVENTS.CONTEXT_MENU, this.handleContextMenu.bind(this));
     this.eventSystem.on(EVENTS.SETTINGS_CHANGED, this.handleSettingsChanged.bind(this));
@@ -462,7 +691,11 @@ export class Application {
         },
         onModelAdded: (model) => {
           this.stateManager?.addModel(model);
-        }
+        },
+        onExportSelection: this.handleExportSelection,
+        getTextures: () => this.getTextureEntries(),
+        onAssignTexture: (textureId, materialIndex, slot) => this.assignTextureToSlot(textureId, materialIndex, slot),
+        onMaterialChange: () => this.requestRender('[material-edit]')
       });
     } catch (e) {
       Logger.warn('Inspector init error', e);
@@ -569,6 +802,31 @@ export class Application {
     if (loadDefaultToggle) {
       loadDefaultToggle.checked = this.settings.get('loadDefaultModel', true);
     }
+    const reopenRecentToggle = this.dom?.get('toggle-reopen-recent');
+    if (reopenRecentToggle) {
+      reopenRecentToggle.checked = this.settings.get('reopenRecent', false);
+    }
+
+    // Texture naming profile and the custom profile editor
+    const textureNamingSelect = this.dom?.get('texture-naming');
+    if (textureNamingSelect) {
+      textureNamingSelect.value = this.settings.get('textureNaming', 'auto');
+      const custom = this.settings.get('textureNamingCustom', null);
+      const customEditor = this.dom.get('texture-naming-custom');
+      const patternInput = this.dom.get('texture-naming-pattern');
+      const mapsInput = this.dom.get('texture-naming-maps');
+      if (customEditor) customEditor.hidden = textureNamingSelect.value !== 'custom';
+      if (patternInput) patternInput.value = custom?.pattern || '';
+      if (mapsInput) mapsInput.value = formatNamingMaps(custom?.maps);
+    }
+    const textureBudgetSelect = this.dom?.get('texture-budget');
+    if (textureBudgetSelect) {
+      textureBudgetSelect.value = String(this.settings.get('textureBudget', DEFAULT_TEXTURE_BUDGET_MB));
+    }
+    const texelDensityInput = this.dom?.get('texel-density-target');
+    if (texelDensityInput) {
+      texelDensityInput.value = String(this.settings.get('texelDensityTarget', DEFAULT_TEXEL_DENSITY_TARGET));
+    }
 
     // Initialize lighting UI labels
     const dirIntensityValEl = this.dom.get('dir-intensity-val');
@@ -618,57 +876,817 @@ export class Application {
   }
 
   // Event handlers
-  handleFileLoad = async (files) => {
+  /**
+   * Load dropped or picked files: models, their siblings and ZIP archives.
+   * Sets with at least one loaded model are remembered in the Recent panel.
+   * @param {FileList|File[]} files
+   * @param {Object} [options]
+   * @param {string} [options.recentId] - Recent entry being re-opened (refreshed instead of added)
+   */
+  handleFileLoad = async (files, options = {}) => {
     const fileList = Array.from(files);
     Logger.log(`[Application] onLoadFile received ${fileList.length} files.`);
 
-    // Separate files by type
+    // Separate files by type. Formats are detected by extension and magic bytes, so a binary
+    // FBX saved as .bin still loads; everything else (.mtl, .bin buffers, textures) is a sibling
     const modelFiles = [];
-    const mtlFiles = new Map();
-    const textureFiles = [];
     const zipFiles = [];
 
     for (const file of fileList) {
-      const name = file.name.toLowerCase();
-      if (name.endsWith('.obj') || name.endsWith('.fbx') || name.endsWith('.gltf') || name.endsWith('.glb')) {
-        modelFiles.push(file);
-      } else if (name.endsWith('.mtl')) {
-        mtlFiles.set(file.name, file);
-      } else if (name.endsWith('.zip')) {
+      if (file.name.toLowerCase().endsWith('.zip')) {
         zipFiles.push(file);
-      } else {
-        textureFiles.push(file);
+        continue;
+      }
+      const format = await this.assetLoader?.detectFormat(file);
+      if (format) {
+        modelFiles.push({ file, format });
       }
     }
 
-    // Handle ZIP files first
-    for (const file of zipFiles) {
-      try {
-        this.dom?.showOverlay(t('loading_textures'), file.name);
-        await this.assetLoader?.loadTexturesFromZIP(file, (p) => this.dom?.setProgress(p));
-        this.dom?.hideOverlay();
+    // Files dropped together are siblings of each other: a .gltf finds its .bin and images,
+    // an .obj its mtllib and textures, served through the loader's LoadingManager URL modifier
+    const droppedSiblings = fileList.length > 1 ? createSiblingMap(fileList) : null;
+
+    // Everything is queued up front so the loading overlay lists every file. ZIPs come first,
+    // so their textures are registered before the dropped models resolve theirs
+    const modelLoads = [];
+    const queueModel = (file, siblings, format) => {
+      modelLoads.push(this.loadModel(file, { siblings, format }).catch(err => {
+        if (!isAbortError(err)) {
+          this.dom?.showToast(t('loading_error', { message: err.message || err }));
+        }
+      }));
+    };
+
+    const zipLoads = zipFiles.map(file => this.assetLoader.queueZIP(file).then(archive => {
+      // Models packed in ZIP archives are loaded together with their archive siblings
+      if (archive?.modelFiles.length) {
+        archive.modelFiles.forEach(modelFile => queueModel(modelFile, archive.siblings));
+        this.dom?.showToast(t('zip_models_found', { count: archive.modelFiles.length }));
+      } else {
         this.dom?.showToast(t('textures_loaded_from_zip'));
-      } catch (err) {
-        this.dom?.hideOverlay();
+      }
+    }, err => {
+      if (!isAbortError(err)) {
         this.dom?.showToast(t('zip_load_error', { message: err.message || err }));
       }
+    }));
+
+    modelFiles.forEach(({ file, format }) => queueModel(file, droppedSiblings, format));
+
+    await Promise.all(zipLoads);
+    const models = (await Promise.all(modelLoads)).filter(Boolean);
+    if (models.length) {
+      // The models are loaded; not being listed in Recent is no load error
+      await this.rememberRecentFiles(fileList, options.recentId).catch(error => {
+        Logger.warn('[Application] Failed to remember recent files:', error);
+      });
+    }
+  };
+
+  /**
+   * Store a loaded file set in the Recent panel with a thumbnail of the viewport.
+   * A texture ZIP loaded through "Load textures" is kept with it.
+   * @param {File[]} files - The dropped files
+   * @param {string} [recentId] - Entry being re-opened
+   */
+  rememberRecentFiles = async (files, recentId) => {
+    if (!this.recentFiles.isSupported()) return;
+
+    // handleModelLoaded frames the model asynchronously; let it settle before the snapshot
+    await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    const thumbnail = this.captureThumbnail();
+
+    if (recentId) {
+      this.activeRecentId = recentId;
+      await this.recentFiles.touch(recentId, { thumbnail });
+      return;
     }
 
-    // Handle model files
-    for (const file of modelFiles) {
+    const packFile = this.texturePackFile;
+    const stored = packFile && !files.includes(packFile) ? [...files, packFile] : files;
+    const modelFile = files.find(file => this.assetLoader.isModelFile(file.name));
+    const entry = await this.recentFiles.add(stored, { name: (modelFile || files[0]).name, thumbnail });
+    this.activeRecentId = entry?.id || null;
+    if (!entry) {
+      this.dom?.showToast(t('recent_not_saved'));
+    }
+  };
+
+  /**
+   * Re-open files stored in the Recent panel
+   * @param {string} id - Recent entry id
+   * @returns {Promise<boolean>} True if the entry was found
+   */
+  openRecent = async (id) => {
+    let entry = null;
+    try {
+      entry = await this.recentFiles.get(id);
+    } catch (error) {
+      Logger.warn('[Application] Failed to read recent entry:', error);
+    }
+    if (!entry?.files?.length) {
+      this.dom?.showToast(t('recent_open_error'));
+      return false;
+    }
+
+    Logger.log(`[Application] Re-opening recent files: ${entry.name}`);
+    await this.handleFileLoad(entry.files, { recentId: id });
+    return true;
+  };
+
+  /**
+   * Re-open the most recently opened entry (startup option "Reopen last files")
+   * @returns {Promise<boolean>} True if there was an entry to open
+   */
+  openLastRecent = async () => {
+    if (!this.recentFiles.isSupported()) return false;
+    const [last] = await this.recentFiles.list();
+    return last ? this.openRecent(last.id) : false;
+  };
+
+  /**
+   * Snapshot the viewport into a small thumbnail
+   * @param {number} [width=160]
+   * @param {number} [height=120]
+   * @returns {string|null} WebP (or PNG) data URL
+   */
+  captureThumbnail(width = 160, height = 120) {
+    const scene = this._ensureSceneAvailable();
+    const source = this.rendererManager?.renderer?.domElement;
+    if (!scene || !source?.width || !source?.height) return null;
+
+    try {
+      // The drawing buffer is not preserved between frames, so render right before copying it
+      this.rendererManager.render(scene, this.camera);
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      // Crop the center of the viewport to the thumbnail aspect
+      const scale = Math.max(width / source.width, height / source.height);
+      const sw = width / scale;
+      const sh = height / scale;
+      canvas.getContext('2d').drawImage(source, (source.width - sw) / 2, (source.height - sh) / 2, sw, sh, 0, 0, width, height);
+      return canvas.toDataURL('image/webp', 0.8);
+    } catch (error) {
+      Logger.warn('[Application] Failed to capture thumbnail:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Offer the extensions of every registered model format in the file picker,
+   * next to the sibling and archive types listed in index.html
+   */
+  updateFileInputAccept = () => {
+    const input = this.dom?.get('fileInput');
+    if (!input || !this.assetLoader) return;
+
+    const accepted = new Set(input.accept.split(',').filter(Boolean));
+    this.assetLoader.getModelExtensions().forEach(ext => accepted.add(ext));
+    input.accept = Array.from(accepted).join(',');
+  };
+
+  /**
+   * Collect what the missing textures dialog shows: texture references of the loaded models
+   * that failed to load, the ZIP textures they can be mapped to, and the saved rules
+   * @returns {{references: Array<{path: string, slots: number}>, textures: string[], rules: Object[]}}
+   */
+  getTextureRemapState() {
+    const references = new Map();
+    (this.stateManager?.getModels() || []).forEach(model => {
+      findUnresolvedTextures(model).forEach((slots, path) => {
+        references.set(path, (references.get(path) || 0) + slots);
+      });
+    });
+
+    // Loaders without a tagged texture (e.g. FBX parsed on the main thread) only show up in the report
+    const known = new Set(Array.from(references.keys(), path => getBasename(path).toLowerCase()));
+    (this.stateManager?.getModels() || []).forEach(model => {
+      (this.assetLoader?.getDiagnostics(model)?.textures.unresolved || []).forEach(path => {
+        const basename = getBasename(path).toLowerCase();
+        if (known.has(basename)) return;
+        known.add(basename);
+        references.set(path, 0);
+      });
+    });
+
+    // The archive map holds each texture under several keys
+    const zipTextures = this.stateManager?.getAppState().zipTextures || new Map();
+    const textures = Array.from(new Set(zipTextures.values()), texture => texture.name).filter(Boolean).sort();
+
+    return {
+      references: Array.from(references, ([path, slots]) => ({ path, slots })),
+      textures,
+      rules: this.settings.get('textureRemapRules', [])
+    };
+  }
+
+  openTextureRemap = () => {
+    this.dom?.renderTextureRemap(this.getTextureRemapState());
+    this.dom?.toggleTextureRemap(true);
+  };
+
+  /**
+   * The texture naming profile selected in settings; 'custom' uses the profile saved
+   * from the editor (falls back to auto when none was saved)
+   * @returns {Object} Naming profile, see utils/textureNaming.js
+   */
+  getTextureNamingProfile() {
+    const custom = this.settings.get('textureNamingCustom', null);
+    const customProfiles = custom ? [{ id: 'custom', label: 'Custom', ...custom }] : [];
+    return getNamingProfile(this.settings.get('textureNaming', 'auto'), customProfiles);
+  }
+
+  /**
+   * Hand the selected naming profile to AssetLoader and re-assign the loaded ZIP textures with it
+   */
+  applyTextureNaming() {
+    this.assetLoader?.setTextureNamingProfile(this.getTextureNamingProfile());
+    if (!this.stateManager?.getAppState().zipTextures?.size) return;
+
+    const models = this.stateManager?.getModels() || [];
+    Promise.all(models.map(model => this.assetLoader?.applyTexturesToModel(model)))
+      .catch(error => Logger.warn('[Application] Failed to re-apply textures:', error))
+      .finally(() => this.requestRender('[applyTextureNaming]'));
+  }
+
+  /**
+   * Save the texture remap rules and hand them to the texture resolver
+   * @param {Array<{from: string, to: string}>} rules
+   */
+  setTextureRemapRules(rules) {
+    this.settings.set('textureRemapRules', rules);
+    this.assetLoader?.setTextureRemapRules(rules);
+  }
+
+  /**
+   * Apply the mappings picked in the missing textures dialog to the live materials,
+   * and save them as remap rules when requested
+   */
+  applyTextureRemap = () => {
+    const zipTextures = this.stateManager?.getAppState().zipTextures || new Map();
+    const byName = new Map(Array.from(zipTextures.values(), texture => [texture.name, texture]));
+    const models = this.stateManager?.getModels() || [];
+    const rows = Array.from(this.dom?.get('remapList')?.querySelectorAll('[data-reference]') || []);
+    const newRules = [];
+    const assigned = [];
+    let count = 0;
+
+    rows.forEach(row => {
+      const target = row.querySelector('select')?.value;
+      const texture = target && byName.get(target);
+      if (!texture) return;
+      const reference = row.dataset.reference;
+      models.forEach(model => { count += replaceTextureReference(model, reference, texture); });
+      newRules.push(deriveRemapRule(reference, target));
+      assigned.push(texture);
+    });
+
+    // ZIP textures are decoded on demand
+    zipTextures.load?.(assigned).then(() => this.requestRender('[applyTextureRemap] decoded'));
+
+    if (!newRules.length) {
+      this.dom?.toggleTextureRemap(false);
+      return;
+    }
+
+    if (this.dom?.isChecked('remapSaveRules')) {
+      // A new rule replaces a saved one for the same pattern
+      const patterns = new Set(newRules.map(rule => rule.from.toLowerCase()));
+      const kept = this.settings.get('textureRemapRules', []).filter(rule => !patterns.has(rule.from.toLowerCase()));
+      this.setTextureRemapRules([...newRules, ...kept]);
+    }
+
+    Logger.log(`[Application] Remapped ${newRules.length} texture references (${count} slots)`);
+    this.dom?.showToast(t('remap_applied', { count }));
+    this.dom?.toggleTextureRemap(false);
+    this.requestRender('[applyTextureRemap]');
+  };
+
+  /**
+   * Textures of the loaded models and the ZIP texture map, with their users (see collectTextures)
+   * @returns {Object[]}
+   */
+  getTextureEntries() {
+    return collectTextures(this.stateManager?.getModels() || [], this.stateManager?.getAppState().zipTextures);
+  }
+
+  /**
+   * Read back the texels of a texture for a preview
+   * @returns {{data: Uint8Array, width: number, height: number}|null}
+   */
+  readTexturePreview(texture, maxSize) {
+    try {
+      return readTexturePixels(this.rendererManager?.renderer, texture, maxSize);
+    } catch (error) {
+      Logger.warn(`[Application] Failed to read texture ${texture.name || texture.uuid}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Thumbnail data URL of a texture, drawn again when the texture changes
+   * @param {THREE.Texture} texture
+   * @returns {string|null} Null while the texture is not decoded
+   */
+  getTextureThumbnail(texture) {
+    const cached = this.textureThumbnails.get(texture);
+    if (cached?.version === texture.version) return cached.url;
+
+    const pixels = this.readTexturePreview(texture, TEXTURE_THUMBNAIL_SIZE);
+    if (!pixels) return null;
+    const canvas = document.createElement('canvas');
+    drawTexturePreview(canvas, pixels, { flipY: texture.flipY });
+    const url = canvas.toDataURL();
+    this.textureThumbnails.set(texture, { version: texture.version, url });
+    return url;
+  }
+
+  /**
+   * Texture slots of the selected mesh, per material (only slots its material type has)
+   * @returns {Array<{index: number, name: string, slots: Array<{slot: string, texture: string|null}>}>}
+   */
+  getSelectedTextureSlots() {
+    const object = this.stateManager?.getSceneState().selectedObject;
+    if (!object?.material) return [];
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    return materials.map((material, index) => ({
+      index,
+      name: material.name || material.type,
+      slots: TEXTURE_SLOTS.filter(slot => slot in material).map(slot => ({
+        slot,
+        texture: material[slot] ? describeTexture(material[slot]).name : null
+      }))
+    }));
+  }
+
+  /**
+   * Render the texture browser and the slots of the selected mesh; skipped while its section is closed
+   */
+  refreshTextureBrowser = () => {
+    if (!this.dom?.query('details[data-sec="textures"]')?.open) return;
+
+    this.dom.renderTextureBrowser(this.getTextureEntries().map(({ texture, usages, ...entry }) => ({
+      ...entry,
+      uses: usages.length,
+      thumbnail: entry.loaded ? this.getTextureThumbnail(texture) : null
+    })));
+    this.dom.renderTextureSlots(this.getSelectedTextureSlots());
+  };
+
+  /**
+   * Put a texture from the browser into a slot of the selected mesh
+   * @param {string|null} textureId - Texture uuid; null clears the slot
+   * @param {number} materialIndex - Index in the mesh's material array
+   * @param {string} slot - Material slot ('map', 'normalMap', ...)
+   */
+  assignTextureToSlot(textureId, materialIndex, slot) {
+    const object = this.stateManager?.getSceneState().selectedObject;
+    const materials = Array.isArray(object?.material) ? object.material : [object?.material];
+    const material = materials[materialIndex];
+    if (!material || !(slot in material)) return;
+
+    const entry = textureId ? this.getTextureEntries().find(item => item.id === textureId) : null;
+    if (textureId && !entry) return;
+    const texture = entry?.texture || null;
+
+    if (entry?.inArchive) {
+      // Same preparation as applyTexturesFromMap(); ZIP textures are decoded on demand
+      if (!texture.isCompressedTexture && !texture.userData.fixedOrientation) texture.flipY = true;
+      texture.wrapS = THREE.RepeatWrapping;
+      texture.wrapT = THREE.RepeatWrapping;
+      const zipTextures = this.stateManager?.getAppState().zipTextures;
+      zipTextures?.load?.([texture]).then(() => {
+        this.refreshTextureBrowser();
+        this.requestRender('[assignTextureToSlot] decoded');
+      });
+    }
+
+    // "Revert" in the Inspector material editor undoes slot changes as well
+    saveOriginalMaterials(object);
+    setMaterialTexture(material, slot, texture);
+    Logger.log(`[Application] ${material.name || material.type}.${slot} = ${entry ? entry.name : 'none'}`);
+    if (entry) this.dom?.showToast(t('texture_assigned', { texture: entry.name, slot }));
+    this.refreshTextureBrowser();
+    if (this.inspectorApi?.getSelected?.()[0] === object) this.inspectorApi.forceUpdatePropertiesPanel();
+    this.requestRender('[assignTextureToSlot]');
+  }
+
+  /**
+   * Open the texture details dialog: preview, channels, UV layout and the meshes using the texture
+   * @param {string} textureId - Texture uuid
+   */
+  openTextureDetails(textureId) {
+    const entry = this.getTextureEntries().find(item => item.id === textureId);
+    if (!entry) return;
+
+    const { texture, usages } = entry;
+    const usageLines = usages.map(({ object, material, slot }) =>
+      `${object.name || object.type} · ${material.name || material.type} · ${slot}`);
+    this.textureDetails = { texture, objects: usages.map(usage => usage.object), channel: 'rgb', pixels: null };
+    this.dom?.renderTextureDetails(entry, usageLines);
+    this.drawTextureDetails();
+    this.dom?.toggleTextureDialog(true);
+
+    // Archive textures nobody uses yet are not decoded
+    if (!entry.loaded) {
+      const zipTextures = this.stateManager?.getAppState().zipTextures;
+      zipTextures?.load?.([texture]).then(() => {
+        if (this.textureDetails?.texture !== texture) return;
+        this.dom?.renderTextureDetails(describeTexture(texture), usageLines);
+        this.drawTextureDetails();
+        this.refreshTextureBrowser();
+      });
+    }
+  }
+
+  /**
+   * Draw the preview of the open texture in the selected channel, with the UV layout when enabled
+   */
+  drawTextureDetails() {
+    const details = this.textureDetails;
+    const preview = this.dom?.get('texturePreviewCanvas');
+    const uvCanvas = this.dom?.get('textureUVCanvas');
+    if (!details || !preview || !uvCanvas) return;
+
+    const { texture } = details;
+    if (!details.pixels || details.pixels.version !== texture.version) {
+      details.pixels = this.readTexturePreview(texture, TEXTURE_PREVIEW_SIZE);
+      if (details.pixels) details.pixels.version = texture.version;
+    }
+    if (details.pixels) {
+      drawTexturePreview(preview, details.pixels, { channel: details.channel, flipY: texture.flipY });
+    } else {
+      preview.width = preview.height = 0;
+    }
+
+    this.dom.get('textureChannels')?.querySelectorAll('[data-channel]').forEach(button => {
+      button.classList.toggle('active', button.dataset.channel === details.channel);
+    });
+
+    const showUV = Boolean(details.pixels) && this.dom.isChecked('textureUVToggle');
+    uvCanvas.hidden = !showUV;
+    if (showUV) {
+      uvCanvas.width = preview.width;
+      uvCanvas.height = preview.height;
+      drawUVLayout(uvCanvas, details.objects, texture);
+    }
+  }
+
+  closeTextureDetails = () => {
+    this.textureDetails = null;
+    this.dom?.toggleTextureDialog(false);
+  };
+
+  /**
+   * Save the materials of the selected mesh to the material library, named after the
+   * name field (or the material); a mesh with several materials gives one preset per slot
+   */
+  saveMaterialPreset = async () => {
+    if (!this.materialLibrary.isSupported()) {
+      this.dom?.showToast(t('presets_unavailable'));
+      return;
+    }
+    const object = this.stateManager?.getSceneState().selectedObject;
+    // Presets keep the mesh's own materials, not a debug view or override shown on top
+    const materials = object?.isMesh ? getSourceMaterials(object).filter(Boolean) : [];
+    if (!materials.length) {
+      this.dom?.showToast(t('preset_no_mesh'));
+      return;
+    }
+
+    // Textures nobody rendered yet may still be undecoded ZIP placeholders
+    const textures = materials.flatMap(material => TEXTURE_SLOTS.map(slot => material[slot]).filter(value => value?.isTexture));
+    await this.stateManager?.getAppState().zipTextures?.load?.(textures);
+
+    const baseName = this.dom?.getValue('presetName')?.trim();
+    for (const [index, material] of materials.entries()) {
+      const name = baseName ? (materials.length > 1 ? `${baseName} ${index + 1}` : baseName) : material.name;
+      let result;
       try {
-        this.isModelLoading = true;
-        this.start(); // Start continuous rendering
-        await this.loadModel(file);
-      } catch (err) {
-        this.dom?.showToast(t('loading_error', { message: err.message || err }));
-      } finally {
+        result = createPreset(material, this.rendererManager?.renderer, name);
+      } catch (error) {
+        Logger.error('[Application] Failed to read material for preset:', error);
+        this.dom?.showToast(t('preset_save_failed'));
+        return;
+      }
+      const entry = await this.materialLibrary.add(result.preset);
+      if (!entry) {
+        this.dom?.showToast(t('preset_save_failed'));
+        return;
+      }
+      this.dom?.showToast(result.skipped.length
+        ? `${t('preset_saved', { name: entry.name })} · ${t('preset_textures_skipped', { slots: result.skipped.join(', ') })}`
+        : t('preset_saved', { name: entry.name }));
+    }
+  };
+
+  /**
+   * Put a preset into material slots. Every call creates one material from the preset,
+   * shared by all the slots it is applied to.
+   * @param {string} presetId
+   * @param {Array<{object: THREE.Mesh, indices: number[]|null}>} targets - Meshes and material slot indices (null: all)
+   * @returns {Promise<number>} Number of slots that received the preset
+   */
+  async applyPresetToSlots(presetId, targets) {
+    if (!presetId || !targets.length) return 0;
+    const preset = await this.materialLibrary.get(presetId);
+    if (!preset) {
+      this.dom?.showToast(t('preset_apply_failed'));
+      return 0;
+    }
+
+    let material;
+    try {
+      material = await createPresetMaterial(preset);
+    } catch (error) {
+      Logger.error(`[Application] Failed to create preset ${preset.name}:`, error);
+      this.dom?.showToast(t('preset_apply_failed'));
+      return 0;
+    }
+    let count = 0;
+    targets.forEach(({ object, indices }) => {
+      if (applyMaterialPreset(object, material, indices)) count += indices ? indices.length : getSourceMaterials(object).length;
+    });
+    if (!count) {
+      material.dispose();
+      return 0;
+    }
+
+    Logger.log(`[Application] Preset ${preset.name} applied to ${count} material slots`);
+    this.dom?.showToast(t('preset_applied', { name: preset.name, count }));
+    // Overrides, debug views, light-only mode and wireframe are rebuilt from the new materials
+    await this.handleRenderSettingsChanged({});
+    this.refreshTextureBrowser();
+    const selected = this.inspectorApi?.getSelected?.()[0];
+    if (selected && targets.some(target => target.object === selected)) this.inspectorApi.forceUpdatePropertiesPanel();
+    return count;
+  }
+
+  /**
+   * Apply a preset to the material slot of the mesh under a viewport point
+   * @param {string} presetId
+   * @param {number} clientX
+   * @param {number} clientY
+   */
+  applyPresetAtPoint(presetId, clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    const mouse = new THREE.Vector2(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(mouse, this.camera);
+
+    const meshes = [];
+    this.stateManager?.getModels()?.forEach(model => model.traverse(child => {
+      if (child.isMesh) meshes.push(child);
+    }));
+    const [hit] = raycaster.intersectObjects(meshes, false);
+    if (!hit) return;
+
+    // Multi-material meshes get the preset only in the slot of the face under the cursor
+    const index = Array.isArray(hit.object.material) ? [hit.face?.materialIndex ?? 0] : null;
+    this.applyPresetToSlots(presetId, [{ object: hit.object, indices: index }]).catch(error => {
+      Logger.error('[Application] Failed to apply preset:', error);
+      this.dom?.showToast(t('preset_apply_failed'));
+    });
+  }
+
+  /**
+   * Apply a preset to every material slot whose material name matches a wildcard pattern
+   * @param {string} presetId
+   * @param {string} pattern - e.g. "car_paint*"
+   */
+  async applyPresetByPattern(presetId, pattern) {
+    if (!presetId || !pattern?.trim()) return;
+    const targets = [];
+    this.stateManager?.getModels()?.forEach(model => model.traverse(object => {
+      if (!object.isMesh) return;
+      const indices = getSourceMaterials(object)
+        .map((material, index) => (material && matchesNamePattern(material.name, pattern) ? index : -1))
+        .filter(index => index >= 0);
+      if (indices.length) targets.push({ object, indices });
+    }));
+    if (!targets.length) {
+      this.dom?.showToast(t('preset_no_match', { pattern: pattern.trim() }));
+      return;
+    }
+    await this.applyPresetToSlots(presetId, targets);
+  }
+
+  /**
+   * Variant names of all models (in load order) and the one shown
+   * @returns {{names: string[], active: string|null}}
+   */
+  getMaterialVariants() {
+    const names = [];
+    let active = null;
+    this.stateManager?.getModels()?.forEach(model => {
+      const variants = getVariants(model);
+      if (!variants) return;
+      variants.names.forEach(name => { if (!names.includes(name)) names.push(name); });
+      active = active || variants.active;
+    });
+    return { names, active };
+  }
+
+  refreshMaterialVariants() {
+    const { names, active } = this.getMaterialVariants();
+    this.dom?.renderMaterialVariants(names, active);
+  }
+
+  /**
+   * Show a material variant on every model; models without it show their default materials
+   * @param {string|null} name - Null for the default materials
+   */
+  async selectMaterialVariant(name) {
+    const models = this.stateManager?.getModels() || [];
+    try {
+      for (const model of models) {
+        await selectVariant(model, getVariants(model)?.names.includes(name) ? name : null);
+      }
+    } catch (error) {
+      Logger.error(`[Application] Failed to switch to material variant ${name}:`, error);
+    }
+    Logger.log(`[Application] Material variant: ${name ?? 'default'}`);
+    await this.handleMaterialsReplaced();
+  }
+
+  /**
+   * Store the current materials of every model as a variant, named by the variant name field
+   */
+  captureMaterialVariant = async () => {
+    const models = this.stateManager?.getModels() || [];
+    if (!models.length) {
+      this.dom?.showToast(t('variant_no_models'));
+      return;
+    }
+    const name = this.dom?.getValue('variantName')?.trim() || `Variant ${this.getMaterialVariants().names.length + 1}`;
+    models.forEach(model => captureVariant(model, name));
+    Logger.log(`[Application] Captured material variant ${name}`);
+    this.dom?.showToast(t('variant_captured', { name }));
+    this.refreshMaterialVariants();
+  };
+
+  /**
+   * Remove a variant from every model
+   * @param {string} name
+   */
+  async removeMaterialVariant(name) {
+    if (!name) return;
+    const shown = this.getMaterialVariants().active === name;
+    for (const model of this.stateManager?.getModels() || []) {
+      await removeVariant(model, name);
+    }
+    Logger.log(`[Application] Removed material variant ${name}`);
+    if (shown) await this.handleMaterialsReplaced();
+    else this.refreshMaterialVariants();
+  }
+
+  /**
+   * Rebuild what depends on the meshes' own materials after they were swapped
+   * @private
+   */
+  async handleMaterialsReplaced() {
+    // Overrides, debug views, light-only mode and wireframe are rebuilt from the new materials
+    await this.handleRenderSettingsChanged({});
+    this.refreshTextureBrowser();
+    this.refreshMaterialVariants();
+    if (this.inspectorApi?.getSelected?.().length) this.inspectorApi.forceUpdatePropertiesPanel();
+  }
+
+  /**
+   * Download the material library as a JSON file
+   */
+  exportMaterialLibrary = async () => {
+    try {
+      const json = await this.materialLibrary.exportJSON();
+      downloadBlob(new Blob([json], { type: 'application/json' }), 'material-library.json');
+    } catch (error) {
+      Logger.error('[Application] Failed to export the material library:', error);
+    }
+  };
+
+  /**
+   * Add the presets of a material library JSON file
+   * @param {File} file
+   */
+  async importMaterialLibrary(file) {
+    try {
+      const count = await this.materialLibrary.importJSON(await file.text());
+      this.dom?.showToast(t('presets_imported', { count }));
+    } catch (error) {
+      Logger.warn('[Application] Failed to import material library:', error);
+      this.dom?.showToast(t('presets_import_failed', { message: error.message }));
+    }
+  }
+
+  /**
+   * Download the load diagnostics reports of this session as JSON
+   */
+  exportLoadDiagnostics = () => {
+    const reports = this.assetLoader?.loadReports || [];
+    if (!reports.length) return;
+
+    const json = JSON.stringify({ generatedAt: new Date().toISOString(), reports }, null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'load-report.json');
+  };
+
+  handleOpenURL = async (url) => {
+    if (!url) {
+      this.dom?.showToast(t('enter_model_url'));
+      return;
+    }
+
+    try {
+      await this.loadFromURL(url);
+    } catch (err) {
+      if (!isAbortError(err)) {
+        this.dom?.showToast(t('url_load_error', { url, message: err.message || err }));
+      }
+    }
+  };
+
+  /**
+   * Load a model (or a ZIP with models) from a URL through the AssetLoader load queue
+   * @param {string} url - Absolute or page-relative URL
+   * @returns {Promise<THREE.Object3D[]>} The loaded models
+   */
+  loadFromURL = (url) => this.assetLoader.queueURL(url);
+
+  /**
+   * Mirror the AssetLoader load queue in the loading overlay: the active file drives the
+   * title and meter, the list shows every file with its status and a cancel button
+   */
+  handleLoadQueueUpdated = ({ items }) => {
+    const pending = items.filter(item => !FINISHED_STATUSES.has(item.status));
+
+    if (pending.length === 0) {
+      if (this.isModelLoading) {
         this.isModelLoading = false;
         this.stop(); // Stop continuous rendering
+        this.dom?.hideOverlay();
       }
+      this.dom?.renderLoadQueue([]);
+      this.assetLoader?.loadQueue.clearFinished();
+      return;
+    }
+
+    if (!this.isModelLoading) {
+      this.isModelLoading = true;
+      this.start(); // Start continuous rendering
+    }
+
+    const current = pending.find(item => item.status !== LOAD_STATUS.QUEUED) || pending[0];
+    this.dom?.showOverlay(this.getLoadingTitle(current.name), current.name);
+    if (current.status === LOAD_STATUS.LOADING && current.progress > 0) {
+      this.dom?.setProgress(current.progress);
+    } else {
+      this.dom?.setIndeterminate();
     }
+    this.dom?.renderLoadQueue(items);
   };
 
+  getLoadingTitle(name) {
+    const extension = name.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    return extension === 'gltf' || extension === 'glb' ? t('loading_gltf_glb') :
+      extension === 'fbx' ? t('loading_fbx') :
+      extension === 'obj' ? t('loading_obj') :
+      extension === 'zip' ? t('loading_zip') :
+      /^https?:/i.test(name) ? t('loading_url') : t('loading_model');
+  }
+
+  /**
+   * Fetch a texture ZIP from a URL (?textures=) and register its textures before models load
+   * @param {string} url - URL of the ZIP archive
+   */
+  loadTexturesFromURL = async (url) => {
+    try {
+      this.dom?.showOverlay(t('loading_textures'), url);
+      const { file } = await this.assetLoader.fetchFile(url, (p) => this.dom?.setProgress(p));
+      this.dom?.hideOverlay();
+      await this.handleTexturesApply(file);
+    } catch (err) {
+      this.dom?.hideOverlay();
+      this.dom?.showToast(t('url_load_error', { url, message: err.message || err }));
+    }
+  };
+
+  /**
+   * Read startup assets from the query string: ?model=...&textures=...&hdri=...
+   * @returns {{model: string|null, textures: string|null, hdri: string|null}}
+   */
+  getStartupParams() {
+    const params = new URLSearchParams(window.location.search);
+    return {
+      model: params.get('model'),
+      textures: params.get('textures'),
+      hdri: params.get('hdri')
+    };
+  }
+
   handleHDRIApply = async (url) => {
     if (!url) {
       this.sceneManager?.setEnvironment(null);
@@ -708,15 +1726,18 @@ export class Application {
     try {
       this.dom?.showOverlay(t('loading_textures'), file.name);
       await this.assetLoader?.loadTexturesFromZIP(file, (p) => this.dom?.setProgress(p));
+      this.texturePackFile = file;
+      if (this.activeRecentId) {
+        this.recentFiles.attach(this.activeRecentId, [file]);
+      }
 
       const models = this.stateManager?.getModels();
       if (models && models.length > 0) {
-        models.forEach(model => {
-          this.assetLoader?.applyTexturesToModel(model);
-        });
-        this.dom?.showToast(t('applying_zip_textures', {
-          count: this.stateManager?.getAppState().zipTextures.size
-        }));
+        await Promise.all(models.map(model => this.assetLoader?.applyTexturesToModel(model)));
+        const missing = this.getTextureRemapState().references.length;
+        this.dom?.showToast(missing
+          ? t('remap_missing', { count: missing })
+          : t('applying_zip_textures', { count: this.stateManager?.getAppState().zipTextures.size }));
       } else {
         this.dom?.showToast(t('load_fbx_before_applying_textures'));
       }
@@ -729,6 +1750,47 @@ export class Application {
     this.requestRender('[handleTexturesApply]');
   };
 
+  handleExport = async (format, scope = 'all') => {
+    let objects = this.stateManager?.getModels() || [];
+    let baseName = objects.length === 1 ? objects[0].name : 'scene';
+
+    if (scope === 'selected') {
+      const group = this.modelGroupManager?.getSelectedGroup();
+      objects = group?.rootObject ? [group.rootObject] : [];
+      baseName = group?.name || baseName;
+    }
+
+    await this.runExport(objects, format, baseName);
+  };
+
+  /**
+   * Export the objects selected in the Inspector (context menu "Export selection as…").
+   * OBJ/STL/USDZ exporters write world-space geometry, so world matrices are refreshed first.
+   */
+  handleExportSelection = async (objects, format) => {
+    objects.forEach(object => object.updateWorldMatrix(true, true));
+    const baseName = objects.length === 1 ? objects[0].name : 'selection';
+    await this.runExport(objects, format, baseName);
+  };
+
+  async runExport(objects, format, baseName) {
+    if (!objects?.length) {
+      this.dom?.showToast(t('export_nothing'));
+      return;
+    }
+
+    try {
+      this.dom?.showOverlay(t('exporting'), format.toUpperCase());
+      this.dom?.setIndeterminate();
+      const fileName = await this.assetExporter?.exportObjects(objects, format, baseName);
+      this.dom?.showToast(t('export_complete', { filename: fileName }));
+    } catch (error) {
+      this.dom?.showToast(t('export_error', { message: error.message || error }));
+    } finally {
+      this.dom?.hideOverlay();
+    }
+  }
+
   handleFrame = () => {
     const models = this.stateManager?.getModels();
     const scene = this._ensureSceneAvailable(); // Use _ensureSceneAvailable
@@ -745,6 +1807,8 @@ export class Application {
       this.sceneManager?.clearMeasure();
       this.sceneManager?.updateBBox(null);
     }
+    // Models and the selected mesh are listed in the texture browser
+    this.refreshTextureBrowser();
   };
 
   handleInputStateChange = (state) => {
@@ -887,6 +1951,7 @@ export class Application {
     } catch (error) {
       Logger.error('[Application] handleSceneCleared() - error disposing animation manager:', error);
     }
+    this.refreshMaterialVariants();
     
     // Refresh inspector to show empty scene
     if (this.inspectorApi && typeof this.inspectorApi.refresh === 'function') {
@@ -933,9 +1998,13 @@ export class Application {
         this.setAnimSectionVisible(false);
       }
 
-      // Apply textures if available (await its completion)
-      await this.assetLoader?.applyTexturesToModel(model);
-      
+      // Surface loader warnings (e.g. unsupported USD prims); details are listed in the Inspector
+      const loadWarnings = model.userData?.loadWarnings;
+      if (loadWarnings?.length) {
+        this.dom?.showToast(t('load_warnings', { count: loadWarnings.length }));
+      }
+
+      // ZIP textures were applied by AssetLoader.loadModel before MODEL_LOADED
       // Apply model settings (shadows, materials) (await its completion)
       await this.applyModelSettings(model);
       
@@ -951,6 +2020,7 @@ export class Application {
     if (this.inspectorApi && typeof this.inspectorApi.refresh === 'function') {
       this.inspectorApi.refresh();
     }
+    this.refreshMaterialVariants();
 
     // *** ИСПРАВЛЕНИЕ: Привязываем Transform Controls к загруженной модели ***
     this.attachTransformControls(model);
@@ -1077,10 +2147,11 @@ export class Application {
     const overrideType = matOverrideEl?.value || 'none';
     const wire = !!(wireframeEl && wireframeEl.checked);
     const envI = envIntensityEl ? Number(envIntensityEl.value) : 1;
+    const texelDensityTarget = this.settings.get('texelDensityTarget', DEFAULT_TEXEL_DENSITY_TARGET);
 
     // Dynamically import Materials and apply, awaiting its completion
     const { applyMaterialOverride, setLightOnly } = await import('../Materials.js');
-    applyMaterialOverride(model, { overrideType, wire, envIntensity: envI });
+    applyMaterialOverride(model, { overrideType, wire, envIntensity: envI, texelDensityTarget });
     
     setLightOnly(model, lightOnlyChecked);
     
@@ -1182,24 +2253,13 @@ export class Application {
   };
 
   // Utility methods
-  loadModel = async (file) => {
-    const extension = file.name.split('.').pop().toLowerCase();
-    
-    this.dom?.showOverlay(
-      extension === 'gltf' || extension === 'glb' ? t('loading_gltf_glb') :
-      extension === 'fbx' ? t('loading_fbx') : t('loading_obj'),
-      file.name
-    );
-    
-    try {
-      const model = await this.assetLoader?.loadModel(file);
-      this.dom?.hideOverlay();
-      return model;
-    } catch (err) {
-      this.dom?.hideOverlay();
-      throw err;
-    }
-  };
+  /**
+   * Queue a model file in the AssetLoader load queue (see AssetLoader.loadModel for options)
+   * @param {File} file
+   * @param {Object} [options]
+   * @returns {Promise<THREE.Object3D>}
+   */
+  loadModel = (file, options = {}) => this.assetLoader.queueModel(file, options);
 
   loadDefaultModel = async () => {
     const start = performance.now();
@@ -1207,25 +2267,7 @@ export class Application {
       const defaultModelPath = 'model/Y_Bot.fbx';
       Logger.log(`[Application] Loading default model: ${defaultModelPath}`);
 
-      let stepStart = performance.now();
-      const response = await fetch(defaultModelPath);
-      Logger.log(`[Perf] fetch() default model took: ${(performance.now() - stepStart).toFixed(2)}ms`);
-
-      if (!response.ok) {
-        throw new Error(`Failed to load default model: ${response.status} ${response.statusText}`);
-      }
-
-      stepStart = performance.now();
-      const arrayBuffer = await response.arrayBuffer();
-      Logger.log(`[Perf] response.arrayBuffer() took: ${(performance.now() - stepStart).toFixed(2)}ms`);
-
-      const defaultModelFile = new File([arrayBuffer], defaultModelPath.split('/').pop(), { type: 'application/octet-stream' });
-
-      this.isModelLoading = true;
-
-      stepStart = performance.now();
-      const model = await this.loadModel(defaultModelFile);
-      Logger.log(`[Perf] this.loadModel() (default) took: ${(performance.now() - stepStart).toFixed(2)}ms`);
+      const [model] = await this.loadFromURL(defaultModelPath);
 
       Logger.log('[Application] Default model loaded successfully:', model);
       if (model) {
@@ -1234,10 +2276,13 @@ export class Application {
         Logger.log('[Application] Default model position:', model.position);
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        Logger.log('[Application] Default model loading cancelled');
+        return;
+      }
       Logger.error('[Application] Failed to load default model:', error);
       this.dom?.showToast(t('error_loading_default_model', { message: error.message }));
     } finally {
-      this.isModelLoading = false;
       Logger.log(`[Perf] loadDefaultModel() (total) took: ${(performance.now() - start).toFixed(2)}ms`);
     }
   };
@@ -1437,6 +2482,37 @@ export class Application {
       this.settings.set('loadDefaultModel', settings.loadDefaultModel);
       Logger.log(`[Application] loadDefaultModel setting changed to: ${settings.loadDefaultModel}`);
     }
+    if (settings.reopenRecent !== undefined) {
+      this.settings.set('reopenRecent', settings.reopenRecent);
+    }
+    if (settings.textureNaming !== undefined) {
+      this.settings.set('textureNaming', settings.textureNaming);
+      const customEditor = this.dom?.get('texture-naming-custom');
+      if (customEditor) customEditor.hidden = settings.textureNaming !== 'custom';
+      this.applyTextureNaming();
+    }
+    if (settings.textureBudget !== undefined) {
+      this.settings.set('textureBudget', settings.textureBudget);
+      this.assetLoader?.setTextureBudget(settings.textureBudget * 1048576);
+    }
+    if (settings.texelDensityTarget !== undefined) {
+      if (!(settings.texelDensityTarget > 0)) return;
+      this.settings.set('texelDensityTarget', settings.texelDensityTarget);
+      // The heatmap bakes the target into its materials: rebuild them
+      if (this.dom?.getValue('mat-override') === 'debug:texelDensity') this.handleRenderSettingsChanged({});
+    }
+    if (settings.textureNamingCustom !== undefined) {
+      const { pattern, mapsText } = settings.textureNamingCustom;
+      try {
+        if (pattern) new RegExp(pattern);
+      } catch (error) {
+        this.dom?.showToast(t('naming_invalid_pattern', { message: error.message }));
+        return;
+      }
+      this.settings.set('textureNamingCustom', { pattern, maps: parseNamingMaps(mapsText) });
+      this.dom?.showToast(t('naming_saved'));
+      this.applyTextureNaming();
+    }
     this.requestRender('[handleSettingsChanged]');
   };
 
@@ -1564,6 +2640,7 @@ export class Application {
     const toggleGridEl = this.dom?.get('toggle-grid');
     const toggleFlipUVEl = this.dom?.get('toggle-flipuv');
     const toggleLoadDefaultEl = this.dom?.get('toggle-load-default');
+    const toggleReopenRecentEl = this.dom?.get('toggle-reopen-recent');
 
     if (toggleShadowsEl) { toggleShadowsEl.checked = false; toggleShadowsEl.dispatchEvent(new Event('change')); }
     if (toggleFXAAEl) { toggleFXAAEl.checked = true; toggleFXAAEl.dispatchEvent(new Event('change')); }
@@ -1571,6 +2648,7 @@ export class Application {
     if (toggleGridEl) { toggleGridEl.checked = true; toggleGridEl.dispatchEvent(new Event('change')); }
     if (toggleFlipUVEl) { toggleFlipUVEl.checked = false; toggleFlipUVEl.dispatchEvent(new Event('change')); }
     if (toggleLoadDefaultEl) { toggleLoadDefaultEl.checked = true; toggleLoadDefaultEl.dispatchEvent(new Event('change')); }
+    if (toggleReopenRecentEl) { toggleReopenRecentEl.checked = false; toggleReopenRecentEl.dispatchEvent(new Event('change')); }
 
     // background & hdri
     const bgSelectEl = this.dom?.get('bg-select');
@@ -1676,6 +2754,8 @@ export class Application {
     
     this.assetLoader?.clearTextures();
     this.sceneManager?.setEnvironment(null);
+    this.activeRecentId = null;
+    this.texturePackFile = null;
 
     // Clear animation UI
     this.updateAnimationUI([]);
@@ -0,0 +1,168 @@
+import { GLTFExporterWrapper } from '../exporters/GLTF.js';
+import { OBJExporterWrapper } from '../exporters/OBJ.js';
+import { STLExporterWrapper } from '../exporters/STL.js';
+import { USDZExporterWrapper } from '../exporters/USDZ.js';
+import { EVENTS } from './EventSystem.js';
+import Logger from './Logger.js';
+import { downloadBlob, packFilesToZIP, sanitizeFileName } from '../utils/exportFiles.js';
+import { loadVariantMaterials, getVariantMaterials } from '../utils/materialVariants.js';
+import { getSourceMaterials } from '../Materials.js';
+
+/**
+ * AssetExporter
+ * Counterpart of AssetLoader: serializes models to files and triggers a download.
+ * Multi-file outputs are packed into a single ZIP.
+ */
+export class AssetExporter {
+  constructor(eventSystem, stateManager) {
+    this.eventSystem = eventSystem;
+    this.stateManager = stateManager;
+    this.exporters = new Map();
+    this.initExporters();
+  }
+
+  initExporters() {
+    const gltfExporter = new GLTFExporterWrapper();
+    this.exporters.set('glb', { exporter: gltfExporter, options: { binary: true } });
+    this.exporters.set('gltf', { exporter: gltfExporter, options: { binary: false } });
+    // Selection formats: written in world space with the materials currently shown
+    this.exporters.set('obj', { exporter: new OBJExporterWrapper(), options: {} });
+    this.exporters.set('stl', { exporter: new STLExporterWrapper(), options: {} });
+    this.exporters.set('usdz', { exporter: new USDZExporterWrapper(), options: {} });
+  }
+
+  /**
+   * Export objects in the given format and download the result.
+   * @param {THREE.Object3D[]} objects - Root objects to export
+   * @param {string} format - Key of this.exporters ('glb', 'gltf', 'obj', 'stl', 'usdz')
+   * @param {string} [baseName] - Output name without extension
+   * @returns {Promise<string>} Name of the downloaded file
+   */
+  async exportObjects(objects, format, baseName) {
+    const start = performance.now();
+    const entry = this.exporters.get(format);
+    if (!entry) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+    if (!objects?.length) {
+      throw new Error('Nothing to export');
+    }
+
+    const name = sanitizeFileName(baseName || objects[0].name, 'scene');
+    this.eventSystem?.emit(EVENTS.EXPORT_START, { format, objects });
+
+    try {
+      const animations = this.collectAnimations(objects);
+      // Variant materials from a source glTF are only created once shown
+      await Promise.all(objects.map(object => loadVariantMaterials(object)));
+      const files = await this.withSourceMaterials(objects, () => this.withExportableTextures(objects, () =>
+        entry.exporter.exportToFiles(objects, { ...entry.options, animations, baseName: name })
+      ));
+
+      let fileName;
+      if (files.length === 1) {
+        fileName = files[0].name;
+        downloadBlob(files[0].blob, fileName);
+      } else {
+        fileName = `${name}_${format}.zip`;
+        downloadBlob(await packFilesToZIP(files), fileName);
+      }
+
+      this.eventSystem?.emit(EVENTS.EXPORT_COMPLETE, { format, fileName });
+      Logger.log(`[Perf] exportObjects() to ${format} took: ${(performance.now() - start).toFixed(2)}ms`);
+      return fileName;
+    } catch (error) {
+      Logger.error('[AssetExporter] Export failed:', error);
+      this.eventSystem?.emit(EVENTS.EXPORT_ERROR, { format, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Collect unique animation clips from the exported roots
+   * @param {THREE.Object3D[]} objects
+   * @returns {THREE.AnimationClip[]}
+   */
+  collectAnimations(objects) {
+    const clips = new Set();
+    objects.forEach(object => object.traverse(child => {
+      child.animations?.forEach(clip => clips.add(clip));
+    }));
+    return Array.from(clips);
+  }
+
+  /**
+   * Debug views (UV checker, heatmaps, ...) are for inspection only: meshes showing one are
+   * exported with their own materials, restored afterwards. Material overrides are exported as shown.
+   * @param {THREE.Object3D[]} objects
+   * @param {function():Promise<*>} callback
+   * @returns {Promise<*>}
+   */
+  async withSourceMaterials(objects, callback) {
+    const swapped = [];
+    objects.forEach(object => object.traverse(child => {
+      if (!child.isMesh || !child.material) return;
+      const shown = Array.isArray(child.material) ? child.material : [child.material];
+      if (!shown.some(material => material?.userData.debugView)) return;
+      const source = getSourceMaterials(child);
+      swapped.push({ mesh: child, material: child.material });
+      child.material = Array.isArray(child.material) ? source.slice() : source[0];
+    }));
+
+    try {
+      return await callback();
+    } finally {
+      swapped.forEach(({ mesh, material }) => {
+        mesh.material = material;
+      });
+    }
+  }
+
+  /**
+   * Textures whose image never loaded (unresolved paths) cannot be serialized.
+   * Detach them for the duration of the export and restore them afterwards.
+   * @param {THREE.Object3D[]} objects
+   * @param {function():Promise<*>} callback
+   * @returns {Promise<*>}
+   */
+  async withExportableTextures(objects, callback) {
+    const detached = [];
+    const materials = new Set();
+    objects.forEach(object => {
+      object.traverse(child => {
+        if (!child.material) return;
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => materials.add(material));
+      });
+      // Material variants that are not shown are exported as well
+      getVariantMaterials(object).forEach(material => materials.add(material));
+    });
+    materials.forEach(material => {
+      Object.keys(material).forEach(key => {
+        const value = material[key];
+        if (value?.isTexture && !this.hasImageData(value)) {
+          detached.push({ material, key, texture: value });
+          material[key] = null;
+        }
+      });
+    });
+
+    if (detached.length) {
+      Logger.warn(`[AssetExporter] Skipping ${detached.length} texture slots without image data`);
+    }
+
+    try {
+      return await callback();
+    } finally {
+      detached.forEach(({ material, key, texture }) => {
+        material[key] = texture;
+      });
+    }
+  }
+
+  hasImageData(texture) {
+    const image = texture.image;
+    if (!image) return false;
+    if (image.data) return true;
+    return (image.width || image.naturalWidth || 0) > 0;
+  }
+}
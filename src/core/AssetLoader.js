@@ -1,82 +1,532 @@
 import { GLTFLoaderWrapper } from '../loaders/GLTF.js';
 import { FBXLoaderWrapper } from '../loaders/FBX.js';
 import { OBJLoaderWrapper } from '../loaders/OBJ.js';
-import { loadTexturesFromZIP, matchTexturePath } from '../utils/zipTextures.js';
+import { STLLoaderWrapper } from '../loaders/STL.js';
+import { PLYLoaderWrapper } from '../loaders/PLY.js';
+import { ThreeMFLoaderWrapper } from '../loaders/3MF.js';
+import { ColladaLoaderWrapper } from '../loaders/Collada.js';
+import { TDSLoaderWrapper } from '../loaders/3DS.js';
+import { USDZLoaderWrapper } from '../loaders/USDZ.js';
+import { loadTexturesFromZIP, loadTexturesFromFiles, extractFilesFromZIP, matchTexturePath } from '../utils/zipTextures.js';
+import { configureTextureDecoders } from '../utils/textureDecoders.js';
+import { createSiblingMap, createSiblingURLModifier, stripBlobBase } from '../utils/siblingFiles.js';
+import { fetchFileFromURL, createBaseURLModifier, isObjectURLPath } from '../utils/urlFiles.js';
+import {
+  readFileHeader, isZIP, sniffGLB, sniffGLTF, sniffFBX, sniffOBJ, sniffSTL, sniffPLY,
+  sniff3MF, sniffCollada, sniff3DS, sniffUSDZ, sniffUSDA
+} from '../utils/formatSniffers.js';
 import * as THREE from 'three';
 import { EVENTS } from './EventSystem.js'; // Import EVENTS from EventSystem
+import { FormatRegistry, getFileExtension } from './FormatRegistry.js';
+import { LoadDiagnostics } from './LoadDiagnostics.js';
+import { LoadQueue, LOAD_STATUS, whenNotAborted, isAbortError, createAbortError } from './LoadQueue.js';
+import { disposeMaterialResources } from '../Materials.js';
 import Logger from './Logger.js';
 
+// Diagnostics reports kept for the panel and the JSON export
+const MAX_LOAD_REPORTS = 50;
+
 export class AssetLoader {
   constructor(eventSystem, stateManager, rendererManager) {
     this.eventSystem = eventSystem;
     this.stateManager = stateManager;
     this.rendererManager = rendererManager; // Store rendererManager
-    this.loaders = new Map();
+    this.formats = new FormatRegistry();
+    // Sibling URL resolvers stay alive while their models may still fetch textures
+    this.siblingResolvers = [];
+    // Loaders still finishing a cancelled load (loader -> settle promise)
+    this.busyLoaders = new Map();
+    this.loadQueue = new LoadQueue(eventSystem);
+    // Diagnostics reports of this session (oldest first) and the report of each loaded model
+    this.loadReports = [];
+    this.modelReports = new WeakMap();
+    // Wildcard rules for texture references the archives name differently ({ from, to })
+    this.textureRemapRules = [];
+    // Naming profile used to assign ZIP textures to material slots (null: try all built-in profiles)
+    this.textureNamingProfile = null;
+    // Memory budget for decoded ZIP textures in bytes (0: no limit)
+    this.textureBudget = 0;
     this.initLoaders();
+
+    this.eventSystem?.on(EVENTS.SCENE_CLEARED, () => this.releaseSiblingFiles());
   }
 
 
   initLoaders() {
     Logger.log('[AssetLoader] Initializing loaders with renderer:', this.rendererManager?.renderer);
-    // Initialize GLTF loader
+    // DDS/KTX2 textures from ZIP packs use the GPU formats the renderer supports
+    configureTextureDecoders(this.rendererManager?.renderer);
+    // Formats with a magic number come first; OBJ is sniffed by a text heuristic, so it goes last
     const gltfLoader = new GLTFLoaderWrapper();
-    this.rendererManager?.renderer && gltfLoader.init(this.rendererManager.renderer);
-    this.loaders.set('gltf', gltfLoader);
-    this.loaders.set('glb', gltfLoader);
+    this.registerFormat({
+      id: 'glb', label: 'GLTF', extensions: ['glb', 'vrm'], mimeTypes: ['model/gltf-binary'],
+      sniff: sniffGLB, loader: gltfLoader
+    });
+    this.registerFormat({
+      id: 'gltf', label: 'GLTF', extensions: ['gltf'], mimeTypes: ['model/gltf+json'],
+      sniff: sniffGLTF, loader: gltfLoader
+    });
+    this.registerFormat({
+      id: 'fbx', label: 'FBX', extensions: ['fbx'], mimeTypes: ['application/x-fbx'],
+      sniff: sniffFBX, loader: new FBXLoaderWrapper()
+    });
+
+    // 3D-print / scan formats
+    this.registerFormat({
+      id: 'ply', label: 'PLY', extensions: ['ply'], mimeTypes: ['model/ply', 'application/ply'],
+      sniff: sniffPLY, loader: new PLYLoaderWrapper()
+    });
+    this.registerFormat({
+      id: '3mf', label: '3MF', extensions: ['3mf'], mimeTypes: ['model/3mf'],
+      sniff: sniff3MF, loader: new ThreeMFLoaderWrapper()
+    });
+    this.registerFormat({
+      id: 'stl', label: 'STL', extensions: ['stl'], mimeTypes: ['model/stl', 'application/sla'],
+      sniff: sniffSTL, loader: new STLLoaderWrapper()
+    });
+
+    // Legacy interchange formats
+    this.registerFormat({
+      id: 'dae', label: 'Collada', extensions: ['dae'], mimeTypes: ['model/vnd.collada+xml'],
+      sniff: sniffCollada, loader: new ColladaLoaderWrapper()
+    });
+    this.registerFormat({
+      id: '3ds', label: '3DS', extensions: ['3ds'], mimeTypes: ['application/x-3ds', 'image/x-3ds'],
+      sniff: sniff3DS, loader: new TDSLoaderWrapper()
+    });
+
+    // USD (AR) formats
+    const usdzLoader = new USDZLoaderWrapper();
+    this.registerFormat({
+      id: 'usdz', label: 'USDZ', extensions: ['usdz'], mimeTypes: ['model/vnd.usdz+zip'],
+      sniff: sniffUSDZ, loader: usdzLoader
+    });
+    this.registerFormat({
+      id: 'usda', label: 'USD', extensions: ['usda'], sniff: sniffUSDA, loader: usdzLoader
+    });
+
+    this.registerFormat({
+      id: 'obj', label: 'OBJ', extensions: ['obj'], mimeTypes: ['model/obj'],
+      sniff: sniffOBJ, loader: new OBJLoaderWrapper()
+    });
+  }
+
+  /**
+   * Register a model format, so files with its extensions, MIME types or magic bytes
+   * load through its loader. Registering an existing id replaces that format.
+   *
+   * Usage:
+   *   assetLoader.registerFormat({
+   *     id: 'acme', label: 'ACME Mesh', extensions: ['acm'],
+   *     sniff: (header) => startsWithASCII(header, 'ACME'),
+   *     loader: new AcmeLoaderWrapper() // loadFromFile(file, onProgress) resolving to an Object3D or { scene }
+   *   });
+   *
+   * Loaders with a loadingManager get sibling files and relative URLs served through it;
+   * loaders with textureResolver / siblings properties get them set for each load.
+   * @param {Object} format - Format descriptor (see FormatRegistry)
+   * @returns {Object} The registered format
+   */
+  registerFormat(format) {
+    const registered = this.formats.register(format);
+    const renderer = this.rendererManager?.renderer;
+    if (renderer && typeof registered.loader.init === 'function') {
+      registered.loader.init(renderer);
+    }
+    this.eventSystem?.emit(EVENTS.FORMAT_REGISTERED, { format: registered });
+    return registered;
+  }
+
+  /**
+   * Detect the format of a model file by extension and magic bytes (see FormatRegistry.detect)
+   * @param {File} file - The file to inspect
+   * @returns {Promise<Object|null>} The format, or null if no registered format handles it
+   */
+  detectFormat(file) {
+    return this.formats.detect(file);
+  }
+
+  /**
+   * Check whether a file name has an extension handled by one of the registered formats
+   * @param {string} fileName - File name or archive path
+   * @returns {boolean}
+   */
+  isModelFile(fileName) {
+    return !!this.formats.getByFileName(fileName);
+  }
+
+  /**
+   * File extensions of all registered formats, for file input accept lists
+   * @returns {string[]} Extensions with a leading dot
+   */
+  getModelExtensions() {
+    const extensions = new Set();
+    this.formats.getAll().forEach(format => format.extensions.forEach(ext => extensions.add(`.${ext}`)));
+    return Array.from(extensions);
+  }
 
-    // Initialize FBX loader
-    const fbxLoader = new FBXLoaderWrapper();
-    this.rendererManager?.renderer && fbxLoader.init(this.rendererManager.renderer);
-    this.loaders.set('fbx', fbxLoader);
+  /**
+   * Loaders may branch on the file name (USDZ archive vs. plain layer), so a file whose
+   * extension does not belong to its detected format is passed on under a matching name
+   * @param {File} file - The model file
+   * @param {Object} format - Its detected format
+   * @returns {File}
+   */
+  getLoadableFile(file, format) {
+    const extension = getFileExtension(file.name);
+    if (!format.extensions.length || format.extensions.includes(extension)) return file;
 
-    // Initialize OBJ loader
-    const objLoader = new OBJLoaderWrapper();
-    this.loaders.set('obj', objLoader);
+    const base = extension ? file.name.slice(0, -(extension.length + 1)) : file.name;
+    return new File([file], `${base}.${format.extensions[0]}`, { type: file.type, lastModified: file.lastModified });
   }
 
+  /**
+   * Queue a model file; the loading overlay lists it with its status and a cancel button.
+   * @param {File} file - The model file
+   * @param {Object} [options] - Same as loadModel(); signal and status are provided by the queue
+   * @returns {Promise<THREE.Object3D>} The loaded model root; rejects with an AbortError when cancelled
+   */
+  queueModel(file, options = {}) {
+    return this.loadQueue.enqueue(file.name, ({ signal, setStatus, setProgress }) =>
+      this.loadModel(file, {
+        ...options,
+        signal,
+        onStatus: setStatus,
+        onProgress: (event) => {
+          options.onProgress?.(event);
+          if (event?.total) setProgress(event.loaded / event.total);
+        }
+      })
+    );
+  }
+
+  /**
+   * Queue a ZIP archive (see loadZIP)
+   * @param {File} zipFile - The ZIP archive
+   * @returns {Promise<{modelFiles: File[], siblings: Map<string, File>, textureCount: number}>}
+   */
+  queueZIP(zipFile) {
+    return this.loadQueue.enqueue(zipFile.name, ({ signal, setProgress }) =>
+      this.loadZIP(zipFile, setProgress, signal)
+    );
+  }
+
+  /**
+   * Queue a model or ZIP download (see loadFromURL)
+   * @param {string} url - Absolute or page-relative URL
+   * @returns {Promise<THREE.Object3D[]>}
+   */
+  queueURL(url) {
+    return this.loadQueue.enqueue(url, ({ signal, setStatus, setProgress }) =>
+      this.loadFromURL(url, { signal, onStatus: setStatus, onProgress: setProgress })
+    );
+  }
+
+  /**
+   * Load a model file.
+   * @param {File} file - The model file
+   * @param {Object} [options]
+   * @param {function(ProgressEvent):void} [options.onProgress] - Progress callback
+   * @param {Map<string, File>} [options.siblings] - Sibling files (see createSiblingMap) served to the loader
+   * @param {string} [options.baseURL] - URL the file was fetched from; other references resolve against it
+   * @param {AbortSignal} [options.signal] - Cancels the load; the model is disposed instead of added
+   * @param {function(string):void} [options.onStatus] - Receives LOAD_STATUS values as the load advances
+   * @param {Object} [options.format] - Format from detectFormat(); detected when omitted
+   * @returns {Promise<THREE.Object3D>} The loaded model root
+   */
   async loadModel(file, options = {}) {
     const start = performance.now();
-    const extension = file.name.split('.').pop().toLowerCase();
-    const loader = this.loaders.get(extension);
+    const { signal } = options;
+    const diagnostics = new LoadDiagnostics(file);
+    const format = options.format || await this.detectFormat(file);
+
+    if (!format) {
+      throw new Error(`Unsupported file format: ${file.name}`);
+    }
+    const { loader } = format;
+    const type = format.id;
+    const loadFile = this.getLoadableFile(file, format);
+    diagnostics.setFormat(type);
+    diagnostics.mark('detect');
 
-    if (!loader) {
-      throw new Error(`Unsupported file format: ${extension}`);
+    // A cancelled load keeps running inside its loader until three.js finishes it;
+    // wait for it so the shared loader state (URL modifier, texture resolver) is not mixed up
+    if (this.busyLoaders.has(loader)) {
+      await this.busyLoaders.get(loader);
+      diagnostics.mark('wait');
     }
+    signal?.throwIfAborted();
 
-    this.eventSystem?.emit(EVENTS.ASSET_LOADING_START, { file, type: extension });
+    this.eventSystem?.emit(EVENTS.ASSET_LOADING_START, { file, type });
+    options.onStatus?.(LOAD_STATUS.LOADING);
+
+    const manager = loader.loadingManager;
+    let siblingResolver = null;
+    if (options.siblings?.size && manager) {
+      siblingResolver = createSiblingURLModifier(options.siblings);
+      this.siblingResolvers.push(siblingResolver);
+      Logger.log(`[AssetLoader] Serving ${options.siblings.size} sibling files for ${file.name}`);
+    }
+    const baseModifier = options.baseURL && manager ? createBaseURLModifier(options.baseURL) : null;
+    if (siblingResolver || baseModifier) {
+      // Sibling files win; anything else is fetched relative to the model URL
+      manager.setURLModifier((url) => {
+        const resolved = siblingResolver ? siblingResolver.modifier(url) : url;
+        return resolved === url && baseModifier ? baseModifier(url) : resolved;
+      });
+    }
+
+    if (manager) {
+      // Textures that fail to load end up here; FBX and OBJ keep loading textures after
+      // the model resolves, so late failures update the published report
+      manager.onError = (url) => {
+        const path = stripBlobBase(url);
+        // The model file itself, or embedded data, is not a missing reference
+        if (/^data:/i.test(path) || isObjectURLPath(path)) return;
+        diagnostics.addUnresolvedTexture(path);
+        if (diagnostics.finished) {
+          diagnostics.refresh();
+          this.eventSystem?.emit(EVENTS.LOAD_DIAGNOSTICS, { report: diagnostics.report, updated: true });
+        }
+      };
+    }
+
+    const releaseResolvers = () => {
+      if (siblingResolver || baseModifier) {
+        manager.setURLModifier(undefined);
+      }
+      if (siblingResolver && signal?.aborted) {
+        siblingResolver.dispose();
+        this.siblingResolvers = this.siblingResolvers.filter(resolver => resolver !== siblingResolver);
+      }
+    };
+
+    // Loader promise that is still running after a cancel
+    let pending = null;
 
     try {
-      let result;
-      const textureResolver = this.createTextureResolver();
+      const textureResolver = this.createTextureResolver(diagnostics);
+      let readDone = false;
+      const loadOptions = {
+        ...options,
+        onProgress: (event) => {
+          options.onProgress?.(event);
+          if (event?.total && event.loaded >= event.total) {
+            options.onStatus?.(LOAD_STATUS.PARSING);
+            if (!readDone) {
+              readDone = true;
+              diagnostics.mark('read');
+            }
+          }
+        }
+      };
 
-      if (extension === 'fbx') {
+      if (type === 'fbx') {
         const fbxLoader = loader;
         fbxLoader.textureResolver = textureResolver;
         this.rendererManager?.renderer && fbxLoader.init(this.rendererManager.renderer);
-        result = await this.loadWithProgress(fbxLoader, file, options);
-      } else {
-        result = await this.loadWithProgress(loader, file, options);
+      } else if ('textureResolver' in loader) {
+        // OBJ, Collada and 3DS resolve referenced textures through the resolver first,
+        // then through the URL modifier; OBJ also finds its mtllib in the siblings
+        loader.textureResolver = textureResolver;
+        if ('siblings' in loader) {
+          loader.siblings = options.siblings || null;
+        }
       }
+      pending = this.loadWithProgress(loader, loadFile, loadOptions);
+      const result = await whenNotAborted(pending, signal);
+      pending = null;
+      diagnostics.mark(readDone ? 'parse' : 'load');
+
+      const model = this.getModelRoot(result);
+
+      if (this.stateManager?.getAppState().zipTextures?.size) {
+        options.onStatus?.(LOAD_STATUS.APPLYING_TEXTURES);
+        await this.applyTexturesToModel(model);
+        diagnostics.mark('textures');
+      }
+
+      if (signal?.aborted) {
+        disposeMaterialResources(model);
+        throw signal.reason ?? createAbortError();
+      }
+
+      diagnostics.analyzeModel(model);
+      diagnostics.mark('analyze');
+      this.publishDiagnostics(diagnostics, model);
 
       this.eventSystem?.emit(EVENTS.MODEL_LOADED, {
-        model: result,
+        model,
         source: file.name,
-        type: extension
+        type,
+        formatLabel: format.label
       });
       Logger.log('[AssetLoader] Fired MODEL_LOADED event');
       Logger.log(`[Perf] loadModel() for ${file.name} took: ${(performance.now() - start).toFixed(2)}ms`);
-      return result;
+      return model;
     } catch (error) {
+      if (isAbortError(error)) {
+        Logger.log(`[AssetLoader] Loading cancelled: ${file.name}`);
+        throw error;
+      }
+      pending = null;
       Logger.error('[AssetLoader] Error loading model:', error);
+      diagnostics.fail(error);
+      this.publishDiagnostics(diagnostics, null);
       this.eventSystem?.emit(EVENTS.ASSET_LOAD_ERROR, {
         file,
         error: error.message,
-        type: extension
+        type
       });
       throw error;
     } finally {
-      this.eventSystem?.emit(EVENTS.ASSET_LOADING_END, { file, type: extension });
+      if (pending) {
+        // Cancelled mid-load: dispose whatever the loader still produces, then release it
+        const settled = pending
+          .then(result => disposeMaterialResources(this.getModelRoot(result)))
+          .catch(() => {})
+          .finally(() => {
+            releaseResolvers();
+            this.busyLoaders.delete(loader);
+            Logger.log(`[AssetLoader] Cleaned up cancelled load: ${file.name}`);
+          });
+        this.busyLoaders.set(loader, settled);
+      } else {
+        releaseResolvers();
+      }
+      this.eventSystem?.emit(EVENTS.ASSET_LOADING_END, { file, type });
+    }
+  }
+
+  /**
+   * Fetch a remote file for loading. The name (and so the format) comes from
+   * Content-Disposition when the server sends it (cross-origin servers must list it
+   * in Access-Control-Expose-Headers), otherwise from the URL path or Content-Type.
+   * @param {string} url - Absolute or page-relative URL
+   * @param {function(number):void} [onProgress] - Download progress (0-1)
+   * @param {AbortSignal} [signal] - Aborts the download
+   * @returns {Promise<{file: File, url: string}>} The file and its final URL
+   */
+  async fetchFile(url, onProgress, signal) {
+    try {
+      return await fetchFileFromURL(url, onProgress, signal);
+    } catch (error) {
+      if (!isAbortError(error)) {
+        this.eventSystem?.emit(EVENTS.ASSET_LOAD_ERROR, { url, error: error.message, type: 'url' });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load any supported model, or a ZIP with models, from a URL.
+   * Resources the model references (.bin, textures, mtllib) are fetched relative to its URL.
+   * @param {string} url - Absolute or page-relative URL
+   * @param {Object} [options]
+   * @param {function(number):void} [options.onProgress] - Download progress (0-1)
+   * @param {AbortSignal} [options.signal] - Cancels the download and the loads that follow
+   * @param {function(string):void} [options.onStatus] - Receives LOAD_STATUS values
+   * @returns {Promise<THREE.Object3D[]>} The loaded model roots
+   */
+  async loadFromURL(url, options = {}) {
+    const { signal, onStatus } = options;
+    const { file, url: fileURL } = await this.fetchFile(url, options.onProgress, signal);
+
+    const format = file.name.toLowerCase().endsWith('.zip') ? null : await this.detectFormat(file);
+    if (!format && (file.name.toLowerCase().endsWith('.zip') || isZIP(await readFileHeader(file)))) {
+      const archive = await this.loadZIP(file, null, signal);
+      const models = [];
+      for (const modelFile of archive.modelFiles) {
+        models.push(await this.loadModel(modelFile, { siblings: archive.siblings, signal, onStatus }));
+      }
+      return models;
+    }
+
+    if (!format) {
+      throw new Error(`Unsupported file format: ${file.name}`);
+    }
+
+    // OBJ reads its mtllib from sibling files, so fetch the referenced libraries up front
+    const siblings = format.id === 'obj'
+      ? await this.fetchMaterialLibraries(file, fileURL, signal)
+      : null;
+
+    return [await this.loadModel(file, { format, siblings, baseURL: fileURL, signal, onStatus })];
+  }
+
+  /**
+   * Fetch the MTL files an OBJ references, relative to the OBJ's URL.
+   * @param {File} objFile - The fetched .obj file
+   * @param {string} baseURL - URL of the .obj file
+   * @param {AbortSignal} [signal] - Aborts the downloads
+   * @returns {Promise<Map<string, File>>} Sibling map with the libraries that could be fetched
+   */
+  async fetchMaterialLibraries(objFile, baseURL, signal) {
+    const names = OBJLoaderWrapper.parseMaterialLibraries(await objFile.text());
+    if (names.length === 0) {
+      names.push(objFile.name.replace(/\.obj$/i, '.mtl'));
+    }
+
+    const files = [];
+    for (const name of names) {
+      try {
+        const { file } = await fetchFileFromURL(new URL(name, baseURL).href, null, signal);
+        files.push(new File([file], name.split(/[\\/]/).pop(), { type: file.type }));
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        Logger.warn(`[AssetLoader] Material library not available: ${name}`, error);
+      }
+    }
+    return createSiblingMap(files);
+  }
+
+  /**
+   * Keep a finished diagnostics report and announce it (EVENTS.LOAD_DIAGNOSTICS)
+   * @param {LoadDiagnostics} diagnostics
+   * @param {THREE.Object3D|null} model - The loaded model, or null if the load failed
+   */
+  publishDiagnostics(diagnostics, model) {
+    const report = diagnostics.finish();
+    this.loadReports.push(report);
+    if (this.loadReports.length > MAX_LOAD_REPORTS) {
+      this.loadReports.shift();
     }
+    if (model) {
+      this.modelReports.set(model, report);
+    }
+    Logger.log(`[AssetLoader] Diagnostics for ${report.file}: ${report.status}, ${report.issueCount} issues, ${report.totalMs}ms`);
+    this.eventSystem?.emit(EVENTS.LOAD_DIAGNOSTICS, { report, model });
+  }
+
+  /**
+   * @param {THREE.Object3D} model - A model root returned by loadModel()
+   * @returns {Object|null} Its diagnostics report
+   */
+  getDiagnostics(model) {
+    return this.modelReports.get(model) || null;
+  }
+
+  clearDiagnostics() {
+    this.loadReports = [];
+    this.eventSystem?.emit(EVENTS.LOAD_DIAGNOSTICS, { report: null, model: null });
+  }
+
+  /**
+   * Loaders like GLTFLoader resolve to a container ({ scene, animations, ... }) rather than an Object3D.
+   * @param {THREE.Object3D|Object} result - Raw loader result
+   * @returns {THREE.Object3D} The model root with animations attached
+   */
+  getModelRoot(result) {
+    if (result?.isObject3D) return result;
+
+    const root = result?.scene;
+    if (!root?.isObject3D) {
+      throw new Error('Loader returned no scene');
+    }
+    if (result.animations?.length && !root.animations?.length) {
+      root.animations = result.animations;
+    }
+    return root;
   }
 
   async loadWithProgress(loader, file, options = {}) {
@@ -101,19 +551,79 @@ export class AssetLoader {
     });
   }
 
-  createTextureResolver() {
+  /**
+   * Set the texture remap rules used by the resolver and applyTexturesToModel()
+   * @param {Array<{from: string, to: string}>} rules - e.g. { from: '*_D.tga', to: '*_BaseColor.png' }
+   */
+  setTextureRemapRules(rules) {
+    this.textureRemapRules = Array.isArray(rules) ? rules : [];
+  }
+
+  /**
+   * Set the naming profile applyTexturesToModel() uses to match ZIP textures to materials
+   * @param {Object|null} profile - See utils/textureNaming.js
+   */
+  setTextureNamingProfile(profile) {
+    this.textureNamingProfile = profile || null;
+  }
+
+  /**
+   * Set the memory budget for decoded ZIP textures, see LazyTextureMap
+   * @param {number} bytes - 0 for no limit
+   */
+  setTextureBudget(bytes) {
+    this.textureBudget = Math.max(0, Number(bytes) || 0);
+    this.stateManager?.getAppState().zipTextures?.setBudget?.(this.textureBudget);
+  }
+
+  /**
+   * Textures the materials of the loaded models use; LazyTextureMap only evicts the others
+   * @returns {Set<THREE.Texture>}
+   */
+  getTexturesInUse() {
+    const textures = new Set();
+    (this.stateManager?.getModels() || []).forEach(model => model.traverse(object => {
+      if (!object.material) return;
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      materials.filter(Boolean).forEach(material => {
+        Object.values(material).forEach(value => {
+          if (value?.isTexture) textures.add(value);
+        });
+      });
+    }));
+    return textures;
+  }
+
+  /**
+   * Hand the budget and the usage check to a newly indexed texture map
+   * @private
+   */
+  _configureTextureMap(zipTextures) {
+    zipTextures.setBudget(this.textureBudget);
+    zipTextures.setUsageCheck(() => this.getTexturesInUse());
+  }
+
+  /**
+   * Create a resolver that serves textures registered from ZIP archives to the loaders
+   * @param {LoadDiagnostics} [diagnostics] - Records paths the archives do not contain
+   * @returns {function(string):THREE.Texture|null}
+   */
+  createTextureResolver(diagnostics) {
     const zipTextures = this.stateManager?.getAppState().zipTextures;
     
     return (path) => {
       if (!path || !zipTextures?.size) return null;
       
-      const texture = matchTexturePath(path, zipTextures);
+      const texture = matchTexturePath(path, zipTextures, this.textureRemapRules);
       
       if (texture) {
         Logger.log(`[AssetLoader] Texture resolver found: ${path} -> ${texture.name}`);
+        // Start decoding while the model parses; applyTexturesToModel() waits for it
+        zipTextures.load?.([texture]);
         return texture;
       } else {
         Logger.warn(`[AssetLoader] Texture resolver failed to find: ${path}`);
+        diagnostics?.addResolverMiss(path);
         return null;
       }
     };
@@ -124,6 +634,7 @@ export class AssetLoader {
       this.eventSystem?.emit(EVENTS.TEXTURE_LOADING_START, { zipFile });
       
       const zipTextures = await loadTexturesFromZIP(zipFile, THREE, onProgress);
+      this._configureTextureMap(zipTextures);
       
       this.stateManager?.updateAppState({
         zipTextures,
@@ -148,6 +659,73 @@ export class AssetLoader {
     }
   }
 
+  /**
+   * Open a ZIP archive that may contain models together with their textures and sibling files.
+   * Textures from the archive are always registered in app state (like loadTexturesFromZIP),
+   * so FBX texture resolution and applyTexturesToModel() work for the packed models.
+   * @param {File} zipFile - The ZIP archive
+   * @param {function(number):void} [onProgress] - Progress callback (0-1)
+   * @param {AbortSignal} [signal] - Cancels the import; textures created so far are disposed
+   * @returns {Promise<{modelFiles: File[], siblings: Map<string, File>, textureCount: number}>}
+   */
+  async loadZIP(zipFile, onProgress, signal) {
+    try {
+      this.eventSystem?.emit(EVENTS.TEXTURE_LOADING_START, { zipFile });
+
+      const files = await extractFilesFromZIP(zipFile, null, (p) => onProgress?.(p * 0.5));
+      signal?.throwIfAborted();
+      const modelFiles = [];
+      for (const [path, file] of files) {
+        if (this.isModelFile(path)) {
+          modelFiles.push(file);
+        }
+      }
+      Logger.log(`[AssetLoader] ZIP ${zipFile.name}: ${files.size} files, ${modelFiles.length} models`);
+
+      const zipTextures = await loadTexturesFromFiles(files, THREE, (p) => onProgress?.(0.5 + p * 0.5));
+      if (signal?.aborted) {
+        zipTextures.dispose();
+        throw signal.reason ?? createAbortError();
+      }
+      this._configureTextureMap(zipTextures);
+
+      this.stateManager?.updateAppState({
+        zipTextures,
+        currentZipFile: zipFile
+      });
+
+      this.eventSystem?.emit(EVENTS.TEXTURES_LOADED, {
+        count: zipTextures.size,
+        zipFile
+      });
+
+      return {
+        modelFiles,
+        siblings: createSiblingMap(files),
+        textureCount: zipTextures.size
+      };
+    } catch (error) {
+      if (!isAbortError(error)) {
+        this.eventSystem?.emit(EVENTS.ASSET_LOAD_ERROR, {
+          zipFile,
+          error: error.message,
+          type: 'zip'
+        });
+      }
+      throw error;
+    } finally {
+      this.eventSystem?.emit(EVENTS.TEXTURE_LOADING_END, { zipFile });
+    }
+  }
+
+  /**
+   * Revoke object URLs handed out for sibling files of previously loaded models
+   */
+  releaseSiblingFiles() {
+    this.siblingResolvers.forEach(resolver => resolver.dispose());
+    this.siblingResolvers = [];
+  }
+
   async applyTexturesToModel(model) {
     const zipTextures = this.stateManager?.getAppState().zipTextures;
     
@@ -156,8 +734,18 @@ export class AssetLoader {
         Logger.log(`[AssetLoader] Applying ${zipTextures.size} ZIP textures to model: ${model.name || model.uuid}`);
         
         // Import the applyTexturesFromMap function and await its completion
-        const { applyTexturesFromMap } = await import('../Materials.js');
-        applyTexturesFromMap(model, zipTextures);
+        const { applyTexturesFromMap, resolveTextureReferences, findTexturesForModel } = await import('../Materials.js');
+        const options = { profile: this.textureNamingProfile || undefined };
+        // ZIP textures are decoded on demand: only the ones this model uses
+        // (packed maps are split by pixel, so they must be decoded before they are applied)
+        await zipTextures.load?.(findTexturesForModel(model, zipTextures, options));
+        applyTexturesFromMap(model, zipTextures, options);
+        // References that failed to load before this pack was applied
+        const remapped = resolveTextureReferences(model, zipTextures, this.textureRemapRules);
+        if (remapped) {
+          Logger.log(`[AssetLoader] Resolved ${remapped} missing texture slots from ZIP`);
+          await zipTextures.load?.(findTexturesForModel(model, zipTextures, options));
+        }
         this.eventSystem?.emit(EVENTS.TEXTURE_APPLIED, {
           model,
           textureCount: zipTextures.size
@@ -179,8 +767,10 @@ export class AssetLoader {
   clearTextures() {
     const zipTextures = this.stateManager?.getAppState().zipTextures;
     
-    // Dispose all textures
-    if (zipTextures) {
+    // Dispose all textures (a LazyTextureMap also releases its archive)
+    if (zipTextures?.dispose) {
+      zipTextures.dispose();
+    } else if (zipTextures) {
       for (const [path, texture] of zipTextures) {
         if (texture && texture.dispose) {
           texture.dispose();
@@ -226,13 +816,16 @@ export class AssetLoader {
   }
 
   dispose() {
-    // Clean up loaders
-    this.loaders.forEach(loader => {
+    this.loadQueue.cancelAll();
+
+    // Clean up loaders (several formats may share one)
+    new Set(this.formats.getAll().map(format => format.loader)).forEach(loader => {
       if (loader.dispose) {
         loader.dispose();
       }
     });
-    this.loaders.clear();
+    this.formats.clear();
+    this.releaseSiblingFiles();
     
     // Clear textures
     this.clearTextures();
@@ -10,10 +10,25 @@ export const EVENTS = {
   SELECTION_MODE_CHANGED: 'selection_mode_changed',
   SCENE_CLEARED: 'scene-cleared',
   
+  // Asset loading events
+  ASSET_LOADING_START: 'asset-loading-start',
+  ASSET_LOADING_END: 'asset-loading-end',
+  ASSET_PROGRESS: 'asset-progress',
+  LOAD_QUEUE_UPDATED: 'load-queue-updated',
+  FORMAT_REGISTERED: 'format-registered',
+  RECENT_FILES_CHANGED: 'recent-files-changed',
+  LOAD_DIAGNOSTICS: 'load-diagnostics',
+  HDRI_LOADING_START: 'hdri-loading-start',
+  HDRI_LOADING_END: 'hdri-loading-end',
+  HDRI_LOADED: 'hdri-loaded',
+
   // Texture events
+  TEXTURE_LOADING_START: 'texture-loading-start',
+  TEXTURE_LOADING_END: 'texture-loading-end',
   TEXTURES_LOADED: 'textures-loaded',
   TEXTURE_APPLIED: 'texture-applied',
   ZIP_TEXTURES_CLEARED: 'zip-textures-cleared',
+  MATERIAL_LIBRARY_CHANGED: 'material-library-changed',
   
   // Animation events
   ANIMATION_PLAY: 'animation-play',
@@ -50,6 +65,11 @@ export const EVENTS = {
   RENDER_SETTINGS_CHANGED: 'render-settings-changed',
   LIGHTING_SETTINGS_CHANGED: 'lighting-settings-changed',
   
+  // Export events
+  EXPORT_START: 'export-start',
+  EXPORT_COMPLETE: 'export-complete',
+  EXPORT_ERROR: 'export-error',
+  
   // Error events
   ERROR_OCCURRED: 'error-occurred',
   ASSET_LOAD_ERROR: 'asset-load-error'
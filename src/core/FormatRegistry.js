@@ -0,0 +1,179 @@
+import { readFileHeader } from '../utils/formatSniffers.js';
+import Logger from './Logger.js';
+
+/**
+ * Get the lowercase extension of a file name, without the dot
+ * @param {string} fileName - File name or archive path
+ * @returns {string} The extension, or '' if the name has none
+ */
+export function getFileExtension(fileName) {
+  const base = String(fileName || '').split(/[\\/]/).pop();
+  const dot = base.lastIndexOf('.');
+  return dot > 0 ? base.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * FormatRegistry
+ * Model formats known to AssetLoader: which loader handles which extensions and MIME types,
+ * and how to recognize a file by its first bytes.
+ *
+ * A format descriptor:
+ *   {
+ *     id: 'fbx',                          // unique id, reported as the model type
+ *     label: 'FBX',                       // display name (defaults to the upper-case id)
+ *     extensions: ['fbx'],                // with or without the leading dot
+ *     mimeTypes: ['application/x-fbx'],   // optional
+ *     sniff: (header, file) => boolean,   // optional magic-byte check, see formatSniffers.js
+ *     loader                              // wrapper with loadFromFile(file, onProgress)
+ *   }
+ *
+ * Sniffers run in registration order, so formats with a strong signature should come
+ * before text formats recognized by a heuristic.
+ */
+export class FormatRegistry {
+  constructor() {
+    this.formats = new Map();
+  }
+
+  /**
+   * Register a format, replacing a format with the same id
+   * @param {Object} format - Format descriptor (see above)
+   * @returns {Object} The normalized descriptor
+   */
+  register(format) {
+    if (!format?.id) {
+      throw new Error('Format id is required');
+    }
+    if (typeof format.loader?.loadFromFile !== 'function') {
+      throw new Error(`Format ${format.id} needs a loader with loadFromFile()`);
+    }
+
+    const normalized = {
+      ...format,
+      label: format.label || format.id.toUpperCase(),
+      extensions: (format.extensions || []).map(ext => ext.replace(/^\./, '').toLowerCase()),
+      mimeTypes: (format.mimeTypes || []).map(type => type.toLowerCase()),
+      sniff: typeof format.sniff === 'function' ? format.sniff : null
+    };
+
+    if (this.formats.has(normalized.id)) {
+      Logger.warn(`[FormatRegistry] Replacing format ${normalized.id}`);
+    }
+    this.formats.set(normalized.id, normalized);
+    Logger.log(`[FormatRegistry] Registered ${normalized.label} (${normalized.extensions.join(', ') || 'no extensions'})`);
+    return normalized;
+  }
+
+  /**
+   * @param {string} id - Format id
+   * @returns {boolean} True if the format was registered
+   */
+  unregister(id) {
+    return this.formats.delete(id);
+  }
+
+  clear() {
+    this.formats.clear();
+  }
+
+  get(id) {
+    return this.formats.get(id) || null;
+  }
+
+  getAll() {
+    return Array.from(this.formats.values());
+  }
+
+  /**
+   * Find a format by file extension. Later registrations win, so an in-house
+   * format can take over an extension from a built-in one.
+   * @param {string} extension - Extension without the dot
+   * @returns {Object|null}
+   */
+  getByExtension(extension) {
+    if (!extension) return null;
+    const formats = this.getAll();
+    for (let i = formats.length - 1; i >= 0; i--) {
+      if (formats[i].extensions.includes(extension)) return formats[i];
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} mimeType - MIME type, parameters are ignored
+   * @returns {Object|null}
+   */
+  getByMimeType(mimeType) {
+    const type = mimeType?.split(';')[0].trim().toLowerCase();
+    if (!type) return null;
+    return this.getAll().find(format => format.mimeTypes.includes(type)) || null;
+  }
+
+  /**
+   * Find the format of a file by name only
+   * @param {string} fileName - File name or archive path
+   * @returns {Object|null}
+   */
+  getByFileName(fileName) {
+    return this.getByExtension(getFileExtension(fileName));
+  }
+
+  /**
+   * Run the sniffers over a file header
+   * @param {Uint8Array} header - First bytes of the file
+   * @param {Blob} file - The file (sniffers may check its size)
+   * @param {Object} [skip] - Format already ruled out
+   * @returns {Object|null}
+   */
+  sniff(header, file, skip = null) {
+    for (const format of this.formats.values()) {
+      if (format !== skip && this._matches(format, header, file)) return format;
+    }
+    return null;
+  }
+
+  /**
+   * @returns {boolean} True if the format's sniffer accepts the header; a throwing sniffer does not
+   * @private
+   */
+  _matches(format, header, file) {
+    if (!format.sniff) return false;
+    try {
+      return !!format.sniff(header, file);
+    } catch (error) {
+      Logger.warn(`[FormatRegistry] Sniffer for ${format.id} failed:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Detect the format of a file. The extension is trusted unless its format has a
+   * sniffer that rejects the file and another format recognizes it; files without a
+   * known extension are matched by their first bytes, then by MIME type.
+   * @param {File} file - The file to inspect
+   * @returns {Promise<Object|null>} The format descriptor, or null if nothing matches
+   */
+  async detect(file) {
+    if (!file) return null;
+
+    const byName = this.getByFileName(file.name);
+    if (byName && !byName.sniff) return byName;
+
+    const header = await readFileHeader(file);
+    if (byName) {
+      if (this._matches(byName, header, file)) return byName;
+      const sniffed = this.sniff(header, file, byName);
+      if (sniffed) {
+        Logger.log(`[FormatRegistry] ${file.name} looks like ${sniffed.label}, not ${byName.label}`);
+        return sniffed;
+      }
+      return byName;
+    }
+
+    const sniffed = this.sniff(header, file) || this.getByMimeType(file.type);
+    if (sniffed) {
+      Logger.log(`[FormatRegistry] Detected ${sniffed.label} for ${file.name}`);
+    }
+    return sniffed;
+  }
+}
@@ -0,0 +1,127 @@
+import Logger from './Logger.js';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} The request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * IndexedDBStore
+ * Promise-based key/value store on a single IndexedDB object store.
+ * Unlike Settings (localStorage), values may hold Blobs and Files, so it is meant for
+ * model files, thumbnails and other binary data. Each store lives in its own database,
+ * so modules can add stores without coordinating schema versions.
+ *
+ * Usage:
+ *   const store = new IndexedDBStore('viewer.recentFiles', 'entries');
+ *   await store.put({ id: 'a', files: [file] });
+ *   const entries = await store.getAll();
+ */
+export class IndexedDBStore {
+  /**
+   * @param {string} dbName - Database name
+   * @param {string} storeName - Object store name
+   * @param {string} [keyPath='id'] - Property used as the key of stored values
+   */
+  constructor(dbName, storeName, keyPath = 'id') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.keyPath = keyPath;
+    this._dbPromise = null;
+  }
+
+  /**
+   * @returns {boolean} True if IndexedDB is available in this browser context
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and create on first use) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this._dbPromise) return this._dbPromise;
+
+    this._dbPromise = new Promise((resolve, reject) => {
+      if (!IndexedDBStore.isSupported()) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: this.keyPath });
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another tab upgrading the database needs this connection closed
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => Logger.warn(`[IndexedDBStore] Opening ${this.dbName} is blocked by another tab`);
+    });
+
+    // Allow a retry after a failed open
+    this._dbPromise.catch(error => {
+      Logger.warn(`[IndexedDBStore] Failed to open ${this.dbName}:`, error);
+      this._dbPromise = null;
+    });
+    return this._dbPromise;
+  }
+
+  /**
+   * Run a request against the object store in its own transaction
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @param {function(IDBObjectStore):IDBRequest} action - Creates the request
+   * @returns {Promise<*>} The request result, once the transaction has completed
+   * @private
+   */
+  async _run(mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      let result;
+      promisify(action(transaction.objectStore(this.storeName))).then(value => { result = value; }, () => {});
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  get(key) {
+    return this._run('readonly', store => store.get(key));
+  }
+
+  getAll() {
+    return this._run('readonly', store => store.getAll());
+  }
+
+  put(value) {
+    return this._run('readwrite', store => store.put(value));
+  }
+
+  delete(key) {
+    return this._run('readwrite', store => store.delete(key));
+  }
+
+  clear() {
+    return this._run('readwrite', store => store.clear());
+  }
+
+  close() {
+    this._dbPromise?.then(db => db.close(), () => {});
+    this._dbPromise = null;
+  }
+}
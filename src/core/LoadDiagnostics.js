@@ -0,0 +1,250 @@
+import * as THREE from 'three';
+import { getEnhancedMaterialType } from '../Materials.js';
+
+// Texture slots enhanceMaterial() does not carry over when it converts a material
+// (a Phong specular map is a gray level, not the alpha-channel intensity map of the physical material)
+const DROPPED_MAP_SLOTS = ['specularMap', 'envMap'];
+
+// Triangles with an area below this (relative to their longest edge squared) count as degenerate
+const DEGENERATE_AREA_RATIO = 1e-10;
+
+let nextReportId = 1;
+
+/**
+ * LoadDiagnostics
+ * Collects a structured report for one model load: phase timings, textures that could not be
+ * resolved, materials enhanceMaterial() will convert, geometry problems and loader warnings.
+ * AssetLoader creates one per loadModel() call; the report is plain JSON so it can be exported.
+ *
+ * Usage:
+ *   const diagnostics = new LoadDiagnostics(file, 'fbx');
+ *   diagnostics.mark('read');          // ends the running phase
+ *   diagnostics.addUnresolvedTexture('textures/wood.png');
+ *   diagnostics.analyzeModel(model);
+ *   const report = diagnostics.finish();
+ */
+export class LoadDiagnostics {
+  /**
+   * @param {File} file - The model file
+   * @param {string} [format] - Detected format id
+   */
+  constructor(file, format = null) {
+    this.report = {
+      id: nextReportId++,
+      file: file?.name || '',
+      size: file?.size || 0,
+      format,
+      startedAt: new Date().toISOString(),
+      status: 'loading',
+      timings: {},
+      totalMs: 0,
+      textures: { unresolved: [], missingFromZIP: [] },
+      materials: { count: 0, converted: [] },
+      geometry: { meshes: 0, nonIndexed: [], degenerate: [], invalidBounds: [], empty: [] },
+      warnings: [],
+      error: null,
+      issueCount: 0
+    };
+    this._start = performance.now();
+    this._phaseStart = this._start;
+    this.finished = false;
+  }
+
+  /**
+   * End the running phase and record its duration
+   * @param {string} phase - Name of the phase that just finished
+   */
+  mark(phase) {
+    const now = performance.now();
+    this.report.timings[phase] = (this.report.timings[phase] || 0) + Math.round((now - this._phaseStart) * 100) / 100;
+    this._phaseStart = now;
+  }
+
+  setFormat(format) {
+    this.report.format = format;
+  }
+
+  /**
+   * A texture the loader could not fetch (neither in the ZIP, nor a sibling, nor on the server)
+   * @param {string} path - Path as referenced by the model
+   */
+  addUnresolvedTexture(path) {
+    if (path && !this.report.textures.unresolved.includes(path)) {
+      this.report.textures.unresolved.push(path);
+    }
+  }
+
+  /**
+   * A texture path the ZIP texture resolver did not find; the loader may still find it elsewhere
+   * @param {string} path - Path as referenced by the model
+   */
+  addResolverMiss(path) {
+    if (path && !this.report.textures.missingFromZIP.includes(path)) {
+      this.report.textures.missingFromZIP.push(path);
+    }
+  }
+
+  /**
+   * @param {string} source - Where the warning comes from ('loader', 'fbx', ...)
+   * @param {string} message
+   */
+  addWarning(source, message) {
+    this.report.warnings.push({ source, message });
+  }
+
+  /**
+   * Inspect the loaded model: loader warnings, materials and geometry
+   * @param {THREE.Object3D} model - The model root
+   */
+  analyzeModel(model) {
+    (model.userData?.loadWarnings || []).forEach(message => this.addWarning(this.report.format || 'loader', message));
+
+    const materials = new Set();
+    model.traverse(object => {
+      if (!object.isMesh && !object.isPoints && !object.isLine) return;
+
+      const list = Array.isArray(object.material) ? object.material : [object.material];
+      list.filter(Boolean).forEach(material => {
+        if (materials.has(material)) return;
+        materials.add(material);
+        if (object.isMesh) this._checkMaterial(material);
+      });
+
+      if (object.geometry?.isBufferGeometry) {
+        this.report.geometry.meshes++;
+        this._checkGeometry(object);
+      }
+    });
+    this.report.materials.count = materials.size;
+  }
+
+  /**
+   * enhanceMaterial() turns every non-standard material into a MeshStandardMaterial (or a
+   * MeshPhysicalMaterial for Phong specular); environment maps and Phong specular maps are lost
+   * @private
+   */
+  _checkMaterial(material) {
+    const target = getEnhancedMaterialType(material);
+    if (!target) return;
+
+    const droppedMaps = DROPPED_MAP_SLOTS.filter(slot => material[slot]?.isTexture);
+    const droppedProperties = [];
+    if (material.envMap && material.reflectivity !== undefined) droppedProperties.push('reflectivity');
+
+    this.report.materials.converted.push({
+      name: material.name || material.uuid,
+      type: material.type,
+      target,
+      droppedMaps,
+      droppedProperties
+    });
+  }
+
+  /**
+   * @private
+   */
+  _checkGeometry(object) {
+    const geometry = object.geometry;
+    const name = object.name || geometry.name || object.uuid;
+    const position = geometry.attributes.position;
+
+    if (!position || position.count === 0) {
+      this.report.geometry.empty.push(name);
+      return;
+    }
+
+    // Non-finite coordinates make the bounding box (and framing, culling, raycasts) NaN
+    let invalid = 0;
+    for (let i = 0; i < position.count; i++) {
+      if (!Number.isFinite(position.getX(i)) || !Number.isFinite(position.getY(i)) || !Number.isFinite(position.getZ(i))) {
+        invalid++;
+      }
+    }
+    if (invalid) {
+      this.report.geometry.invalidBounds.push({ name, vertices: invalid });
+    }
+
+    if (!object.isMesh) return;
+
+    const index = geometry.index;
+    if (!index) {
+      this.report.geometry.nonIndexed.push({ name, vertices: position.count });
+    }
+
+    const degenerate = countDegenerateTriangles(position, index);
+    if (degenerate) {
+      this.report.geometry.degenerate.push({ name, triangles: degenerate });
+    }
+  }
+
+  /**
+   * Record a failed load
+   * @param {Error|string} error
+   */
+  fail(error) {
+    this.report.error = error?.message || String(error);
+  }
+
+  /**
+   * Close the report: fix the total time and derive the status from the findings
+   * @param {string} [status] - Final status ('cancelled'); derived when omitted
+   * @returns {Object} The report
+   */
+  finish(status) {
+    if (!this.finished) {
+      this.report.totalMs = Math.round((performance.now() - this._start) * 100) / 100;
+      this.finished = true;
+    }
+    this.refresh(status);
+    return this.report;
+  }
+
+  /**
+   * Recount issues after a finding arrived late (textures keep loading after the model)
+   * @param {string} [status] - Status to keep instead of the derived one
+   */
+  refresh(status) {
+    const { textures, materials, geometry, warnings } = this.report;
+    this.report.issueCount = textures.unresolved.length + materials.converted.length +
+      geometry.degenerate.length + geometry.invalidBounds.length + geometry.empty.length + warnings.length;
+    this.report.status = status || (this.report.error ? 'failed' : this.report.issueCount ? 'warnings' : 'ok');
+  }
+}
+
+/**
+ * Count zero-area triangles (repeated indices or collinear vertices)
+ * @param {THREE.BufferAttribute} position
+ * @param {THREE.BufferAttribute|null} index
+ * @returns {number}
+ */
+function countDegenerateTriangles(position, index) {
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const ab = new THREE.Vector3();
+  const ac = new THREE.Vector3();
+  const count = index ? index.count : position.count;
+  let degenerate = 0;
+
+  for (let i = 0; i + 2 < count; i += 3) {
+    const ia = index ? index.getX(i) : i;
+    const ib = index ? index.getX(i + 1) : i + 1;
+    const ic = index ? index.getX(i + 2) : i + 2;
+    if (ia === ib || ib === ic || ia === ic) {
+      degenerate++;
+      continue;
+    }
+
+    a.fromBufferAttribute(position, ia);
+    b.fromBufferAttribute(position, ib);
+    c.fromBufferAttribute(position, ic);
+    ab.subVectors(b, a);
+    ac.subVectors(c, a);
+    const edgeSq = Math.max(ab.lengthSq(), ac.lengthSq(), b.distanceToSquared(c));
+    const areaSq = ab.cross(ac).lengthSq();
+    if (areaSq <= edgeSq * edgeSq * DEGENERATE_AREA_RATIO) {
+      degenerate++;
+    }
+  }
+  return degenerate;
+}
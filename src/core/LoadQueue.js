@@ -0,0 +1,192 @@
+import { EVENTS } from './EventSystem.js';
+import Logger from './Logger.js';
+
+/**
+ * Per-file load status shown in the loading overlay
+ */
+export const LOAD_STATUS = {
+  QUEUED: 'queued',
+  LOADING: 'loading',
+  PARSING: 'parsing',
+  APPLYING_TEXTURES: 'applying-textures',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+export const FINISHED_STATUSES = new Set([LOAD_STATUS.DONE, LOAD_STATUS.FAILED, LOAD_STATUS.CANCELLED]);
+
+/**
+ * Create the error a cancelled load rejects with
+ * @returns {DOMException}
+ */
+export function createAbortError() {
+  return new DOMException('Load cancelled', 'AbortError');
+}
+
+/**
+ * @param {*} error
+ * @returns {boolean} True if the error comes from a cancelled load
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Settle with the promise, or reject as soon as the signal aborts.
+ * three.js loaders cannot be interrupted, so the promise keeps running after an abort;
+ * the caller is responsible for cleaning up its late result.
+ * @param {Promise<*>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<*>}
+ */
+export function whenNotAborted(promise, signal) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason ?? createAbortError());
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * LoadQueue
+ * Runs load tasks one at a time and tracks their status for the UI.
+ * Every task gets its own AbortController; cancel() aborts it (or drops it if still queued).
+ * Emits EVENTS.LOAD_QUEUE_UPDATED with a snapshot of all items on every change.
+ *
+ * Usage:
+ *   const model = await queue.enqueue('car.fbx', ({ signal, setStatus, setProgress }) =>
+ *     assetLoader.loadModel(file, { signal, onStatus: setStatus }));
+ */
+export class LoadQueue {
+  constructor(eventSystem) {
+    this.eventSystem = eventSystem;
+    this.items = [];
+    this.nextId = 1;
+    this.running = false;
+  }
+
+  /**
+   * Add a task to the queue.
+   * @param {string} name - Display name (file name or URL)
+   * @param {function({signal: AbortSignal, setStatus: function(string):void, setProgress: function(number):void}):Promise<*>} task
+   * @returns {Promise<*>} Task result; rejects with an AbortError when cancelled
+   */
+  enqueue(name, task) {
+    const item = {
+      id: this.nextId++,
+      name,
+      status: LOAD_STATUS.QUEUED,
+      progress: 0,
+      error: null,
+      task,
+      controller: new AbortController()
+    };
+    const promise = new Promise((resolve, reject) => {
+      item.resolve = resolve;
+      item.reject = reject;
+    });
+
+    this.items.push(item);
+    this.notify();
+    this.run();
+    return promise;
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      let item;
+      while ((item = this.items.find(i => i.status === LOAD_STATUS.QUEUED))) {
+        await this.process(item);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async process(item) {
+    const { signal } = item.controller;
+    this.update(item, { status: LOAD_STATUS.LOADING });
+
+    try {
+      const result = await item.task({
+        signal,
+        setStatus: (status) => this.update(item, { status }),
+        setProgress: (progress) => this.update(item, { progress })
+      });
+      this.update(item, { status: LOAD_STATUS.DONE, progress: 1 });
+      item.resolve(result);
+    } catch (error) {
+      if (signal.aborted || isAbortError(error)) {
+        this.update(item, { status: LOAD_STATUS.CANCELLED });
+        item.reject(isAbortError(error) ? error : createAbortError());
+      } else {
+        this.update(item, { status: LOAD_STATUS.FAILED, error: error?.message || String(error) });
+        item.reject(error);
+      }
+    }
+  }
+
+  /**
+   * Cancel a queued or running task.
+   * @param {number} id - Item id
+   * @returns {boolean} False if the item is unknown or already finished
+   */
+  cancel(id) {
+    const item = this.items.find(i => i.id === id);
+    if (!item || FINISHED_STATUSES.has(item.status)) return false;
+
+    Logger.log(`[LoadQueue] Cancelling ${item.name}`);
+    item.controller.abort();
+    if (item.status === LOAD_STATUS.QUEUED) {
+      this.update(item, { status: LOAD_STATUS.CANCELLED });
+      item.reject(createAbortError());
+    }
+    return true;
+  }
+
+  cancelAll() {
+    this.items.forEach(item => this.cancel(item.id));
+  }
+
+  /**
+   * Drop finished items from the list
+   */
+  clearFinished() {
+    const remaining = this.items.filter(item => !FINISHED_STATUSES.has(item.status));
+    if (remaining.length !== this.items.length) {
+      this.items = remaining;
+      this.notify();
+    }
+  }
+
+  isActive() {
+    return this.items.some(item => !FINISHED_STATUSES.has(item.status));
+  }
+
+  /**
+   * @returns {Array<{id: number, name: string, status: string, progress: number, error: string|null}>}
+   */
+  getItems() {
+    return this.items.map(({ id, name, status, progress, error }) => ({ id, name, status, progress, error }));
+  }
+
+  update(item, changes) {
+    // Late callbacks from a cancelled task must not revive it
+    if (FINISHED_STATUSES.has(item.status)) return;
+    Object.assign(item, changes);
+    this.notify();
+  }
+
+  notify() {
+    this.eventSystem?.emit(EVENTS.LOAD_QUEUE_UPDATED, { items: this.getItems() });
+  }
+}
@@ -0,0 +1,127 @@
+import { IndexedDBStore } from './IndexedDBStore.js';
+import { EVENTS } from './EventSystem.js';
+import Logger from './Logger.js';
+import { formatPresetFile, parsePresetFile } from '../utils/materialPresets.js';
+
+/**
+ * MaterialLibrary
+ * Named material presets (parameters plus embedded textures, see utils/materialPresets.js)
+ * kept in IndexedDB, and imported from / exported to JSON library files.
+ * Emits EVENTS.MATERIAL_LIBRARY_CHANGED with the preset summaries (no material or texture data)
+ * on every change.
+ *
+ * Summary: { id, name, swatch, thumbnail, textureCount, createdAt }
+ */
+export class MaterialLibrary {
+  /**
+   * @param {EventSystem} eventSystem
+   */
+  constructor(eventSystem) {
+    this.eventSystem = eventSystem;
+    this.store = new IndexedDBStore('fbxViewer.materialLibrary', 'presets');
+  }
+
+  isSupported() {
+    return IndexedDBStore.isSupported();
+  }
+
+  /**
+   * Preset summaries, sorted by name
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    try {
+      const presets = await this.store.getAll();
+      return presets
+        .map(({ id, name, swatch, textures, createdAt }) => ({
+          id,
+          name,
+          swatch,
+          thumbnail: textures?.map?.image || null,
+          textureCount: Object.keys(textures || {}).length,
+          createdAt
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      Logger.warn('[MaterialLibrary] Failed to read presets:', error);
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} id - Preset id
+   * @returns {Promise<Object|null>} The full preset, or null if it cannot be read
+   */
+  async get(id) {
+    try {
+      return (await this.store.get(id)) || null;
+    } catch (error) {
+      Logger.warn(`[MaterialLibrary] Failed to read preset ${id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a preset built by createPreset(). A preset with the same name is replaced.
+   * @param {Object} preset - Preset without id
+   * @returns {Promise<Object|null>} The stored preset, or null if it could not be stored
+   */
+  async add(preset) {
+    try {
+      const existing = (await this.store.getAll()).find(item => item.name === preset.name);
+      const entry = { ...preset, id: existing?.id || `preset_${Date.now()}_${Math.random().toString(36).slice(2, 8)}` };
+      await this.store.put(entry);
+      Logger.log(`[MaterialLibrary] ${existing ? 'Updated' : 'Saved'} preset ${entry.name}`);
+      return entry;
+    } catch (error) {
+      Logger.warn(`[MaterialLibrary] Failed to store preset ${preset.name}:`, error);
+      return null;
+    } finally {
+      this.notify();
+    }
+  }
+
+  async remove(id) {
+    try {
+      await this.store.delete(id);
+    } catch (error) {
+      Logger.warn('[MaterialLibrary] Failed to remove preset:', error);
+    } finally {
+      this.notify();
+    }
+  }
+
+  /**
+   * JSON library file with every preset
+   * @returns {Promise<string>}
+   */
+  async exportJSON() {
+    return formatPresetFile(await this.store.getAll());
+  }
+
+  /**
+   * Add the presets of a library file; presets with the same id are replaced
+   * @param {string} text - File content
+   * @returns {Promise<number>} Number of imported presets
+   * @throws {Error} When the file is not a material library
+   */
+  async importJSON(text) {
+    const presets = parsePresetFile(text);
+    try {
+      for (const preset of presets) {
+        await this.store.put(preset);
+      }
+      Logger.log(`[MaterialLibrary] Imported ${presets.length} presets`);
+      return presets.length;
+    } finally {
+      this.notify();
+    }
+  }
+
+  /**
+   * Emit MATERIAL_LIBRARY_CHANGED with the current summaries
+   */
+  async notify() {
+    this.eventSystem?.emit(EVENTS.MATERIAL_LIBRARY_CHANGED, { presets: await this.list() });
+  }
+}
@@ -102,9 +102,10 @@ export class ModelGroupManager {
   }
 
   handleModelLoaded(data) {
-    const { model, source } = data;
+    const { model, source, formatLabel } = data;
     if (model) {
-      this.createGroupForModel(model, source);
+      // AssetLoader passes the file name as source and the detected format label
+      this.createGroupForModel(model, typeof source === 'string' ? { name: source, format: formatLabel } : source);
     }
   }
 
@@ -162,14 +163,16 @@ export class ModelGroupManager {
       filePath: source.path || '',
       loadTime: new Date().toISOString(),
       fileSize: source.size || 0,
-      format: this.detectFormat(source.name),
+      // Для файлов без расширения формат определяется по сигнатуре в AssetLoader
+      format: source.format || this.detectFormat(source.name),
       createdAt: new Date(),
       uuid: model.uuid
     };
 
-    // Извлечение FBX-специфичных метаданных
-    if (model.userData && model.userData.fbxMetadata) {
-      const fbxMeta = model.userData.fbxMetadata;
+    // Извлечение метаданных исходного файла (FBX, Collada, 3DS)
+    const sourceMeta = model.userData?.fbxMetadata || model.userData?.sourceMetadata;
+    if (sourceMeta) {
+      const fbxMeta = sourceMeta;
       metadata.fbxVersion = fbxMeta.version;
       metadata.software = fbxMeta.software;
       metadata.creationTime = fbxMeta.creationTime;
@@ -177,6 +180,9 @@ export class ModelGroupManager {
       metadata.coordinateSystem = fbxMeta.coordinateSystem;
     }
 
+    // Предупреждения загрузчика (неподдерживаемые возможности формата)
+    metadata.loadWarnings = model.userData?.loadWarnings || [];
+
     // Статистика модели
     metadata.stats = this.calculateModelStats(model);
 
@@ -248,6 +254,13 @@ export class ModelGroupManager {
       case 'gltf':
       case 'glb': return 'GLTF';
       case 'obj': return 'OBJ';
+      case 'stl': return 'STL';
+      case 'ply': return 'PLY';
+      case '3mf': return '3MF';
+      case 'dae': return 'Collada';
+      case '3ds': return '3DS';
+      case 'usdz': return 'USDZ';
+      case 'usda': return 'USD';
       default: return ext.toUpperCase();
     }
   }
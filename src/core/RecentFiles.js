@@ -0,0 +1,244 @@
+import { IndexedDBStore } from './IndexedDBStore.js';
+import { EVENTS } from './EventSystem.js';
+import Logger from './Logger.js';
+
+export const RECENT_FILES_MAX_ENTRIES = 8;
+export const RECENT_FILES_MAX_BYTES = 256 * 1024 * 1024;
+
+/**
+ * RecentFiles
+ * Keeps the last dropped models, together with their sibling files and ZIP texture packs,
+ * in IndexedDB so they can be re-opened after a reload.
+ *
+ * Entries are evicted least recently opened first once there are more than maxEntries
+ * or their files add up to more than maxBytes; a drop larger than maxBytes is not kept.
+ * Emits EVENTS.RECENT_FILES_CHANGED with the entry summaries (no file data) on every change.
+ *
+ * Entry: { id, name, signature, files: File[], size, fileCount, thumbnail, createdAt, openedAt }
+ */
+export class RecentFiles {
+  /**
+   * @param {EventSystem} eventSystem
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=RECENT_FILES_MAX_ENTRIES]
+   * @param {number} [options.maxBytes=RECENT_FILES_MAX_BYTES]
+   */
+  constructor(eventSystem, options = {}) {
+    this.eventSystem = eventSystem;
+    this.maxEntries = options.maxEntries ?? RECENT_FILES_MAX_ENTRIES;
+    this.maxBytes = options.maxBytes ?? RECENT_FILES_MAX_BYTES;
+    this.store = new IndexedDBStore('fbxViewer.recentFiles', 'entries');
+  }
+
+  isSupported() {
+    return IndexedDBStore.isSupported();
+  }
+
+  /**
+   * Identify a set of files by names and sizes, so dropping the same files again
+   * refreshes their entry instead of adding a duplicate
+   * @param {File[]} files
+   * @returns {string}
+   */
+  static getSignature(files) {
+    return files.map(file => `${file.name}:${file.size}`).sort().join('|');
+  }
+
+  /**
+   * Entry summaries, most recently opened first
+   * @returns {Promise<Object[]>} Entries without their files
+   */
+  async list() {
+    try {
+      const entries = await this.store.getAll();
+      return entries
+        .sort((a, b) => b.openedAt - a.openedAt)
+        .map(({ files, ...summary }) => summary);
+    } catch (error) {
+      Logger.warn('[RecentFiles] Failed to read recent files:', error);
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} id - Entry id
+   * @returns {Promise<Object|null>} The entry with its files
+   */
+  async get(id) {
+    return (await this.store.get(id)) || null;
+  }
+
+  /**
+   * Remember a set of files. An entry with the same files is refreshed instead.
+   * @param {File[]} files - Dropped model files with their siblings and ZIP archives
+   * @param {Object} [options]
+   * @param {string} [options.name] - Display name (defaults to the first file name)
+   * @param {string} [options.thumbnail] - Thumbnail data URL
+   * @returns {Promise<Object|null>} The stored entry, or null if it was not stored
+   */
+  async add(files, options = {}) {
+    if (!files?.length) return null;
+
+    const size = files.reduce((sum, file) => sum + file.size, 0);
+    if (size > this.maxBytes) {
+      Logger.warn(`[RecentFiles] Not keeping ${files.length} files (${size} bytes): over the ${this.maxBytes} byte quota`);
+      return null;
+    }
+
+    const signature = RecentFiles.getSignature(files);
+    const name = options.name || files[0].name;
+    try {
+      const existing = (await this.store.getAll()).find(entry => entry.signature === signature);
+      const now = Date.now();
+      const entry = {
+        id: existing?.id || `recent_${now}_${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        signature,
+        files,
+        size,
+        fileCount: files.length,
+        thumbnail: options.thumbnail || existing?.thumbnail || null,
+        createdAt: existing?.createdAt || now,
+        openedAt: now
+      };
+
+      await this.putWithEviction(entry);
+      await this.evict(entry.id);
+      Logger.log(`[RecentFiles] ${existing ? 'Updated' : 'Added'} ${entry.name} (${entry.fileCount} files, ${size} bytes)`);
+      return entry;
+    } catch (error) {
+      // Also when IndexedDB cannot be opened (private mode, blocked storage)
+      Logger.warn(`[RecentFiles] Failed to store ${name}:`, error);
+      return null;
+    } finally {
+      this.notify();
+    }
+  }
+
+  /**
+   * Store an entry; when the browser quota is exceeded, evict the oldest entries and retry
+   * @param {Object} entry
+   * @private
+   */
+  async putWithEviction(entry) {
+    for (;;) {
+      try {
+        await this.store.put(entry);
+        return;
+      } catch (error) {
+        if (error?.name !== 'QuotaExceededError') throw error;
+        const oldest = (await this.list()).filter(item => item.id !== entry.id).pop();
+        if (!oldest) throw error;
+        Logger.warn(`[RecentFiles] Browser storage quota exceeded, evicting ${oldest.name}`);
+        await this.store.delete(oldest.id);
+      }
+    }
+  }
+
+  /**
+   * Mark an entry as opened now, optionally replacing its thumbnail
+   * @param {string} id - Entry id
+   * @param {Object} [changes]
+   * @param {string} [changes.thumbnail] - Thumbnail data URL
+   */
+  async touch(id, changes = {}) {
+    try {
+      const entry = await this.store.get(id);
+      if (!entry) return;
+      entry.openedAt = Date.now();
+      if (changes.thumbnail) entry.thumbnail = changes.thumbnail;
+      await this.store.put(entry);
+    } catch (error) {
+      Logger.warn('[RecentFiles] Failed to update entry:', error);
+    } finally {
+      this.notify();
+    }
+  }
+
+  /**
+   * Add files to an existing entry, e.g. a texture ZIP applied after the model was dropped
+   * @param {string} id - Entry id
+   * @param {File[]} files - Files to add; files already in the entry are skipped
+   * @returns {Promise<boolean>} True if the entry was updated
+   */
+  async attach(id, files) {
+    try {
+      const entry = await this.store.get(id);
+      if (!entry) return false;
+
+      const known = new Set(entry.files.map(file => `${file.name}:${file.size}`));
+      const added = files.filter(file => !known.has(`${file.name}:${file.size}`));
+      const size = entry.size + added.reduce((sum, file) => sum + file.size, 0);
+      if (!added.length) return false;
+      if (size > this.maxBytes) {
+        Logger.warn(`[RecentFiles] Not attaching ${added.length} files to ${entry.name}: over the byte quota`);
+        return false;
+      }
+
+      entry.files = [...entry.files, ...added];
+      entry.size = size;
+      entry.fileCount = entry.files.length;
+      entry.signature = RecentFiles.getSignature(entry.files);
+      await this.putWithEviction(entry);
+      await this.evict(entry.id);
+      Logger.log(`[RecentFiles] Attached ${added.length} files to ${entry.name}`);
+      return true;
+    } catch (error) {
+      Logger.warn('[RecentFiles] Failed to attach files:', error);
+      return false;
+    } finally {
+      this.notify();
+    }
+  }
+
+  /**
+   * Drop the least recently opened entries until the entry count and byte quota are met
+   * @param {string} [keepId] - Entry that is never evicted (the one just added)
+   */
+  async evict(keepId) {
+    const entries = await this.list();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    let count = entries.length;
+
+    for (let i = entries.length - 1; i >= 0 && (count > this.maxEntries || total > this.maxBytes); i--) {
+      const entry = entries[i];
+      if (entry.id === keepId) continue;
+      await this.store.delete(entry.id);
+      total -= entry.size;
+      count--;
+      Logger.log(`[RecentFiles] Evicted ${entry.name}`);
+    }
+  }
+
+  async remove(id) {
+    try {
+      await this.store.delete(id);
+    } catch (error) {
+      Logger.warn('[RecentFiles] Failed to remove entry:', error);
+    } finally {
+      this.notify();
+    }
+  }
+
+  async clear() {
+    try {
+      await this.store.clear();
+    } catch (error) {
+      Logger.warn('[RecentFiles] Failed to clear recent files:', error);
+    } finally {
+      this.notify();
+    }
+  }
+
+  /**
+   * Emit RECENT_FILES_CHANGED with the current summaries and quota usage
+   */
+  async notify() {
+    const entries = await this.list();
+    this.eventSystem?.emit(EVENTS.RECENT_FILES_CHANGED, {
+      entries,
+      usedBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      maxBytes: this.maxBytes
+    });
+  }
+}
@@ -111,6 +111,23 @@ export class UIBindings {
     this.bind(this.dom?.get('toggle-load-default'), 'change', () => {
       this.eventSystem?.emit(EVENTS.SETTINGS_CHANGED, { loadDefaultModel: this.dom?.isChecked('toggle-load-default') });
     });
+    this.bind(this.dom?.get('toggle-reopen-recent'), 'change', () => {
+      this.eventSystem?.emit(EVENTS.SETTINGS_CHANGED, { reopenRecent: this.dom?.isChecked('toggle-reopen-recent') });
+    });
+    this.bind(this.dom?.get('texture-naming'), 'change', () => {
+      this.eventSystem?.emit(EVENTS.SETTINGS_CHANGED, { textureNaming: this.dom?.getValue('texture-naming') });
+    });
+    this.bind(this.dom?.get('texture-budget'), 'change', () => {
+      this.eventSystem?.emit(EVENTS.SETTINGS_CHANGED, { textureBudget: Number(this.dom?.getValue('texture-budget')) });
+    });
+    this.bind(this.dom?.get('texture-naming-save'), 'click', () => {
+      this.eventSystem?.emit(EVENTS.SETTINGS_CHANGED, {
+        textureNamingCustom: {
+          pattern: this.dom?.getValue('texture-naming-pattern').trim(),
+          mapsText: this.dom?.getValue('texture-naming-maps')
+        }
+      });
+    });
     this.bind(this.dom?.get('debug-log-toggle'), 'change', () => {
       Logger.setEnabled(this.dom?.isChecked('debug-log-toggle'));
     });
@@ -137,6 +154,9 @@ export class UIBindings {
     };
     this.bind(this.dom?.get('mat-override'), 'change', updateMaterial);
     this.bind(this.dom?.get('toggle-wireframe'), 'change', updateMaterial);
+    this.bind(this.dom?.get('texel-density-target'), 'change', () => {
+      this.eventSystem?.emit(EVENTS.SETTINGS_CHANGED, { texelDensityTarget: Number(this.dom?.getValue('texel-density-target')) });
+    });
   }
 
   bindAnimations() {
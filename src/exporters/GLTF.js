@@ -0,0 +1,88 @@
+import { GLTFExporter } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/exporters/GLTFExporter.js';
+import Logger from '../core/Logger.js';
+import { dataURIToBlob } from '../utils/exportFiles.js';
+import { GLTFMaterialsVariantsExporter } from '../utils/materialVariants.js';
+
+/**
+ * GLTFExporterWrapper
+ * Serializes objects to GLB or to a separated glTF (.gltf + .bin + images).
+ * Objects are exported as they are currently shown (debug views excepted, see
+ * AssetExporter.withSourceMaterials): overridden materials,
+ * flipped UVs, re-parented and attached nodes, skins and applied textures.
+ * Material variants are written as KHR_materials_variants (their glTF materials
+ * must be loaded first, see AssetExporter).
+ *
+ * Usage:
+ *   const w = new GLTFExporterWrapper();
+ *   const files = await w.exportToFiles([model], { binary: true, animations, baseName: 'scene' });
+ *   // files: [{ name: 'scene.glb', blob }]
+ */
+export class GLTFExporterWrapper {
+  constructor() {
+    this.exporter = new GLTFExporter();
+    this.exporter.register(writer => new GLTFMaterialsVariantsExporter(writer));
+  }
+
+  /**
+   * Export objects to glTF files.
+   * @param {THREE.Object3D[]} objects - Root objects to export
+   * @param {Object} [options]
+   * @param {boolean} [options.binary=true] - GLB when true, .gltf + .bin + images when false
+   * @param {THREE.AnimationClip[]} [options.animations=[]] - Clips to embed
+   * @param {string} [options.baseName='scene'] - File name without extension
+   * @returns {Promise<Array<{name: string, blob: Blob}>>}
+   */
+  async exportToFiles(objects, { binary = true, animations = [], baseName = 'scene' } = {}) {
+    const input = objects.length === 1 ? objects[0] : objects;
+    const result = await this.exporter.parseAsync(input, {
+      binary,
+      animations,
+      onlyVisible: true
+    });
+
+    if (binary) {
+      return [{ name: `${baseName}.glb`, blob: new Blob([result], { type: 'model/gltf-binary' }) }];
+    }
+
+    return this.splitEmbeddedResources(result, baseName);
+  }
+
+  /**
+   * GLTFExporter embeds buffers and images as data URIs in JSON mode.
+   * Move them into sibling files so the output is a classic .gltf + .bin + images set.
+   * @param {Object} json - glTF JSON produced by GLTFExporter
+   * @param {string} baseName - File name without extension
+   * @returns {Array<{name: string, blob: Blob}>}
+   */
+  splitEmbeddedResources(json, baseName) {
+    const files = [];
+
+    (json.buffers || []).forEach((buffer, index) => {
+      if (!buffer.uri?.startsWith('data:')) return;
+      const name = json.buffers.length === 1 ? `${baseName}.bin` : `${baseName}_${index}.bin`;
+      files.push({ name, blob: dataURIToBlob(buffer.uri) });
+      buffer.uri = name;
+    });
+
+    const usedNames = new Set();
+    (json.images || []).forEach((image, index) => {
+      if (!image.uri?.startsWith('data:')) return;
+      const extension = image.mimeType === 'image/jpeg' ? 'jpg' : 'png';
+      let name = `textures/${(image.name || `image_${index}`).replace(/[^\w\-.]+/g, '_')}.${extension}`;
+      if (usedNames.has(name)) {
+        name = `textures/image_${index}.${extension}`;
+      }
+      usedNames.add(name);
+      files.push({ name, blob: dataURIToBlob(image.uri) });
+      image.uri = name;
+    });
+
+    files.unshift({
+      name: `${baseName}.gltf`,
+      blob: new Blob([JSON.stringify(json, null, 2)], { type: 'model/gltf+json' })
+    });
+
+    Logger.log(`[GLTFExporter] Split glTF into ${files.length} files`);
+    return files;
+  }
+}
@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+import Logger from '../core/Logger.js';
+import { getBasename } from '../utils/zipTextures.js';
+import { textureToPNGBlob } from './textureImages.js';
+
+// MTL statements written for each texture slot
+const MTL_MAP_SLOTS = [
+  ['map', 'map_Kd'],
+  ['normalMap', 'norm'],
+  ['bumpMap', 'map_Bump'],
+  ['specularMap', 'map_Ks'],
+  ['emissiveMap', 'map_Ke'],
+  ['alphaMap', 'map_d']
+];
+
+/**
+ * OBJExporterWrapper
+ * Writes visible meshes to OBJ + MTL in world space, with copies of their textures.
+ * Unlike three's OBJExporter it emits mtllib/usemtl and one group per material slot.
+ *
+ * Usage:
+ *   const w = new OBJExporterWrapper();
+ *   const files = await w.exportToFiles([mesh], { baseName: 'prop' });
+ *   // files: prop.obj, prop.mtl, textures/*.png
+ */
+export class OBJExporterWrapper {
+  /**
+   * @param {THREE.Object3D[]} objects - Objects to export (with their visible descendants)
+   * @param {Object} [options]
+   * @param {string} [options.baseName='export'] - File name without extension
+   * @returns {Promise<Array<{name: string, blob: Blob}>>}
+   */
+  async exportToFiles(objects, { baseName = 'export' } = {}) {
+    const materialNames = new Map(); // material -> unique MTL name
+    const textureFiles = new Map(); // texture -> relative path
+    const lines = ['# Exported from 3D Model Viewer', `mtllib ${baseName}.mtl`];
+    const offsets = { v: 1, vt: 1, vn: 1 };
+
+    const position = new THREE.Vector3();
+    const normal = new THREE.Vector3();
+    const normalMatrix = new THREE.Matrix3();
+
+    objects.forEach(root => root.traverseVisible(object => {
+      if (!object.isMesh || !object.geometry?.attributes?.position) return;
+
+      const geometry = object.geometry;
+      const positions = geometry.attributes.position;
+      const normals = geometry.attributes.normal;
+      const uvs = geometry.attributes.uv;
+      normalMatrix.getNormalMatrix(object.matrixWorld);
+
+      lines.push(`o ${(object.name || 'mesh').replace(/\s+/g, '_')}`);
+
+      for (let i = 0; i < positions.count; i++) {
+        // getVertexPosition applies morph targets and skinning (current pose)
+        if (object.getVertexPosition) {
+          object.getVertexPosition(i, position);
+        } else {
+          position.fromBufferAttribute(positions, i);
+        }
+        position.applyMatrix4(object.matrixWorld);
+        lines.push(`v ${position.x} ${position.y} ${position.z}`);
+      }
+      if (uvs) {
+        for (let i = 0; i < uvs.count; i++) {
+          lines.push(`vt ${uvs.getX(i)} ${uvs.getY(i)}`);
+        }
+      }
+      if (normals) {
+        for (let i = 0; i < normals.count; i++) {
+          normal.fromBufferAttribute(normals, i).applyMatrix3(normalMatrix).normalize();
+          lines.push(`vn ${normal.x} ${normal.y} ${normal.z}`);
+        }
+      }
+
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      const indexCount = geometry.index ? geometry.index.count : positions.count;
+      const groups = geometry.groups.length ? geometry.groups : [{ start: 0, count: indexCount, materialIndex: 0 }];
+
+      groups.forEach(group => {
+        const material = materials[group.materialIndex ?? 0] || materials[0];
+        lines.push(`usemtl ${this.getMaterialName(material, materialNames)}`);
+
+        const end = Math.min(group.start + group.count, indexCount);
+        for (let i = group.start; i + 2 < end; i += 3) {
+          const face = [0, 1, 2].map(k => {
+            const index = geometry.index ? geometry.index.getX(i + k) : i + k;
+            const v = index + offsets.v;
+            const vt = uvs ? index + offsets.vt : '';
+            const vn = normals ? index + offsets.vn : '';
+            return normals ? `${v}/${vt}/${vn}` : (uvs ? `${v}/${vt}` : `${v}`);
+          });
+          lines.push(`f ${face.join(' ')}`);
+        }
+      });
+
+      offsets.v += positions.count;
+      if (uvs) offsets.vt += uvs.count;
+      if (normals) offsets.vn += normals.count;
+    }));
+
+    const mtl = this.buildMTL(materialNames, textureFiles);
+
+    const files = [
+      { name: `${baseName}.obj`, blob: new Blob([lines.join('\n') + '\n'], { type: 'text/plain' }) },
+      { name: `${baseName}.mtl`, blob: new Blob([mtl], { type: 'text/plain' }) }
+    ];
+    for (const [texture, path] of textureFiles) {
+      const blob = await textureToPNGBlob(texture);
+      if (blob) {
+        files.push({ name: path, blob });
+      } else {
+        Logger.warn(`[OBJExporter] Texture could not be written: ${path}`);
+      }
+    }
+
+    Logger.log(`[OBJExporter] Exported ${materialNames.size} materials, ${textureFiles.size} textures`);
+    return files;
+  }
+
+  /**
+   * Unique, whitespace-free MTL name for a material
+   * @param {THREE.Material} material
+   * @param {Map<THREE.Material, string>} materialNames - Names assigned so far
+   * @returns {string}
+   */
+  getMaterialName(material, materialNames) {
+    if (!materialNames.has(material)) {
+      const base = (material?.name || 'material').replace(/\s+/g, '_');
+      let name = base;
+      let counter = 1;
+      const used = new Set(materialNames.values());
+      while (used.has(name)) {
+        name = `${base}_${counter++}`;
+      }
+      materialNames.set(material, name);
+    }
+    return materialNames.get(material);
+  }
+
+  /**
+   * Unique relative PNG path for a texture copy
+   * @param {THREE.Texture} texture
+   * @param {Map<THREE.Texture, string>} textureFiles - Paths assigned so far
+   * @returns {string}
+   */
+  getTexturePath(texture, textureFiles) {
+    if (!textureFiles.has(texture)) {
+      const base = getBasename(texture.name || '').replace(/\.[^.]+$/, '').replace(/[^\w\-.]+/g, '_') || `texture_${textureFiles.size}`;
+      let path = `textures/${base}.png`;
+      const used = new Set(textureFiles.values());
+      let counter = 1;
+      while (used.has(path)) {
+        path = `textures/${base}_${counter++}.png`;
+      }
+      textureFiles.set(texture, path);
+    }
+    return textureFiles.get(texture);
+  }
+
+  /**
+   * Write the MTL library for the materials used by the OBJ.
+   * Registers the textures it references in textureFiles.
+   * @param {Map<THREE.Material, string>} materialNames
+   * @param {Map<THREE.Texture, string>} textureFiles
+   * @returns {string}
+   */
+  buildMTL(materialNames, textureFiles) {
+    const lines = ['# Exported from 3D Model Viewer'];
+
+    for (const [material, name] of materialNames) {
+      lines.push('', `newmtl ${name}`);
+      if (!material) continue;
+
+      const color = material.color || new THREE.Color(1, 1, 1);
+      lines.push(`Kd ${color.r} ${color.g} ${color.b}`);
+      if (material.emissive) {
+        lines.push(`Ke ${material.emissive.r} ${material.emissive.g} ${material.emissive.b}`);
+      }
+      if (material.specular) {
+        lines.push(`Ks ${material.specular.r} ${material.specular.g} ${material.specular.b}`);
+      }
+      if (material.shininess !== undefined) {
+        lines.push(`Ns ${material.shininess}`);
+      } else if (material.roughness !== undefined) {
+        // Approximate Phong exponent from roughness
+        lines.push(`Ns ${Math.round(2 / Math.max(material.roughness ** 4, 1e-4) - 2)}`);
+      }
+      lines.push(`d ${material.transparent ? material.opacity : 1}`);
+
+      MTL_MAP_SLOTS.forEach(([slot, statement]) => {
+        const texture = material[slot];
+        if (texture?.isTexture && texture.image) {
+          lines.push(`${statement} ${this.getTexturePath(texture, textureFiles)}`);
+        }
+      });
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
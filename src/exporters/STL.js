@@ -0,0 +1,35 @@
+import { STLExporter } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/exporters/STLExporter.js';
+import Logger from '../core/Logger.js';
+
+/**
+ * STLExporterWrapper
+ * Writes visible meshes to a single binary STL in world space.
+ * STLExporter bakes matrixWorld and the current skinning pose into the triangles.
+ *
+ * Usage:
+ *   const w = new STLExporterWrapper();
+ *   const files = await w.exportToFiles([mesh], { baseName: 'prop' });
+ *   // files: [{ name: 'prop.stl', blob }]
+ */
+export class STLExporterWrapper {
+  constructor() {
+    this.exporter = new STLExporter();
+  }
+
+  /**
+   * @param {THREE.Object3D[]} objects - Objects to export (with their visible descendants)
+   * @param {Object} [options]
+   * @param {string} [options.baseName='export'] - File name without extension
+   * @returns {Promise<Array<{name: string, blob: Blob}>>}
+   */
+  async exportToFiles(objects, { baseName = 'export' } = {}) {
+    // STLExporter only calls traverse(); expose the visible meshes of all objects through one root
+    const root = {
+      traverse: callback => objects.forEach(object => object.traverseVisible(callback))
+    };
+    const result = this.exporter.parse(root, { binary: true });
+
+    Logger.log(`[STLExporter] Exported ${result.byteLength} bytes`);
+    return [{ name: `${baseName}.stl`, blob: new Blob([result], { type: 'model/stl' }) }];
+  }
+}
@@ -0,0 +1,130 @@
+import { USDZExporter } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/exporters/USDZExporter.js';
+import * as THREE from 'three';
+import Logger from '../core/Logger.js';
+import { enhanceMaterial } from '../Materials.js';
+
+// Attribute accessors by component index (denormalized, work for interleaved attributes too)
+const COMPONENT_GETTERS = ['getX', 'getY', 'getZ', 'getW'];
+
+/**
+ * USDZExporterWrapper
+ * Writes visible meshes to USDZ in world space.
+ *
+ * USDZExporter only understands single MeshStandardMaterials, so each mesh is
+ * exported through proxy meshes: one per material group, carrying the mesh's
+ * matrixWorld and a standard version of the material currently shown
+ * (override materials are converted on copies, the scene is not modified).
+ *
+ * Usage:
+ *   const w = new USDZExporterWrapper();
+ *   const files = await w.exportToFiles([mesh], { baseName: 'prop' });
+ *   // files: [{ name: 'prop.usdz', blob }]
+ */
+export class USDZExporterWrapper {
+  constructor() {
+    this.exporter = new USDZExporter();
+  }
+
+  /**
+   * @param {THREE.Object3D[]} objects - Objects to export (with their visible descendants)
+   * @param {Object} [options]
+   * @param {string} [options.baseName='export'] - File name without extension
+   * @returns {Promise<Array<{name: string, blob: Blob}>>}
+   */
+  async exportToFiles(objects, { baseName = 'export' } = {}) {
+    const proxies = [];
+    const converted = new Map(); // scene material -> standard material used for export
+    const geometries = [];
+
+    objects.forEach(root => root.traverseVisible(object => {
+      if (!object.isMesh || !object.geometry?.attributes?.position) return;
+
+      const materials = Array.isArray(object.material) ? object.material : [object.material];
+      const groups = Array.isArray(object.material) && object.geometry.groups.length
+        ? object.geometry.groups
+        : [null];
+
+      groups.forEach(group => {
+        const material = materials[group?.materialIndex ?? 0] || materials[0];
+        const geometry = group ? this.extractGroupGeometry(object.geometry, group) : object.geometry;
+        if (group) geometries.push(geometry);
+
+        const proxy = new THREE.Mesh(geometry, this.getStandardMaterial(material, converted));
+        proxy.name = object.name;
+        proxy.matrixAutoUpdate = false;
+        proxy.matrixWorld.copy(object.matrixWorld);
+        proxies.push(proxy);
+      });
+    }));
+
+    try {
+      // USDZExporter only calls traverseVisible() on the scene and reads matrixWorld of meshes
+      const root = { traverseVisible: callback => proxies.forEach(callback) };
+      const result = await this.exporter.parse(root);
+
+      Logger.log(`[USDZExporter] Exported ${proxies.length} meshes`);
+      return [{ name: `${baseName}.usdz`, blob: new Blob([result], { type: 'model/vnd.usdz+zip' }) }];
+    } finally {
+      geometries.forEach(geometry => geometry.dispose());
+      converted.forEach((standard, material) => {
+        if (standard !== material) standard.dispose();
+      });
+    }
+  }
+
+  /**
+   * Get a MeshStandardMaterial equivalent of a scene material.
+   * @param {THREE.Material} material
+   * @param {Map<THREE.Material, THREE.MeshStandardMaterial>} converted - Cache of conversions
+   * @returns {THREE.MeshStandardMaterial}
+   */
+  getStandardMaterial(material, converted) {
+    if (!converted.has(material)) {
+      let standard = material?.isMeshStandardMaterial
+        ? material
+        : enhanceMaterial(material || new THREE.MeshStandardMaterial());
+
+      // USDZExporter draws textures to a canvas; raw data textures (TGA, DDS) cannot be drawn
+      const dataSlots = Object.keys(standard).filter(key => standard[key]?.isTexture && standard[key].image?.data);
+      if (dataSlots.length) {
+        Logger.warn(`[USDZExporter] Skipping data textures on ${standard.name || 'material'}: ${dataSlots.join(', ')}`);
+        standard = standard === material ? standard.clone() : standard;
+        dataSlots.forEach(key => { standard[key] = null; });
+      }
+
+      converted.set(material, standard);
+    }
+    return converted.get(material);
+  }
+
+  /**
+   * Build a geometry that contains only the triangles of one material group.
+   * Attributes are shared with the source geometry when it is indexed.
+   * @param {THREE.BufferGeometry} geometry
+   * @param {{start: number, count: number}} group
+   * @returns {THREE.BufferGeometry}
+   */
+  extractGroupGeometry(geometry, group) {
+    const subset = new THREE.BufferGeometry();
+
+    if (geometry.index) {
+      Object.entries(geometry.attributes).forEach(([name, attribute]) => subset.setAttribute(name, attribute));
+      const indices = geometry.index.array.slice(group.start, group.start + group.count);
+      subset.setIndex(new THREE.BufferAttribute(indices, 1));
+      return subset;
+    }
+
+    const end = Math.min(group.start + group.count, geometry.attributes.position.count);
+    Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+      const size = attribute.itemSize;
+      const array = new Float32Array((end - group.start) * size);
+      for (let i = group.start; i < end; i++) {
+        for (let k = 0; k < size; k++) {
+          array[(i - group.start) * size + k] = attribute[COMPONENT_GETTERS[k]](i);
+        }
+      }
+      subset.setAttribute(name, new THREE.BufferAttribute(array, size));
+    });
+    return subset;
+  }
+}
@@ -0,0 +1,50 @@
+import Logger from '../core/Logger.js';
+
+/**
+ * Encode a texture's image as a PNG blob.
+ * Images are written in the orientation OBJ/USD consumers expect (flipY = true),
+ * so textures stored with flipY = false (glTF/ZIP textures) are flipped vertically.
+ * @param {THREE.Texture} texture
+ * @returns {Promise<Blob|null>} PNG blob, or null when the image cannot be drawn
+ */
+export async function textureToPNGBlob(texture) {
+  const image = texture?.image;
+  if (!image) return null;
+
+  const width = image.width || image.naturalWidth || 0;
+  const height = image.height || image.naturalHeight || 0;
+  if (!width || !height) return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  if (texture.flipY === false) {
+    ctx.translate(0, height);
+    ctx.scale(1, -1);
+  }
+
+  try {
+    if (image.data) {
+      // DataTexture: only 8-bit RGBA data can be written as PNG directly
+      if (!(image.data instanceof Uint8Array || image.data instanceof Uint8ClampedArray) || image.data.length !== width * height * 4) {
+        Logger.warn(`[textureImages] Unsupported data texture format for ${texture.name || texture.uuid}`);
+        return null;
+      }
+      const imageData = new ImageData(new Uint8ClampedArray(image.data), width, height);
+      const source = document.createElement('canvas');
+      source.width = width;
+      source.height = height;
+      source.getContext('2d').putImageData(imageData, 0, 0);
+      ctx.drawImage(source, 0, 0);
+    } else {
+      ctx.drawImage(image, 0, 0, width, height);
+    }
+  } catch (error) {
+    Logger.warn(`[textureImages] Failed to draw texture ${texture.name || texture.uuid}:`, error);
+    return null;
+  }
+
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
@@ -0,0 +1,63 @@
+import { TDSLoader } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/loaders/TDSLoader.js';
+import * as THREE from 'three';
+import Logger from '../core/Logger.js';
+import TDSMetadataExtractor from '../utils/TDSMetadataExtractor.js';
+import { withTextureResolver } from '../utils/textureResolverScope.js';
+
+/**
+ * TDSLoaderWrapper
+ * Wrapper to load 3D Studio (.3ds) files from File objects.
+ * Textures referenced by relative path are resolved through textureResolver (ZIP textures)
+ * and then through the LoadingManager URL modifier (dropped sibling files).
+ * 3DS is Z-up; the result is rotated to the viewer's Y-up convention.
+ *
+ * Usage:
+ *   const w = new TDSLoaderWrapper();
+ *   w.textureResolver = resolver; // optional
+ *   const group = await w.loadFromFile(file, onProgress);
+ */
+export class TDSLoaderWrapper {
+  constructor(textureResolver = null) {
+    this.loadingManager = new THREE.LoadingManager();
+    this.loader = new TDSLoader(this.loadingManager);
+    this.textureResolver = textureResolver;
+    this.metadataExtractor = new TDSMetadataExtractor();
+  }
+
+  init(renderer) {
+    // 3DS doesn't require renderer-specific initialization, but keep parity with other loaders
+  }
+
+  async loadFromFile(file, onProgress) {
+    if (!file) throw new Error('No file provided');
+
+    try {
+      const buffer = await file.arrayBuffer();
+      if (onProgress) onProgress({ loaded: file.size, total: file.size });
+
+      // Empty path: relative texture paths reach the resolver and URL modifier unchanged
+      const group = withTextureResolver(this.loadingManager, this.textureResolver, () => this.loader.parse(buffer, ''));
+      group.name = group.name || file.name;
+      group.rotation.x = -Math.PI / 2;
+
+      // Extract and attach metadata
+      try {
+        group.userData.sourceMetadata = this.metadataExtractor.extractMetadata(group, file, buffer);
+        Logger.log('[TDSLoader] Metadata extracted and attached to object');
+      } catch (error) {
+        Logger.warn('[TDSLoader] Failed to extract metadata:', error);
+      }
+
+      return group;
+    } finally {
+      this.textureResolver = null;
+    }
+  }
+
+  dispose() {}
+}
+
+export async function loadTDSFromFile(file, textureResolver = null) {
+  const w = new TDSLoaderWrapper(textureResolver);
+  return w.loadFromFile(file);
+}
@@ -0,0 +1,51 @@
+import { ThreeMFLoader } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/loaders/3MFLoader.js';
+import * as THREE from 'three';
+import Logger from '../core/Logger.js';
+
+/**
+ * ThreeMFLoaderWrapper
+ * Wrapper to load 3MF packages from File objects using createObjectURL.
+ * Materials, colour groups and embedded textures are handled by ThreeMFLoader.
+ * 3MF is Z-up; the result is rotated to the viewer's Y-up convention.
+ *
+ * Usage:
+ *   const w = new ThreeMFLoaderWrapper();
+ *   const group = await w.loadFromFile(file, onProgress);
+ */
+export class ThreeMFLoaderWrapper {
+  constructor() {
+    this.loadingManager = new THREE.LoadingManager();
+    this.loader = new ThreeMFLoader(this.loadingManager);
+  }
+
+  init(renderer) {
+    // 3MF doesn't require renderer-specific initialization, but keep parity with other loaders
+  }
+
+  loadFromFile(file, onProgress) {
+    return new Promise((resolve, reject) => {
+      if (!file) return reject(new Error('No file provided'));
+
+      const url = URL.createObjectURL(file);
+      this.loader.load(url, (group) => {
+        try { URL.revokeObjectURL(url); } catch (e) { Logger.warn('[3MFLoader] Failed to revoke object URL on success:', e); }
+        group.name = group.name || file.name;
+        group.rotation.x = -Math.PI / 2;
+        Logger.log(`[3MFLoader] Loaded ${file.name} with ${group.children.length} build items`);
+        resolve(group);
+      }, (evt) => {
+        if (onProgress) onProgress(evt);
+      }, (err) => {
+        try { URL.revokeObjectURL(url); } catch (e) { Logger.warn('[3MFLoader] Failed to revoke object URL on error:', e); }
+        reject(err);
+      });
+    });
+  }
+
+  dispose() {}
+}
+
+export async function load3MFFromFile(file) {
+  const w = new ThreeMFLoaderWrapper();
+  return w.loadFromFile(file);
+}
@@ -0,0 +1,69 @@
+import { ColladaLoader } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/loaders/ColladaLoader.js';
+import * as THREE from 'three';
+import Logger from '../core/Logger.js';
+import ColladaMetadataExtractor from '../utils/ColladaMetadataExtractor.js';
+import { withTextureResolver } from '../utils/textureResolverScope.js';
+
+/**
+ * ColladaLoaderWrapper
+ * Wrapper to load Collada (.dae) files from File objects.
+ * Textures referenced by relative path are resolved through textureResolver (ZIP textures)
+ * and then through the LoadingManager URL modifier (dropped sibling files).
+ *
+ * Usage:
+ *   const w = new ColladaLoaderWrapper();
+ *   w.textureResolver = resolver; // optional
+ *   const scene = await w.loadFromFile(file, onProgress);
+ */
+export class ColladaLoaderWrapper {
+  constructor(textureResolver = null) {
+    this.loadingManager = new THREE.LoadingManager();
+    this.loader = new ColladaLoader(this.loadingManager);
+    this.textureResolver = textureResolver;
+    this.metadataExtractor = new ColladaMetadataExtractor();
+  }
+
+  init(renderer) {
+    // Collada doesn't require renderer-specific initialization, but keep parity with other loaders
+  }
+
+  async loadFromFile(file, onProgress) {
+    if (!file) throw new Error('No file provided');
+
+    try {
+      const text = await file.text();
+      if (onProgress) onProgress({ loaded: file.size, total: file.size });
+
+      // Empty path: relative texture paths reach the resolver and URL modifier unchanged
+      const collada = withTextureResolver(this.loadingManager, this.textureResolver, () => this.loader.parse(text, ''));
+      if (!collada?.scene) {
+        throw new Error('Invalid Collada document');
+      }
+
+      const scene = collada.scene;
+      scene.name = scene.name || file.name;
+      if (!scene.animations?.length && collada.animations?.length) {
+        scene.animations = collada.animations;
+      }
+
+      // Extract and attach metadata
+      try {
+        scene.userData.sourceMetadata = this.metadataExtractor.extractMetadata(scene, file, text);
+        Logger.log('[ColladaLoader] Metadata extracted and attached to object');
+      } catch (error) {
+        Logger.warn('[ColladaLoader] Failed to extract metadata:', error);
+      }
+
+      return scene;
+    } finally {
+      this.textureResolver = null;
+    }
+  }
+
+  dispose() {}
+}
+
+export async function loadColladaFromFile(file, textureResolver = null) {
+  const w = new ColladaLoaderWrapper(textureResolver);
+  return w.loadFromFile(file);
+}
@@ -4,10 +4,16 @@ import { TGALoader } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/j
 import * as THREE from 'three';
 import Logger from '../core/Logger.js';
 import FBXMetadataExtractor from '../utils/FBXMetadataExtractor.js';
+import { FBXWorkerParser } from './FBXWorkerParser.js';
+import { captureLoaderWarnings } from '../utils/loaderWarnings.js';
+import { readFBXUnitScaleFactor } from '../utils/fbxUnits.js';
 
 /**
  * FBXLoaderWrapper
- * Wrapper to load FBX files from File objects using createObjectURL.
+ * Wrapper to load FBX files from File objects.
+ * Parsing runs in a Web Worker (see FBXWorkerParser) so large files do not block the UI;
+ * when workers are unavailable or the worker fails, it falls back to FBXLoader on the
+ * main thread using createObjectURL.
  *
  * Usage:
  *   const w = new FBXLoaderWrapper();
@@ -25,6 +31,8 @@ export class FBXLoaderWrapper {
     this.textureResolver = textureResolver;
     this._originalLoadTexture = null;
     this.metadataExtractor = new FBXMetadataExtractor();
+    this.workerParser = new FBXWorkerParser();
+    this.useWorker = true;
 
     // Register TGALoader with the FBXLoader's manager
     this.loadingManager.addHandler(/\.tga$/i, new TGALoader());
@@ -36,27 +44,83 @@ export class FBXLoaderWrapper {
   }
 
   loadFromFile(file, onProgress) {
+    if (!file) return Promise.reject(new Error('No file provided'));
+
+    if (!this.useWorker || !this.workerParser.isAvailable()) {
+      return this._loadOnMainThread(file, onProgress);
+    }
+
+    return this._loadInWorker(file, onProgress).catch(error => {
+      Logger.warn('[FBXLoader] Worker parsing failed, falling back to the main thread:', error);
+      return this._loadOnMainThread(file, onProgress);
+    });
+  }
+
+  /**
+   * Parse in the worker and rebuild the scene graph here
+   * @private
+   */
+  async _loadInWorker(file, onProgress) {
+    // The file is local, so reading it is the whole "download"; parsing starts right after
+    if (onProgress) onProgress({ loaded: file.size, total: file.size, lengthComputable: true });
+
+    const obj = await this.workerParser.parse(file, {
+      manager: this.loadingManager,
+      textureResolver: this.textureResolver
+    });
+    this.textureResolver = null;
+    this._attachMetadata(obj, file);
+    Logger.log(`[FBXLoader] Parsed ${file.name} in a worker`);
+    return obj;
+  }
+
+  /**
+   * Extract FBX metadata into obj.userData.fbxMetadata
+   * @private
+   */
+  _attachMetadata(obj, file) {
+    try {
+      const metadata = this.metadataExtractor.extractMetadata(obj, file);
+      obj.userData.fbxMetadata = metadata;
+      Logger.log('[FBXLoader] Metadata extracted and attached to object');
+    } catch (error) {
+      Logger.warn('[FBXLoader] Failed to extract metadata:', error);
+    }
+  }
+
+  /**
+   * Parse with FBXLoader on the main thread
+   * @private
+   */
+  _loadOnMainThread(file, onProgress) {
     return new Promise((resolve, reject) => {
-      if (!file) return reject(new Error('No file provided'));
-      
       // Set up texture resolver if provided
       if (this.textureResolver) {
         this._setupTextureResolver();
       }
       
+      // FBXLoader reports skipped features (unsupported maps, skinning weights) via console.warn
+      const stopCapture = captureLoaderWarnings('THREE.FBXLoader:');
+      // The declared unit scale is read from the buffer FBXLoader parses (see utils/fbxUnits.js)
+      let unitScaleFactor = null;
+      const parse = this.loader.parse;
+      this.loader.parse = (buffer, path) => {
+        unitScaleFactor = readFBXUnitScaleFactor(buffer);
+        return parse.call(this.loader, buffer, path);
+      };
       const url = URL.createObjectURL(file);
       this.loader.load(url, (obj) => {
         // Restore original texture loading method
         this._restoreTextureResolver();
+        delete this.loader.parse;
+        const warnings = stopCapture();
+        if (warnings.length) {
+          obj.userData.loadWarnings = warnings;
+        }
+        obj.userData.unitScaleFactor = unitScaleFactor;
         
         // Extract and attach metadata
-        try {
-          const metadata = this.metadataExtractor.extractMetadata(obj, file);
-          obj.userData.fbxMetadata = metadata;
-          Logger.log('[FBXLoader] Metadata extracted and attached to object');
-        } catch (error) {
-          Logger.warn('[FBXLoader] Failed to extract metadata:', error);
-        }
+        this._attachMetadata(obj, file);
         
         try { URL.revokeObjectURL(url); } catch (e) { Logger.warn('[FBXLoader] Failed to revoke object URL on success:', e); }
         resolve(obj);
@@ -65,6 +129,8 @@ export class FBXLoaderWrapper {
       }, (err) => {
         // Restore original texture loading method even on error
         this._restoreTextureResolver();
+        delete this.loader.parse;
+        stopCapture();
         try { URL.revokeObjectURL(url); } catch (e) { Logger.warn('[FBXLoader] Failed to revoke object URL on error:', e); }
         reject(err);
       });
@@ -152,6 +218,7 @@ export class FBXLoaderWrapper {
 
   dispose() {
     try { this.draco?.dispose?.(); } catch (e) { Logger.error('[FBXLoader] Failed to dispose DracoLoader:', e); }
+    this.workerParser.dispose();
   }
 }
 
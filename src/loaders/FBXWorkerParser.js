@@ -0,0 +1,226 @@
+import * as THREE from 'three';
+import Logger from '../core/Logger.js';
+import { tagTextureReference } from '../utils/zipTextures.js';
+
+// KeyframeTrack classes by ValueTypeName
+const TRACK_TYPES = {
+  number: THREE.NumberKeyframeTrack,
+  vector: THREE.VectorKeyframeTrack,
+  quaternion: THREE.QuaternionKeyframeTrack,
+  color: THREE.ColorKeyframeTrack,
+  bool: THREE.BooleanKeyframeTrack,
+  string: THREE.StringKeyframeTrack
+};
+
+// three's sRGBEncoding, written by Texture.toJSON() in place of colorSpace
+const SRGB_ENCODING = 3001;
+
+/**
+ * FBXWorkerParser
+ * Main-thread side of src/workers/fbxParser.worker.js: sends the file to the worker
+ * and rebuilds the scene graph from the transferred geometry, materials and clips.
+ * Textures are loaded here, through the wrapper's LoadingManager and texture resolver,
+ * exactly as the main-thread FBXLoader would.
+ *
+ * Usage:
+ *   const parser = new FBXWorkerParser();
+ *   if (parser.isAvailable()) {
+ *     const obj = await parser.parse(file, { manager, textureResolver });
+ *   }
+ */
+export class FBXWorkerParser {
+  constructor() {
+    this.worker = null;
+    this.failed = false; // Set once the worker could not start; callers fall back for good
+    this.pending = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * @returns {boolean} False when workers are unsupported or the worker failed to start
+   */
+  isAvailable() {
+    return !this.failed && typeof Worker !== 'undefined';
+  }
+
+  getWorker() {
+    if (this.worker) return this.worker;
+
+    try {
+      this.worker = new Worker(new URL('../workers/fbxParser.worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      this.failed = true;
+      throw error;
+    }
+
+    this.worker.onmessage = (event) => {
+      const { id, payload, error } = event.data;
+      const request = this.pending.get(id);
+      if (!request) return;
+      this.pending.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(payload);
+      }
+    };
+
+    // Uncaught worker errors (e.g. module imports blocked) make the worker unusable
+    this.worker.onerror = (event) => {
+      event.preventDefault?.();
+      Logger.warn('[FBXWorkerParser] Worker failed:', event.message || event);
+      this.failed = true;
+      this.pending.forEach(request => request.reject(new Error(event.message || 'FBX worker failed')));
+      this.pending.clear();
+      this.worker.terminate();
+      this.worker = null;
+    };
+
+    return this.worker;
+  }
+
+  /**
+   * Parse an FBX file in the worker and rebuild it on the main thread.
+   * @param {File} file - The .fbx file
+   * @param {Object} options
+   * @param {THREE.LoadingManager} options.manager - Manager used for texture loads (URL modifier, TGA handler)
+   * @param {function(string):THREE.Texture|null} [options.textureResolver] - Resolves textures from a ZIP first
+   * @returns {Promise<THREE.Group>}
+   */
+  async parse(file, { manager, textureResolver } = {}) {
+    const buffer = await file.arrayBuffer();
+    const worker = this.getWorker();
+    const id = this.nextId++;
+
+    const payload = await new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      worker.postMessage({ id, buffer, fileName: file.name }, [buffer]);
+    });
+
+    return this.buildScene(payload, { manager, textureResolver });
+  }
+
+  /**
+   * Rebuild the scene graph from a worker payload
+   * @param {Object} payload - See fbxParser.worker.js
+   * @param {Object} options - Same as parse()
+   * @returns {THREE.Group}
+   */
+  buildScene(payload, { manager, textureResolver }) {
+    const { object: json, blobs } = payload;
+    const loader = new THREE.ObjectLoader();
+
+    const geometries = {};
+    payload.geometries.forEach(data => {
+      geometries[data.uuid] = this.buildGeometry(data);
+    });
+
+    const textures = {};
+    (json.textures || []).forEach(data => {
+      textures[data.uuid] = this.loadTexture(data, blobs[data.uuid], { manager, textureResolver });
+    });
+
+    const clips = {};
+    payload.clips.forEach(data => {
+      const tracks = data.tracks.map(track => {
+        const TrackType = TRACK_TYPES[track.type] || THREE.KeyframeTrack;
+        return new TrackType(track.name, track.times, track.values, track.interpolation);
+      });
+      const clip = new THREE.AnimationClip(data.name, data.duration, tracks, data.blendMode);
+      clip.uuid = data.uuid;
+      clips[data.uuid] = clip;
+    });
+
+    const materials = loader.parseMaterials(json.materials, textures);
+    const root = loader.parseObject(json.object, geometries, materials, textures, clips);
+    loader.bindSkeletons(root, loader.parseSkeletons(json.skeletons, root));
+
+    root.traverse(object => {
+      const owned = payload.animationOwners[object.uuid];
+      if (owned) object.animations = owned.map(uuid => clips[uuid]);
+    });
+
+    return root;
+  }
+
+  buildGeometry(data) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.uuid = data.uuid;
+    geometry.name = data.name;
+    geometry.userData = data.userData;
+
+    const toAttribute = (attribute) => new THREE.BufferAttribute(attribute.array, attribute.itemSize, attribute.normalized);
+
+    Object.entries(data.attributes).forEach(([name, attribute]) => {
+      geometry.setAttribute(name, toAttribute(attribute));
+    });
+    Object.entries(data.morphAttributes).forEach(([name, list]) => {
+      geometry.morphAttributes[name] = list.map(attribute => {
+        const morph = toAttribute(attribute);
+        morph.name = attribute.name;
+        return morph;
+      });
+    });
+    geometry.morphTargetsRelative = data.morphTargetsRelative;
+    if (data.index) geometry.setIndex(toAttribute(data.index));
+    data.groups.forEach(group => geometry.addGroup(group.start, group.count, group.materialIndex));
+
+    return geometry;
+  }
+
+  /**
+   * Load a texture the worker recorded, then apply the parameters FBXLoader set on it
+   * @param {Object} data - Texture JSON (userData.sourceURL holds the requested URL)
+   * @param {Blob} [blob] - Embedded image data
+   * @param {Object} options - Same as parse()
+   * @returns {THREE.Texture}
+   */
+  loadTexture(data, blob, { manager, textureResolver }) {
+    const url = data.userData?.sourceURL;
+    let texture = null;
+
+    if (url && !blob && textureResolver) {
+      try {
+        texture = textureResolver(url);
+        if (texture?.isTexture) Logger.log(`[FBXWorkerParser] Texture resolved from ZIP: ${url}`);
+      } catch (error) {
+        Logger.warn(`[FBXWorkerParser] Texture resolver failed for ${url}:`, error);
+      }
+    }
+
+    if (!texture?.isTexture) {
+      if (url) {
+        const objectURL = blob ? URL.createObjectURL(blob) : null;
+        const textureLoader = (data.userData.sourceType === 'tga' && manager.getHandler('.tga')) ||
+          new THREE.TextureLoader(manager);
+        const release = () => objectURL && URL.revokeObjectURL(objectURL);
+        texture = textureLoader.load(objectURL || url, release, undefined, release);
+        if (!blob) tagTextureReference(texture, url);
+      } else {
+        // Formats FBXLoader does not load (e.g. PSD) come back without a URL
+        texture = new THREE.Texture();
+      }
+      texture.name = data.name || '';
+    }
+
+    if (data.mapping !== undefined) texture.mapping = data.mapping;
+    if (data.wrap) [texture.wrapS, texture.wrapT] = data.wrap;
+    if (data.repeat) texture.repeat.fromArray(data.repeat);
+    if (data.offset) texture.offset.fromArray(data.offset);
+    if (data.center) texture.center.fromArray(data.center);
+    if (data.rotation !== undefined) texture.rotation = data.rotation;
+    if (data.colorSpace !== undefined) {
+      texture.colorSpace = data.colorSpace;
+    } else if (data.encoding === SRGB_ENCODING) {
+      texture.colorSpace = THREE.SRGBColorSpace;
+    }
+    return texture;
+  }
+
+  dispose() {
+    this.pending.forEach(request => request.reject(new Error('FBX worker disposed')));
+    this.pending.clear();
+    this.worker?.terminate();
+    this.worker = null;
+  }
+}
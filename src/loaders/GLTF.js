@@ -1,8 +1,10 @@
 import { GLTFLoader } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/loaders/GLTFLoader.js';
 import Logger from '../core/Logger.js';
 import { DRACOLoader } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/loaders/DRACOLoader.js';
-import { KTX2Loader } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/loaders/KTX2Loader.js';
+import { getKTX2Loader, disposeTextureDecoders } from '../utils/textureDecoders.js';
+import { readGLTFVariants } from '../utils/materialVariants.js';
 import { MeshoptDecoder } from 'https://cdn.jsdelivr.net/npm/meshoptimizer@0.20.0/meshopt_decoder.module.js';
+import * as THREE from 'three';
 
 /**
  * GLTFLoaderWrapper
@@ -15,14 +17,16 @@ import { MeshoptDecoder } from 'https://cdn.jsdelivr.net/npm/meshoptimizer@0.20.
  */
 export class GLTFLoaderWrapper {
   constructor() {
-    this.gltfLoader = new GLTFLoader();
+    // Own manager so AssetLoader can serve sibling files (.bin, images) via setURLModifier
+    this.loadingManager = new THREE.LoadingManager();
+    this.gltfLoader = new GLTFLoader(this.loadingManager);
     this.draco = new DRACOLoader();
     // default decoder path (CDN)
     this.draco.setDecoderPath('https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/libs/draco/');
     this.gltfLoader.setDRACOLoader(this.draco);
 
-    this.ktx2 = new KTX2Loader();
-    this.ktx2.setTranscoderPath('https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/libs/basis/');
+    // Shared with KTX2 textures from ZIP packs
+    this.ktx2 = getKTX2Loader();
     // meshopt support
     try {
       this.gltfLoader.setMeshoptDecoder(MeshoptDecoder);
@@ -58,6 +62,9 @@ export class GLTFLoaderWrapper {
       this.gltfLoader.load(url, (gltf) => {
         // revoke URL and resolve
         try { URL.revokeObjectURL(url); } catch(e) { Logger.error('[GLTFLoader] Failed to revoke object URL on success:', e); }
+        // KHR_materials_variants: switchable via utils/materialVariants.js
+        const variants = readGLTFVariants(gltf);
+        if (variants.length) Logger.log(`[GLTFLoader] ${variants.length} material variants: ${variants.join(', ')}`);
         resolve(gltf);
       }, (evt) => {
         if (onProgress) onProgress(evt);
@@ -70,7 +77,7 @@ export class GLTFLoaderWrapper {
 
   dispose() {
     try { this.draco?.dispose?.(); } catch(e) { Logger.error('[GLTFLoader] Failed to dispose DracoLoader:', e); }
-    try { this.ktx2?.dispose?.(); } catch(e) { Logger.error('[GLTFLoader] Failed to dispose KTX2Loader:', e); }
+    try { disposeTextureDecoders(); } catch(e) { Logger.error('[GLTFLoader] Failed to dispose KTX2Loader:', e); }
   }
 }
 
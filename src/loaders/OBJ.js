@@ -1,52 +1,136 @@
 import { OBJLoader } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/loaders/OBJLoader.js';
+import { TGALoader } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/loaders/TGALoader.js';
 import { MTLLoader } from './MTLLoader.js';
-import { LoadingManager } from 'three';
+import * as THREE from 'three';
+import Logger from '../core/Logger.js';
+import { findSiblingFile } from '../utils/siblingFiles.js';
+import { tagTextureReference } from '../utils/zipTextures.js';
+import { copyTexture } from '../utils/lazyTextures.js';
 
+/**
+ * OBJLoaderWrapper
+ * Loads .obj files from File objects together with the MTL files they reference via `mtllib`.
+ *
+ * Set before loading (AssetLoader does this):
+ *   - siblings: Map of sibling files (see createSiblingMap) used to find the MTL file.
+ *     Texture paths in the MTL (map_Kd, bump, map_Ks, ...) are resolved by the
+ *     URL modifier AssetLoader installs on this.loadingManager.
+ *   - textureResolver: optional (path) => THREE.Texture for textures loaded from a ZIP.
+ */
 class OBJLoaderWrapper {
     constructor() {
-        this.loader = new OBJLoader();
-        this.mtlLoader = new MTLLoader();
+        this.loadingManager = new THREE.LoadingManager();
+        this.siblings = null;
+        this.textureResolver = null;
+
+        // MTL files frequently reference .tga textures
+        this.loadingManager.addHandler(/\.tga$/i, new TGALoader(this.loadingManager));
     }
 
     /**
-     * Loads an OBJ model and its associated MTL materials.
-     * @param {string} objUrl - The URL of the OBJ file.
-     * @param {string} [mtlUrl] - The optional URL of the MTL file.
+     * Load an OBJ file and its materials.
+     * @param {File} file - The .obj file
+     * @param {(p:{loaded:number,total:number})=>void} [onProgress]
      * @returns {Promise<THREE.Group>} A promise that resolves with the loaded 3D object.
      */
-    loadFromFile(objFile, mtlFile) {
-        return new Promise((resolve, reject) => {
-            const objUrl = URL.createObjectURL(objFile);
-            const mtlUrl = mtlFile ? URL.createObjectURL(mtlFile) : null;
-
-            const onFinally = () => {
-                URL.revokeObjectURL(objUrl);
-                if (mtlUrl) {
-                    URL.revokeObjectURL(mtlUrl);
-                }
-            };
+    async loadFromFile(file, onProgress) {
+        if (!file) throw new Error('No file provided');
+
+        try {
+            const text = await file.text();
+            if (onProgress) onProgress({ loaded: file.size, total: file.size });
 
-            this.load(objUrl, mtlUrl)
-                .then(resolve)
-                .catch(reject)
-                .finally(onFinally);
-        });
+            const loader = new OBJLoader(this.loadingManager);
+            const materials = await this.loadMaterials(text, file.name);
+            if (materials) {
+                loader.setMaterials(materials);
+            }
+
+            const obj = loader.parse(text);
+            obj.name = obj.name || file.name;
+            return obj;
+        } finally {
+            this.siblings = null;
+            this.textureResolver = null;
+        }
     }
 
-    load(objUrl, mtlUrl) {
-        return new Promise((resolve, reject) => {
-            if (mtlUrl) {
-                this.mtlLoader.setPath(mtlUrl.substring(0, mtlUrl.lastIndexOf('/') + 1));
-                this.mtlLoader.load(mtlUrl, (materials) => {
-                    materials.preload();
-                    this.loader.setMaterials(materials);
-                    this.loader.load(objUrl, resolve, undefined, reject);
-                }, undefined, reject);
+    /**
+     * Find the MTL files referenced by `mtllib` and parse them into a single MaterialCreator.
+     * @param {string} objText - Contents of the OBJ file
+     * @param {string} objName - OBJ file name, used to guess the MTL name when `mtllib` is missing
+     * @returns {Promise<Object|null>} MaterialCreator or null if no MTL file is available
+     */
+    async loadMaterials(objText, objName) {
+        const mtlNames = OBJLoaderWrapper.parseMaterialLibraries(objText);
+        if (mtlNames.length === 0) {
+            mtlNames.push(objName.replace(/\.obj$/i, '.mtl'));
+        }
+
+        const mtlTexts = [];
+        for (const mtlName of mtlNames) {
+            const mtlFile = findSiblingFile(mtlName, this.siblings);
+            if (mtlFile) {
+                mtlTexts.push(await mtlFile.text());
+                Logger.log(`[OBJLoader] Using material library ${mtlFile.name} for ${objName}`);
             } else {
-                this.loader.load(objUrl, resolve, undefined, reject);
+                Logger.warn(`[OBJLoader] Material library not found: ${mtlName}`);
             }
-        });
+        }
+
+        if (mtlTexts.length === 0) return null;
+
+        const mtlLoader = new MTLLoader(this.loadingManager);
+        // Empty base path: relative texture paths reach the URL modifier unchanged
+        const materials = mtlLoader.parse(mtlTexts.join('\n'), '');
+        this._setupTextureResolver(materials);
+        materials.preload();
+        return materials;
+    }
+
+    /**
+     * Route MTL texture lookups through the texture resolver before falling back to the manager.
+     * MTLLoader sets repeat, offset and wrap on the texture it gets, so every map gets its own
+     * copy of the shared texture (same image).
+     * @param {Object} materials - MaterialCreator returned by MTLLoader.parse()
+     * @private
+     */
+    _setupTextureResolver(materials) {
+        const textureResolver = this.textureResolver;
+        if (!textureResolver) return;
+
+        const originalLoadTexture = materials.loadTexture.bind(materials);
+        materials.loadTexture = (url, ...args) => {
+            try {
+                const resolved = textureResolver(url);
+                if (resolved && resolved.isTexture) {
+                    Logger.log(`[OBJLoader] Texture resolved from ZIP: ${url}`);
+                    return copyTexture(resolved);
+                }
+            } catch (error) {
+                Logger.warn(`[OBJLoader] Texture resolver failed for ${url}:`, error);
+            }
+            return tagTextureReference(originalLoadTexture(url, ...args), url);
+        };
+    }
+
+    /**
+     * Collect the file names listed on `mtllib` lines.
+     * @param {string} objText - Contents of the OBJ file
+     * @returns {string[]}
+     */
+    static parseMaterialLibraries(objText) {
+        const names = [];
+        const pattern = /^[ \t]*mtllib[ \t]+(.+?)[ \t]*$/gm;
+        let match;
+        while ((match = pattern.exec(objText)) !== null) {
+            // Names with spaces are ambiguous in the spec; prefer the whole value if it ends in .mtl
+            const value = match[1];
+            const parts = /\.mtl$/i.test(value) && !/\.mtl\s/i.test(value) ? [value] : value.split(/\s+/);
+            parts.forEach(name => names.includes(name) || names.push(name));
+        }
+        return names;
     }
 }
 
-export { OBJLoaderWrapper };
\ No newline at end of file
+export { OBJLoaderWrapper };
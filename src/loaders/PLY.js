@@ -0,0 +1,82 @@
+import { PLYLoader } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/loaders/PLYLoader.js';
+import * as THREE from 'three';
+import Logger from '../core/Logger.js';
+
+/**
+ * PLYLoaderWrapper
+ * Wrapper to load binary and ASCII PLY files (typically scan output) from File objects.
+ * Meshes use vertex colours when the file provides them; files without faces
+ * are shown as point clouds.
+ *
+ * Usage:
+ *   const w = new PLYLoaderWrapper();
+ *   const obj = await w.loadFromFile(file, onProgress);
+ */
+export class PLYLoaderWrapper {
+  constructor() {
+    this.loadingManager = new THREE.LoadingManager();
+    this.loader = new PLYLoader(this.loadingManager);
+  }
+
+  init(renderer) {
+    // PLY doesn't require renderer-specific initialization, but keep parity with other loaders
+  }
+
+  loadFromFile(file, onProgress) {
+    return new Promise((resolve, reject) => {
+      if (!file) return reject(new Error('No file provided'));
+
+      const url = URL.createObjectURL(file);
+      this.loader.load(url, (geometry) => {
+        try { URL.revokeObjectURL(url); } catch (e) { Logger.warn('[PLYLoader] Failed to revoke object URL on success:', e); }
+        resolve(this.createObject(geometry, file.name));
+      }, (evt) => {
+        if (onProgress) onProgress(evt);
+      }, (err) => {
+        try { URL.revokeObjectURL(url); } catch (e) { Logger.warn('[PLYLoader] Failed to revoke object URL on error:', e); }
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Wrap the parsed geometry into a mesh, or a point cloud when there are no faces
+   * @param {THREE.BufferGeometry} geometry
+   * @param {string} name
+   * @returns {THREE.Mesh|THREE.Points}
+   */
+  createObject(geometry, name) {
+    const hasColors = !!geometry.attributes.color;
+    const hasFaces = !!geometry.index && geometry.index.count > 0;
+
+    let object;
+    if (hasFaces) {
+      if (!geometry.attributes.normal) {
+        geometry.computeVertexNormals();
+      }
+      object = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+        color: hasColors ? 0xffffff : 0xb0b0b0,
+        roughness: 0.8,
+        metalness: 0.0,
+        vertexColors: hasColors
+      }));
+    } else {
+      object = new THREE.Points(geometry, new THREE.PointsMaterial({
+        color: hasColors ? 0xffffff : 0xb0b0b0,
+        size: 0.01,
+        vertexColors: hasColors
+      }));
+    }
+
+    object.name = name;
+    Logger.log(`[PLYLoader] Loaded ${name}: ${geometry.attributes.position.count} vertices, faces: ${hasFaces}, colors: ${hasColors}`);
+    return object;
+  }
+
+  dispose() {}
+}
+
+export async function loadPLYFromFile(file) {
+  const w = new PLYLoaderWrapper();
+  return w.loadFromFile(file);
+}
@@ -0,0 +1,74 @@
+import { STLLoader } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/loaders/STLLoader.js';
+import * as THREE from 'three';
+import Logger from '../core/Logger.js';
+
+/**
+ * STLLoaderWrapper
+ * Wrapper to load binary and ASCII STL files from File objects using createObjectURL.
+ * STL only carries geometry, so the result is a single mesh with a neutral material
+ * (vertex colours are used when a binary STL stores them). STL is Z-up; the mesh is
+ * rotated to the viewer's Y-up convention.
+ *
+ * Usage:
+ *   const w = new STLLoaderWrapper();
+ *   const mesh = await w.loadFromFile(file, onProgress);
+ */
+export class STLLoaderWrapper {
+  constructor() {
+    this.loadingManager = new THREE.LoadingManager();
+    this.loader = new STLLoader(this.loadingManager);
+  }
+
+  init(renderer) {
+    // STL doesn't require renderer-specific initialization, but keep parity with other loaders
+  }
+
+  loadFromFile(file, onProgress) {
+    return new Promise((resolve, reject) => {
+      if (!file) return reject(new Error('No file provided'));
+
+      const url = URL.createObjectURL(file);
+      this.loader.load(url, (geometry) => {
+        try { URL.revokeObjectURL(url); } catch (e) { Logger.warn('[STLLoader] Failed to revoke object URL on success:', e); }
+        resolve(this.createMesh(geometry, file.name));
+      }, (evt) => {
+        if (onProgress) onProgress(evt);
+      }, (err) => {
+        try { URL.revokeObjectURL(url); } catch (e) { Logger.warn('[STLLoader] Failed to revoke object URL on error:', e); }
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Wrap the parsed geometry into a mesh
+   * @param {THREE.BufferGeometry} geometry
+   * @param {string} name
+   * @returns {THREE.Mesh}
+   */
+  createMesh(geometry, name) {
+    const material = new THREE.MeshStandardMaterial({
+      color: geometry.hasColors ? 0xffffff : 0xb0b0b0,
+      roughness: 0.6,
+      metalness: 0.0,
+      vertexColors: !!geometry.hasColors
+    });
+    if (geometry.hasColors && geometry.alpha !== undefined && geometry.alpha < 1) {
+      material.opacity = geometry.alpha;
+      material.transparent = true;
+    }
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = name;
+    mesh.rotation.x = -Math.PI / 2;
+    Logger.log(`[STLLoader] Loaded ${name}: ${geometry.attributes.position.count / 3} triangles, colors: ${!!geometry.hasColors}`);
+    return mesh;
+  }
+
+  dispose() {}
+}
+
+export async function loadSTLFromFile(file) {
+  const w = new STLLoaderWrapper();
+  return w.loadFromFile(file);
+}
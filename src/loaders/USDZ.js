@@ -0,0 +1,153 @@
+import { USDZLoader } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/loaders/USDZLoader.js';
+import { unzipSync, zipSync, strFromU8 } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/libs/fflate.module.js';
+import * as THREE from 'three';
+import Logger from '../core/Logger.js';
+
+// Prim types USDZLoader turns into scene objects
+const SUPPORTED_PRIM_TYPES = new Set(['Xform', 'Mesh', 'Material', 'Shader', 'Scope', 'GeomSubset']);
+
+// Binary "crate" layers start with this magic
+const CRATE_MAGIC = 'PXR-USDC';
+
+/**
+ * USDZLoaderWrapper
+ * Wrapper to load USDZ packages (and plain .usda layers) from File objects.
+ * The archive is unpacked and scanned for features USDZLoader does not handle
+ * (variants, payloads, references, binary layers, non-mesh prims); these are
+ * reported in group.userData.loadWarnings instead of being dropped silently.
+ *
+ * Usage:
+ *   const w = new USDZLoaderWrapper();
+ *   const group = await w.loadFromFile(file, onProgress);
+ *   group.userData.loadWarnings // string[]
+ */
+export class USDZLoaderWrapper {
+  constructor() {
+    this.loadingManager = new THREE.LoadingManager();
+    this.loader = new USDZLoader(this.loadingManager);
+  }
+
+  init(renderer) {
+    // USDZ doesn't require renderer-specific initialization, but keep parity with other loaders
+  }
+
+  async loadFromFile(file, onProgress) {
+    if (!file) throw new Error('No file provided');
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (onProgress) onProgress({ loaded: file.size, total: file.size });
+
+    // A plain .usda layer is packed into an archive so USDZLoader can read it
+    const isArchive = file.name.toLowerCase().endsWith('.usdz');
+    const archive = isArchive ? unzipSync(bytes) : { [file.name]: bytes };
+    const layerNames = Object.keys(archive).filter(name => /\.usd[ac]?$/i.test(name));
+
+    if (layerNames.length === 0) {
+      throw new Error('No USD layer found in archive');
+    }
+    if (this.isCrate(archive[layerNames[0]])) {
+      throw new Error('Binary USD (usdc) layers are not supported. Export the USDZ with an ASCII (usda) root layer.');
+    }
+
+    const warnings = this.collectWarnings(archive, layerNames);
+    const buffer = isArchive ? bytes.buffer : zipSync(archive).buffer;
+    const group = this.loader.parse(buffer);
+
+    group.name = group.name || file.name;
+    this.ensureStandardMaterials(group, warnings);
+    group.userData.loadWarnings = warnings;
+
+    warnings.forEach(warning => Logger.warn(`[USDZLoader] ${file.name}: ${warning}`));
+    Logger.log(`[USDZLoader] Loaded ${file.name} with ${warnings.length} warnings`);
+    return group;
+  }
+
+  /**
+   * Check whether a layer is a binary crate file
+   * @param {Uint8Array} data
+   * @returns {boolean}
+   */
+  isCrate(data) {
+    return data.length >= CRATE_MAGIC.length && strFromU8(data.slice(0, CRATE_MAGIC.length)) === CRATE_MAGIC;
+  }
+
+  /**
+   * Scan the USD layers for constructs USDZLoader ignores
+   * @param {Object<string, Uint8Array>} archive - Unpacked archive
+   * @param {string[]} layerNames - USD layers in the archive, root layer first
+   * @returns {string[]} Human-readable warnings
+   */
+  collectWarnings(archive, layerNames) {
+    const warnings = [];
+    const unsupportedPrims = new Map();
+
+    layerNames.forEach((name, index) => {
+      if (this.isCrate(archive[name])) {
+        warnings.push(`Binary layer ${name} was skipped`);
+        return;
+      }
+      if (index > 0) {
+        warnings.push(`Sublayer ${name} is not composed; only the root layer is loaded`);
+      }
+
+      const text = strFromU8(archive[name]);
+
+      if (/\bvariantSets?\b/.test(text)) {
+        warnings.push(`Variant sets in ${name} are not supported; variant opinions are ignored`);
+      }
+      for (const match of text.matchAll(/\bpayload\s*=\s*@([^@]*)@/g)) {
+        warnings.push(`Payload ${match[1]} in ${name} was not loaded`);
+      }
+      for (const match of text.matchAll(/\breferences\s*=\s*[[(]?\s*@([^@]*)@/g)) {
+        warnings.push(`Reference ${match[1]} in ${name} was not resolved`);
+      }
+      if (/\.timeSamples\b/.test(text)) {
+        warnings.push(`Time-sampled (animated) attributes in ${name} are ignored`);
+      }
+      for (const match of text.matchAll(/^\s*(?:def|over|class)\s+(\w+)\s+"/gm)) {
+        const type = match[1];
+        if (!SUPPORTED_PRIM_TYPES.has(type)) {
+          unsupportedPrims.set(type, (unsupportedPrims.get(type) || 0) + 1);
+        }
+      }
+    });
+
+    unsupportedPrims.forEach((count, type) => {
+      warnings.push(`Unsupported prim type ${type} (${count}) was skipped`);
+    });
+
+    return warnings;
+  }
+
+  /**
+   * Make sure every mesh uses a MeshStandardMaterial (or a subclass)
+   * @param {THREE.Object3D} group
+   * @param {string[]} warnings - Warning list to extend
+   */
+  ensureStandardMaterials(group, warnings) {
+    let replaced = 0;
+    group.traverse(child => {
+      if (!child.isMesh) return;
+      const convert = (material) => {
+        if (material?.isMeshStandardMaterial) return material;
+        replaced++;
+        return new THREE.MeshStandardMaterial({
+          name: material?.name || '',
+          color: material?.color ? material.color.clone() : 0xffffff,
+          map: material?.map || null
+        });
+      };
+      child.material = Array.isArray(child.material) ? child.material.map(convert) : convert(child.material);
+    });
+    if (replaced > 0) {
+      warnings.push(`${replaced} materials were replaced with default MeshStandardMaterial`);
+    }
+  }
+
+  dispose() {}
+}
+
+export async function loadUSDZFromFile(file) {
+  const w = new USDZLoaderWrapper();
+  return w.loadFromFile(file);
+}
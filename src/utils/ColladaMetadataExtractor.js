@@ -0,0 +1,89 @@
+/**
+ * Collada Metadata Extractor
+ * Reads the <asset> block of a .dae document (authoring tool, unit, up-axis, dates)
+ * and combines it with the scene statistics computed by FBXMetadataExtractor.
+ */
+
+import Logger from '../core/Logger.js';
+import { FBXMetadataExtractor } from './FBXMetadataExtractor.js';
+
+export class ColladaMetadataExtractor extends FBXMetadataExtractor {
+  /**
+   * Extract metadata from a loaded Collada scene and its source document
+   * @param {THREE.Object3D} object - Loaded Collada scene
+   * @param {File} file - Original file object
+   * @param {string} text - Contents of the .dae file
+   * @returns {Object} Extracted metadata
+   */
+  extractMetadata(object, file, text) {
+    Logger.log('[ColladaMetadataExtractor] Extracting metadata from Collada document');
+
+    const asset = this.parseAsset(text);
+
+    const metadata = {
+      format: 'Collada',
+
+      // File information
+      fileName: file.name,
+      fileSize: this.formatFileSize(file.size),
+      lastModified: file.lastModified ? new Date(file.lastModified).toLocaleString() : 'Unknown',
+
+      // Collada specific data
+      creationTime: asset.created ? new Date(asset.created).toLocaleString() : 'Unknown',
+      software: asset.authoringTool || 'Unknown',
+      version: asset.version || 'Unknown',
+      units: asset.unitName ? `${asset.unitName} (${asset.unitMeter} m)` : 'Unknown',
+      coordinateSystem: asset.upAxis ? asset.upAxis.replace('_UP', '-Up') : 'Y-Up',
+
+      // Scene statistics
+      meshCount: this.countMeshes(object),
+      materialCount: this.countMaterials(object),
+      textureCount: this.countTextures(object),
+      animationCount: this.countAnimations(object),
+      boneCount: this.countBones(object),
+
+      // Additional properties
+      hasAnimations: this.hasAnimations(object),
+      hasSkeleton: this.hasSkeleton(object),
+      hasTextures: this.hasTextures(object)
+    };
+
+    Logger.log('[ColladaMetadataExtractor] Metadata extracted:', metadata);
+    return metadata;
+  }
+
+  /**
+   * Read the document-level <asset> element
+   * @param {string} text - Contents of the .dae file
+   * @returns {{version?:string, authoringTool?:string, created?:string, unitName?:string, unitMeter?:number, upAxis?:string}}
+   */
+  parseAsset(text) {
+    const result = {};
+    try {
+      const xml = new DOMParser().parseFromString(text, 'application/xml');
+      const root = xml.getElementsByTagName('COLLADA')[0];
+      if (!root) return result;
+
+      result.version = root.getAttribute('version') || undefined;
+
+      const asset = Array.from(root.children).find(el => el.nodeName === 'asset');
+      if (!asset) return result;
+
+      const textOf = (tagName) => asset.getElementsByTagName(tagName)[0]?.textContent.trim() || undefined;
+      result.authoringTool = textOf('authoring_tool');
+      result.created = textOf('created');
+      result.upAxis = textOf('up_axis');
+
+      const unit = asset.getElementsByTagName('unit')[0];
+      if (unit) {
+        result.unitName = unit.getAttribute('name') || 'meter';
+        result.unitMeter = parseFloat(unit.getAttribute('meter') || '1');
+      }
+    } catch (error) {
+      Logger.warn('[ColladaMetadataExtractor] Failed to parse <asset>:', error);
+    }
+    return result;
+  }
+}
+
+export default ColladaMetadataExtractor;
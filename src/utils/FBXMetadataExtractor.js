@@ -40,6 +40,8 @@ export class FBXMetadataExtractor {
       software: this.extractSoftware(fbxObject),
       version: this.extractVersion(fbxObject),
       units: this.detectUnits(fbxObject),
+      // Declared by the file (centimetres per unit, see utils/fbxUnits.js); null when the units above are a guess
+      unitScaleFactor: fbxObject.userData?.unitScaleFactor || null,
       coordinateSystem: this.detectCoordinateSystem(fbxObject),
       
       // Scene statistics
@@ -153,10 +155,9 @@ export class FBXMetadataExtractor {
    */
   detectUnits(fbxObject) {
     try {
-      // Check userData for unit information
-      if (fbxObject.userData?.GlobalSettings?.UnitScaleFactor) {
-        const scaleFactor = fbxObject.userData.GlobalSettings.UnitScaleFactor;
-        return this.scaleFactorToUnits(scaleFactor);
+      // Unit scale declared by the file (set by FBXLoaderWrapper)
+      if (fbxObject.userData?.unitScaleFactor) {
+        return this.scaleFactorToUnits(fbxObject.userData.unitScaleFactor);
       }
 
       // Analyze object scales to guess units
@@ -319,7 +320,7 @@ export class FBXMetadataExtractor {
   scaleFactorToUnits(scaleFactor) {
     const unitMap = {
       1: 'cm',
-      10: 'mm', 
+      0.1: 'mm',
       100: 'm',
       2.54: 'inches',
       30.48: 'feet'
@@ -0,0 +1,102 @@
+/**
+ * 3DS Metadata Extractor
+ * Reads the version and master scale chunks of a .3ds file and combines them
+ * with the scene statistics computed by FBXMetadataExtractor.
+ * 3DS stores no authoring tool; its up-axis is Z by convention.
+ */
+
+import Logger from '../core/Logger.js';
+import { FBXMetadataExtractor } from './FBXMetadataExtractor.js';
+
+// Chunk ids from the 3DS specification
+const M3DMAGIC = 0x4D4D;
+const M3D_VERSION = 0x0002;
+const MDATA = 0x3D3D;
+const MASTER_SCALE = 0x0100;
+
+export class TDSMetadataExtractor extends FBXMetadataExtractor {
+  /**
+   * Extract metadata from a loaded 3DS group and its source data
+   * @param {THREE.Object3D} object - Loaded 3DS group
+   * @param {File} file - Original file object
+   * @param {ArrayBuffer} buffer - Contents of the .3ds file
+   * @returns {Object} Extracted metadata
+   */
+  extractMetadata(object, file, buffer) {
+    Logger.log('[TDSMetadataExtractor] Extracting metadata from 3DS file');
+
+    const header = this.parseHeader(buffer);
+
+    const metadata = {
+      format: '3DS',
+
+      // File information
+      fileName: file.name,
+      fileSize: this.formatFileSize(file.size),
+      lastModified: file.lastModified ? new Date(file.lastModified).toLocaleString() : 'Unknown',
+
+      // 3DS specific data
+      creationTime: 'Unknown',
+      software: 'Unknown',
+      version: header.version !== undefined ? String(header.version) : 'Unknown',
+      units: header.masterScale !== undefined ? `Master scale: ${header.masterScale}` : 'Unknown',
+      coordinateSystem: 'Z-Up',
+
+      // Scene statistics
+      meshCount: this.countMeshes(object),
+      materialCount: this.countMaterials(object),
+      textureCount: this.countTextures(object),
+      animationCount: this.countAnimations(object),
+      boneCount: this.countBones(object),
+
+      // Additional properties
+      hasAnimations: this.hasAnimations(object),
+      hasSkeleton: this.hasSkeleton(object),
+      hasTextures: this.hasTextures(object)
+    };
+
+    Logger.log('[TDSMetadataExtractor] Metadata extracted:', metadata);
+    return metadata;
+  }
+
+  /**
+   * Walk the top-level chunks for the file version and master scale
+   * @param {ArrayBuffer} buffer - Contents of the .3ds file
+   * @returns {{version?:number, masterScale?:number}}
+   */
+  parseHeader(buffer) {
+    const result = {};
+    try {
+      const view = new DataView(buffer);
+      if (view.byteLength < 6 || view.getUint16(0, true) !== M3DMAGIC) return result;
+
+      const walk = (start, end, visit) => {
+        let offset = start;
+        while (offset + 6 <= end) {
+          const id = view.getUint16(offset, true);
+          const length = view.getUint32(offset + 2, true);
+          if (length < 6) break;
+          visit(id, offset + 6, Math.min(offset + length, end));
+          offset += length;
+        }
+      };
+
+      walk(6, Math.min(view.getUint32(2, true), view.byteLength), (id, dataStart, dataEnd) => {
+        if (id === M3D_VERSION && dataEnd - dataStart >= 4) {
+          result.version = view.getUint32(dataStart, true);
+        } else if (id === MDATA) {
+          walk(dataStart, dataEnd, (subId, subStart, subEnd) => {
+            if (subId === MASTER_SCALE && subEnd - subStart >= 4) {
+              result.masterScale = view.getFloat32(subStart, true);
+            }
+          });
+        }
+      });
+    } catch (error) {
+      Logger.warn('[TDSMetadataExtractor] Failed to read 3DS header chunks:', error);
+    }
+    return result;
+  }
+}
+
+export default TDSMetadataExtractor;
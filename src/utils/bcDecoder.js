@@ -0,0 +1,353 @@
+/**
+ * BCn Block Decoder
+ *
+ * CPU decoding of block-compressed texture data (BC1-BC5, BC7) to RGBA8, used when the
+ * GPU does not support the format (see textureDecoders.js). BC4 decodes to grey and BC5
+ * to a normal map with the blue channel reconstructed, so both work in any material slot.
+ */
+
+// Bytes per 4x4 block
+export const BC_BLOCK_BYTES = { bc1: 8, bc2: 16, bc3: 16, bc4: 8, bc5: 16, bc7: 16 };
+
+/**
+ * Decode a BCn image
+ * @param {string} format - 'bc1' | 'bc2' | 'bc3' | 'bc4' | 'bc5' | 'bc7'
+ * @param {Uint8Array} data - Compressed blocks, row by row
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array} RGBA8 pixels, top row first
+ */
+export function decodeBC(format, data, width, height) {
+  const decodeBlock = BLOCK_DECODERS[format];
+  if (!decodeBlock) {
+    throw new Error(`Unsupported block format: ${format}`);
+  }
+
+  const blockBytes = BC_BLOCK_BYTES[format];
+  const blocksX = Math.ceil(width / 4);
+  const blocksY = Math.ceil(height / 4);
+  const out = new Uint8Array(width * height * 4);
+  const block = new Uint8Array(64);
+
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      const offset = (by * blocksX + bx) * blockBytes;
+      if (offset + blockBytes > data.length) return out;
+      decodeBlock(data, offset, block);
+
+      // Blocks at the right and bottom edges may hang over the image
+      for (let y = 0; y < 4 && by * 4 + y < height; y++) {
+        for (let x = 0; x < 4 && bx * 4 + x < width; x++) {
+          const src = (y * 4 + x) * 4;
+          const dst = ((by * 4 + y) * width + bx * 4 + x) * 4;
+          out[dst] = block[src];
+          out[dst + 1] = block[src + 1];
+          out[dst + 2] = block[src + 2];
+          out[dst + 3] = block[src + 3];
+        }
+      }
+    }
+  }
+  return out;
+}
+
+function expand565(value, color) {
+  const r = (value >> 11) & 31;
+  const g = (value >> 5) & 63;
+  const b = value & 31;
+  color[0] = (r << 3) | (r >> 2);
+  color[1] = (g << 2) | (g >> 4);
+  color[2] = (b << 3) | (b >> 2);
+}
+
+/**
+ * BC1 color block; BC2/BC3 always use the four color mode
+ */
+function decodeColorBlock(data, offset, block, forceFourColors) {
+  const c0 = data[offset] | (data[offset + 1] << 8);
+  const c1 = data[offset + 2] | (data[offset + 3] << 8);
+  const palette = [[0, 0, 0, 255], [0, 0, 0, 255], [0, 0, 0, 255], [0, 0, 0, 255]];
+  expand565(c0, palette[0]);
+  expand565(c1, palette[1]);
+
+  for (let c = 0; c < 3; c++) {
+    if (forceFourColors || c0 > c1) {
+      palette[2][c] = Math.round((2 * palette[0][c] + palette[1][c]) / 3);
+      palette[3][c] = Math.round((palette[0][c] + 2 * palette[1][c]) / 3);
+    } else {
+      palette[2][c] = Math.round((palette[0][c] + palette[1][c]) / 2);
+      palette[3][c] = 0;
+    }
+  }
+  if (!forceFourColors && c0 <= c1) palette[3][3] = 0;
+
+  const indices = data[offset + 4] | (data[offset + 5] << 8) | (data[offset + 6] << 16) | (data[offset + 7] << 24);
+  for (let i = 0; i < 16; i++) {
+    const color = palette[(indices >>> (i * 2)) & 3];
+    block[i * 4] = color[0];
+    block[i * 4 + 1] = color[1];
+    block[i * 4 + 2] = color[2];
+    block[i * 4 + 3] = color[3];
+  }
+}
+
+/**
+ * BC4 channel block (also the alpha of BC3 and the channels of BC5)
+ * @param {number} channel - Channel of `block` to write (0-3)
+ */
+function decodeChannelBlock(data, offset, block, channel) {
+  const a0 = data[offset];
+  const a1 = data[offset + 1];
+  const values = [a0, a1];
+  if (a0 > a1) {
+    for (let i = 1; i < 7; i++) values.push(Math.round(((7 - i) * a0 + i * a1) / 7));
+  } else {
+    for (let i = 1; i < 5; i++) values.push(Math.round(((5 - i) * a0 + i * a1) / 5));
+    values.push(0, 255);
+  }
+
+  // 16 3-bit indices in 6 bytes, read as two 24-bit halves
+  for (let half = 0; half < 2; half++) {
+    const bits = data[offset + 2 + half * 3] | (data[offset + 3 + half * 3] << 8) | (data[offset + 4 + half * 3] << 16);
+    for (let i = 0; i < 8; i++) {
+      block[(half * 8 + i) * 4 + channel] = values[(bits >> (i * 3)) & 7];
+    }
+  }
+}
+
+const BLOCK_DECODERS = {
+  bc1(data, offset, block) {
+    decodeColorBlock(data, offset, block, false);
+  },
+  bc2(data, offset, block) {
+    decodeColorBlock(data, offset + 8, block, true);
+    for (let i = 0; i < 16; i++) {
+      const alpha = (data[offset + (i >> 1)] >> ((i & 1) * 4)) & 15;
+      block[i * 4 + 3] = alpha * 17;
+    }
+  },
+  bc3(data, offset, block) {
+    decodeColorBlock(data, offset + 8, block, true);
+    decodeChannelBlock(data, offset, block, 3);
+  },
+  bc4(data, offset, block) {
+    decodeChannelBlock(data, offset, block, 0);
+    for (let i = 0; i < 16; i++) {
+      block[i * 4 + 1] = block[i * 4 + 2] = block[i * 4];
+      block[i * 4 + 3] = 255;
+    }
+  },
+  bc5(data, offset, block) {
+    decodeChannelBlock(data, offset, block, 0);
+    decodeChannelBlock(data, offset + 8, block, 1);
+    for (let i = 0; i < 16; i++) {
+      // Tangent-space normal: z = sqrt(1 - x^2 - y^2)
+      const x = block[i * 4] / 127.5 - 1;
+      const y = block[i * 4 + 1] / 127.5 - 1;
+      const z = Math.sqrt(Math.max(0, 1 - x * x - y * y));
+      block[i * 4 + 2] = Math.round((z + 1) * 127.5);
+      block[i * 4 + 3] = 255;
+    }
+  },
+  bc7: decodeBC7Block
+};
+
+// ---------------------------------------------------------------------------
+// BC7
+
+// Per mode: subsets, partition bits, rotation bits, index selection bits, color bits, alpha bits,
+// endpoint p-bits, shared p-bits, index bits, secondary index bits
+const BC7_MODES = [
+  { ns: 3, pb: 4, rb: 0, isb: 0, cb: 4, ab: 0, epb: 1, spb: 0, ib: 3, ib2: 0 },
+  { ns: 2, pb: 6, rb: 0, isb: 0, cb: 6, ab: 0, epb: 0, spb: 1, ib: 3, ib2: 0 },
+  { ns: 3, pb: 6, rb: 0, isb: 0, cb: 5, ab: 0, epb: 0, spb: 0, ib: 2, ib2: 0 },
+  { ns: 2, pb: 6, rb: 0, isb: 0, cb: 7, ab: 0, epb: 1, spb: 0, ib: 2, ib2: 0 },
+  { ns: 1, pb: 0, rb: 2, isb: 1, cb: 5, ab: 6, epb: 0, spb: 0, ib: 2, ib2: 3 },
+  { ns: 1, pb: 0, rb: 2, isb: 0, cb: 7, ab: 8, epb: 0, spb: 0, ib: 2, ib2: 2 },
+  { ns: 1, pb: 0, rb: 0, isb: 0, cb: 7, ab: 7, epb: 1, spb: 0, ib: 4, ib2: 0 },
+  { ns: 2, pb: 6, rb: 0, isb: 0, cb: 5, ab: 5, epb: 1, spb: 0, ib: 2, ib2: 0 }
+];
+
+// Two-subset partitions: bit i is the subset of pixel i
+const BC7_PARTITIONS_2 = [
+  0xCCCC, 0x8888, 0xEEEE, 0xECC8, 0xC880, 0xFEEC, 0xFEC8, 0xEC80,
+  0xC800, 0xFFEC, 0xFE80, 0xE800, 0xFFE8, 0xFF00, 0xFFF0, 0xF000,
+  0xF710, 0x008E, 0x7100, 0x08CE, 0x008C, 0x7310, 0x3100, 0x8CCE,
+  0x088C, 0x3110, 0x6666, 0x366C, 0x17E8, 0x0FF0, 0x718E, 0x399C,
+  0xAAAA, 0xF0F0, 0x5A5A, 0x33CC, 0x3C3C, 0x55AA, 0x9696, 0xA55A,
+  0x73CE, 0x13C8, 0x324C, 0x3BDC, 0x6996, 0xC33C, 0x9966, 0x0660,
+  0x0272, 0x04E4, 0x4E40, 0x2720, 0xC936, 0x936C, 0x39C6, 0x639C,
+  0x9336, 0x9CC6, 0x817E, 0xE718, 0xCCF0, 0x0FCC, 0x7744, 0xEE22
+];
+
+// Three-subset partitions: bits 2i..2i+1 are the subset of pixel i
+const BC7_PARTITIONS_3 = [
+  0xAA685050, 0x6A5A5040, 0x5A5A4200, 0x5450A0A8, 0xA5A50000, 0xA0A05050, 0x5555A0A0, 0x5A5A5050,
+  0xAA550000, 0xAA555500, 0xAAAA5500, 0x90909090, 0x94949494, 0xA4A4A4A4, 0xA9A59450, 0x2A0A4250,
+  0xA5945040, 0x0A425054, 0xA5A5A500, 0x55A0A0A0, 0xA8A85454, 0x6A6A4040, 0xA4A45000, 0x1A1A0500,
+  0x0050A4A4, 0xAAA59090, 0x14696914, 0x69691400, 0xA08585A0, 0xAA821414, 0x50A4A450, 0x6A5A0200,
+  0xA9A58000, 0x5090A0A8, 0xA8A09050, 0x24242424, 0x00AA5500, 0x24924924, 0x24499224, 0x50A50A50,
+  0x500AA550, 0xAAAA4444, 0x66660000, 0xA5A0A5A0, 0x50A050A0, 0x69286928, 0x44AAAA44, 0x66666600,
+  0xAA444444, 0x54A854A8, 0x95809580, 0x96969600, 0xA85454A8, 0x80959580, 0xAA141414, 0x96960000,
+  0xAAAA1414, 0xA05050A0, 0xA0A5A5A0, 0x96000000, 0x40804080, 0xA9A8A9A8, 0xAAAAAA44, 0x2A4A5254
+];
+
+// Anchor pixel of the second subset (two-subset partitions)
+const BC7_ANCHOR_2 = [
+  15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15,
+  15, 2, 8, 2, 2, 8, 8, 15, 2, 8, 2, 2, 8, 8, 2, 2,
+  15, 15, 6, 8, 2, 8, 15, 15, 2, 8, 2, 2, 2, 15, 15, 6,
+  6, 2, 6, 8, 15, 15, 2, 2, 15, 15, 15, 15, 15, 2, 2, 15
+];
+
+// Anchor pixels of the second and third subsets (three-subset partitions)
+const BC7_ANCHOR_3A = [
+  3, 3, 15, 15, 8, 3, 15, 15, 8, 8, 6, 6, 6, 5, 3, 3,
+  3, 3, 8, 15, 3, 3, 6, 10, 5, 8, 8, 6, 8, 5, 15, 15,
+  8, 15, 3, 5, 6, 10, 8, 15, 15, 3, 15, 5, 15, 15, 15, 15,
+  3, 15, 5, 5, 5, 8, 5, 10, 5, 10, 8, 13, 15, 12, 3, 3
+];
+const BC7_ANCHOR_3B = [
+  15, 8, 8, 3, 15, 15, 3, 8, 15, 15, 15, 15, 15, 15, 15, 8,
+  15, 8, 15, 3, 15, 8, 15, 8, 3, 15, 6, 10, 15, 15, 10, 8,
+  15, 3, 15, 10, 10, 8, 9, 10, 6, 15, 8, 15, 3, 6, 6, 8,
+  15, 3, 15, 15, 15, 15, 15, 15, 15, 15, 15, 15, 3, 15, 15, 8
+];
+
+const BC7_WEIGHTS = {
+  2: [0, 21, 43, 64],
+  3: [0, 9, 18, 27, 37, 46, 55, 64],
+  4: [0, 4, 9, 13, 17, 21, 26, 30, 34, 38, 43, 47, 51, 55, 60, 64]
+};
+
+/**
+ * Subset of a pixel in a BC7 partition
+ * @returns {number}
+ */
+function getSubset(subsets, partition, pixel) {
+  if (subsets === 2) return (BC7_PARTITIONS_2[partition] >> pixel) & 1;
+  if (subsets === 3) return (BC7_PARTITIONS_3[partition] >>> (pixel * 2)) & 3;
+  return 0;
+}
+
+function isAnchor(subsets, partition, pixel) {
+  if (pixel === 0) return true;
+  if (subsets === 2) return pixel === BC7_ANCHOR_2[partition];
+  if (subsets === 3) return pixel === BC7_ANCHOR_3A[partition] || pixel === BC7_ANCHOR_3B[partition];
+  return false;
+}
+
+/**
+ * Expand an n-bit endpoint value to 8 bits
+ */
+function unquantize(value, bits) {
+  value <<= 8 - bits;
+  return value | (value >> bits);
+}
+
+function decodeBC7Block(data, offset, block) {
+  let bitPos = 0;
+  const read = (count) => {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      const bit = bitPos + i;
+      value |= ((data[offset + (bit >> 3)] >> (bit & 7)) & 1) << i;
+    }
+    bitPos += count;
+    return value;
+  };
+
+  let modeIndex = 0;
+  while (modeIndex < 8 && !read(1)) modeIndex++;
+  if (modeIndex === 8) {
+    // Reserved mode: transparent black
+    block.fill(0);
+    return;
+  }
+
+  const mode = BC7_MODES[modeIndex];
+  const partition = read(mode.pb);
+  const rotation = read(mode.rb);
+  const indexSelection = read(mode.isb);
+
+  // endpoints[subset * 2 + endpoint] = [r, g, b, a]
+  const endpointCount = mode.ns * 2;
+  const endpoints = Array.from({ length: endpointCount }, () => [0, 0, 0, 255]);
+  for (let c = 0; c < 3; c++) {
+    for (let e = 0; e < endpointCount; e++) endpoints[e][c] = read(mode.cb);
+  }
+  if (mode.ab) {
+    for (let e = 0; e < endpointCount; e++) endpoints[e][3] = read(mode.ab);
+  }
+
+  const pbits = [];
+  if (mode.epb) {
+    for (let e = 0; e < endpointCount; e++) pbits.push(read(1));
+  } else if (mode.spb) {
+    for (let s = 0; s < mode.ns; s++) {
+      const bit = read(1);
+      pbits.push(bit, bit);
+    }
+  }
+
+  const colorBits = mode.cb + (pbits.length ? 1 : 0);
+  const alphaBits = mode.ab + (pbits.length ? 1 : 0);
+  endpoints.forEach((endpoint, e) => {
+    for (let c = 0; c < 3; c++) {
+      const value = pbits.length ? (endpoint[c] << 1) | pbits[e] : endpoint[c];
+      endpoint[c] = unquantize(value, colorBits);
+    }
+    if (mode.ab) {
+      const value = pbits.length ? (endpoint[3] << 1) | pbits[e] : endpoint[3];
+      endpoint[3] = unquantize(value, alphaBits);
+    }
+  });
+
+  const primary = new Array(16);
+  for (let i = 0; i < 16; i++) {
+    primary[i] = read(isAnchor(mode.ns, partition, i) ? mode.ib - 1 : mode.ib);
+  }
+  let secondary = null;
+  if (mode.ib2) {
+    secondary = new Array(16);
+    for (let i = 0; i < 16; i++) {
+      secondary[i] = read(i === 0 ? mode.ib2 - 1 : mode.ib2);
+    }
+  }
+
+  for (let i = 0; i < 16; i++) {
+    const subset = getSubset(mode.ns, partition, i);
+    const e0 = endpoints[subset * 2];
+    const e1 = endpoints[subset * 2 + 1];
+
+    let colorIndex = primary[i];
+    let colorWeights = BC7_WEIGHTS[mode.ib];
+    let alphaIndex = primary[i];
+    let alphaWeights = BC7_WEIGHTS[mode.ib];
+    if (secondary) {
+      if (indexSelection) {
+        colorIndex = secondary[i];
+        colorWeights = BC7_WEIGHTS[mode.ib2];
+      } else {
+        alphaIndex = secondary[i];
+        alphaWeights = BC7_WEIGHTS[mode.ib2];
+      }
+    }
+
+    const pixel = [0, 0, 0, 0];
+    const cw = colorWeights[colorIndex];
+    const aw = alphaWeights[alphaIndex];
+    for (let c = 0; c < 3; c++) {
+      pixel[c] = ((64 - cw) * e0[c] + cw * e1[c] + 32) >> 6;
+    }
+    pixel[3] = ((64 - aw) * e0[3] + aw * e1[3] + 32) >> 6;
+
+    // Rotation swaps alpha with one of the color channels
+    if (rotation) {
+      const channel = rotation - 1;
+      [pixel[channel], pixel[3]] = [pixel[3], pixel[channel]];
+    }
+
+    block.set(pixel, i * 4);
+  }
+}
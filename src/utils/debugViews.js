@@ -0,0 +1,404 @@
+/**
+ * Debug Views
+ *
+ * Material debug visualizations for asset QA, selected from the material override list
+ * ("debug:albedo", "debug:roughness", ...). Each view builds a material per mesh from the
+ * mesh's own material, so maps, UV transforms, skinning and morph targets carry over.
+ * Data views (roughness, metalness, AO) show the raw channel values as gray levels.
+ * "UV seams" adds line overlays, kept in a helper group of the scene.
+ * "Texel density" is a heatmap of the color map's pixels per metre against a target
+ * (see utils/texelDensity.js).
+ *
+ * Usage (see applyMaterialOverride in Materials.js):
+ *   if (isDebugView(type)) mesh.material = makeDebugMaterial(type, originalMaterial, mesh, { texelDensityTarget: 512 });
+ *   ...
+ *   removeDebugOverlay(mesh);
+ *   removeDebugOverlays(model);   // before a model leaves the scene
+ */
+
+import * as THREE from 'three';
+import { DEFAULT_TEXEL_DENSITY_TARGET, getMetresPerUnit } from './texelDensity.js';
+
+export const DEBUG_VIEW_PREFIX = 'debug:';
+
+// Views in display order (value after the prefix)
+export const DEBUG_VIEWS = [
+  'albedo', 'normals', 'normalMap', 'roughness', 'metalness', 'ao', 'uvChecker', 'uvSeams',
+  'vertexColors', 'materialId', 'overdraw', 'texelDensity'
+];
+
+// The texel density heatmap saturates this many powers of two away from the target
+const TEXEL_DENSITY_RANGE = 2;
+
+// Name of the scene group that holds the seam overlays
+const OVERLAY_GROUP_NAME = '__debugOverlays';
+
+// sRGB-decode data values, so that the output encoding shows them unchanged
+const RAW_VALUE_GLSL = /* glsl */`
+vec3 debugRawValue( vec3 value ) {
+  return mix( pow( ( value + 0.055 ) / 1.055, vec3( 2.4 ) ), value / 12.92, vec3( lessThanEqual( value, vec3( 0.04045 ) ) ) );
+}
+`;
+
+let checkerTexture = null;
+const materialColors = new WeakMap();
+let materialColorIndex = 0;
+const overlays = new WeakMap();
+
+/**
+ * @param {string} type - Material override type
+ * @returns {boolean} True for "debug:<view>"
+ */
+export function isDebugView(type) {
+  return typeof type === 'string' && type.startsWith(DEBUG_VIEW_PREFIX);
+}
+
+/**
+ * Shared UV checker: 8×8 squares, hue by row, darker in odd squares, with a marker in the
+ * corner at UV (0, 0) so flipped islands stand out
+ * @returns {THREE.Texture}
+ */
+function getCheckerTexture() {
+  if (checkerTexture) return checkerTexture;
+  const size = 512;
+  const cells = 8;
+  const cell = size / cells;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const context = canvas.getContext('2d');
+  for (let y = 0; y < cells; y++) {
+    for (let x = 0; x < cells; x++) {
+      const light = (x + y) % 2 ? 35 : 70;
+      context.fillStyle = `hsl(${Math.round(y / cells * 300)}, 70%, ${light}%)`;
+      context.fillRect(x * cell, y * cell, cell, cell);
+    }
+  }
+  // Canvas row 0 is the top of the image, which flipY puts at v = 1
+  context.fillStyle = '#fff';
+  context.fillRect(0, size - cell / 2, cell / 2, cell / 2);
+
+  checkerTexture = new THREE.CanvasTexture(canvas);
+  checkerTexture.colorSpace = THREE.SRGBColorSpace;
+  checkerTexture.wrapS = checkerTexture.wrapT = THREE.RepeatWrapping;
+  checkerTexture.anisotropy = 4;
+  return checkerTexture;
+}
+
+/**
+ * A stable false color per material
+ */
+function getMaterialColor(material) {
+  if (!materialColors.has(material)) {
+    // Golden ratio hue steps keep consecutive materials far apart
+    const hue = (materialColorIndex++ * 0.618034) % 1;
+    materialColors.set(material, new THREE.Color().setHSL(hue, 0.65, 0.55));
+  }
+  return materialColors.get(material);
+}
+
+/**
+ * Replace the lit color of a MeshBasicMaterial with a GLSL expression of `diffuseColor`
+ * (the material color times its map)
+ */
+function withBasicOutput(material, key, expression, uniforms = {}) {
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    const declarations = Object.keys(uniforms).map(name => `uniform float ${name};`).join('\n');
+    shader.fragmentShader = shader.fragmentShader
+      .replace('void main() {', `${declarations}\n${RAW_VALUE_GLSL}\nvoid main() {`)
+      .replace('vec3 outgoingLight = reflectedLight.indirectDiffuse;', `vec3 outgoingLight = ${expression};`);
+  };
+  // The default key is the onBeforeCompile source, which is the same for every view
+  material.customProgramCacheKey = () => `debug-view-${key}`;
+  return material;
+}
+
+/**
+ * Replace the output of a MeshNormalMaterial (view-space `normal`)
+ */
+function withNormalOutput(material, key, statement) {
+  material.onBeforeCompile = (shader) => {
+    shader.fragmentShader = shader.fragmentShader
+      .replace('gl_FragColor = vec4( packNormalToRGB( normal ), opacity );', statement);
+  };
+  material.customProgramCacheKey = () => `debug-view-${key}`;
+  return material;
+}
+
+/**
+ * Texel density heatmap: pixels of the map per metre, from the screen-space derivatives of
+ * the map UVs and the world position (constant over each triangle). Green is on target,
+ * blue below and red above it.
+ */
+function texelDensityMaterial(source, target, metresPerUnit) {
+  const size = source.map?.image;
+  // Without a decoded map there is no density: the mesh is drawn gray
+  const material = new THREE.MeshBasicMaterial({ color: 0x808080, map: size?.width ? source.map : null });
+  const uniforms = {
+    debugTextureSize: { value: new THREE.Vector2(size?.width || 1, size?.height || 1) },
+    debugTarget: { value: target },
+    debugMetresPerUnit: { value: metresPerUnit },
+    debugRange: { value: TEXEL_DENSITY_RANGE }
+  };
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace('void main() {', 'varying vec3 vDebugWorldPosition;\nvoid main() {')
+      .replace('#include <project_vertex>', '#include <project_vertex>\n\tvDebugWorldPosition = ( modelMatrix * vec4( transformed, 1.0 ) ).xyz;');
+    shader.fragmentShader = shader.fragmentShader
+      .replace('void main() {', `
+        uniform vec2 debugTextureSize;
+        uniform float debugTarget;
+        uniform float debugMetresPerUnit;
+        uniform float debugRange;
+        varying vec3 vDebugWorldPosition;
+        ${RAW_VALUE_GLSL}
+        void main() {`)
+      .replace('vec3 outgoingLight = reflectedLight.indirectDiffuse;', `
+        vec3 outgoingLight = vec3( 0.5 );
+        #ifdef USE_MAP
+          vec2 uvDx = dFdx( vMapUv ) * debugTextureSize;
+          vec2 uvDy = dFdy( vMapUv ) * debugTextureSize;
+          float texels = abs( uvDx.x * uvDy.y - uvDx.y * uvDy.x );
+          float area = length( cross( dFdx( vDebugWorldPosition ), dFdy( vDebugWorldPosition ) ) ) * debugMetresPerUnit * debugMetresPerUnit;
+          float ratio = clamp( log2( sqrt( texels / max( area, 1e-20 ) ) / debugTarget ) / debugRange, -1.0, 1.0 );
+          vec3 heat = ratio < 0.0
+            ? mix( vec3( 0.1, 0.8, 0.2 ), vec3( 0.1, 0.3, 1.0 ), -ratio )
+            : mix( vec3( 0.1, 0.8, 0.2 ), vec3( 1.0, 0.15, 0.1 ), ratio );
+          outgoingLight = debugRawValue( heat );
+        #endif`);
+  };
+  material.customProgramCacheKey = () => 'debug-view-texelDensity';
+  return material;
+}
+
+/**
+ * A texture slot of the source material shown through the `map` of a basic material
+ */
+function dataView(key, texture, channel, scalarExpression, scalar) {
+  const material = new THREE.MeshBasicMaterial({ color: 0xffffff, map: texture || null });
+  return withBasicOutput(material, key, `debugRawValue( vec3( ${scalarExpression(`diffuseColor.${channel}`)} ) )`, {
+    debugScalar: { value: scalar }
+  });
+}
+
+/**
+ * Build the debug material of a view for one source material
+ * @param {string} type - "debug:<view>", see DEBUG_VIEWS
+ * @param {THREE.Material} source - The mesh's original material
+ * @param {THREE.Object3D} [mesh] - The mesh (vertex colors, seam overlay, units)
+ * @param {Object} [options]
+ * @param {number} [options.texelDensityTarget] - Target of the texel density heatmap (px/m)
+ * @returns {THREE.Material}
+ */
+export function makeDebugMaterial(type, source, mesh = null, options = {}) {
+  const view = type.slice(DEBUG_VIEW_PREFIX.length);
+  const src = source || {};
+  let material;
+
+  switch (view) {
+    case 'albedo':
+      material = new THREE.MeshBasicMaterial({
+        color: src.color ? src.color.clone() : 0xffffff,
+        map: src.map || null,
+        alphaMap: src.alphaMap || null,
+        alphaTest: src.alphaTest || 0,
+        transparent: !!src.transparent,
+        opacity: src.opacity ?? 1
+      });
+      break;
+
+    case 'normals':
+      material = withNormalOutput(new THREE.MeshNormalMaterial(), view,
+        'gl_FragColor = vec4( packNormalToRGB( normalize( ( vec4( normal, 0.0 ) * viewMatrix ).xyz ) ), 1.0 );');
+      break;
+
+    case 'normalMap':
+      // The tangent-space vector read from the normal map (flat blue without one)
+      material = withNormalOutput(new THREE.MeshNormalMaterial({
+        normalMap: src.normalMap || null,
+        normalMapType: src.normalMapType ?? THREE.TangentSpaceNormalMap,
+        normalScale: src.normalScale ? src.normalScale.clone() : new THREE.Vector2(1, 1)
+      }), view, `
+        #ifdef USE_NORMALMAP_TANGENTSPACE
+          gl_FragColor = vec4( packNormalToRGB( normalize( mapN ) ), 1.0 );
+        #else
+          gl_FragColor = vec4( 0.5, 0.5, 1.0, 1.0 );
+        #endif`);
+      break;
+
+    // Channels as the standard material samples them: roughness G, metalness B, AO R
+    case 'roughness':
+      material = dataView(view, src.roughnessMap, 'g', value => `debugScalar * ${value}`, src.roughness ?? 1);
+      break;
+    case 'metalness':
+      material = dataView(view, src.metalnessMap, 'b', value => `debugScalar * ${value}`, src.metalness ?? 0);
+      break;
+    case 'ao':
+      material = dataView(view, src.aoMap, 'r', value => `1.0 + debugScalar * ( ${value} - 1.0 )`, src.aoMapIntensity ?? 1);
+      break;
+
+    case 'uvChecker':
+      material = new THREE.MeshBasicMaterial({ map: getCheckerTexture() });
+      break;
+
+    case 'uvSeams':
+      material = new THREE.MeshBasicMaterial({ color: 0x808080, polygonOffset: true, polygonOffsetFactor: 1, polygonOffsetUnits: 1 });
+      if (mesh) addSeamOverlay(mesh);
+      break;
+
+    case 'vertexColors': {
+      const hasColors = Boolean(mesh?.geometry?.attributes?.color);
+      material = new THREE.MeshBasicMaterial({ color: hasColors ? 0xffffff : 0x404040, vertexColors: hasColors });
+      break;
+    }
+
+    case 'materialId':
+      material = new THREE.MeshBasicMaterial({ color: getMaterialColor(src) });
+      break;
+
+    case 'overdraw':
+      // Every layer adds up: bright areas are drawn many times; transparent materials in blue
+      material = new THREE.MeshBasicMaterial({
+        color: src.transparent ? 0x0a1a40 : 0x40140a,
+        blending: THREE.AdditiveBlending,
+        transparent: true,
+        depthTest: false,
+        depthWrite: false
+      });
+      break;
+
+    case 'texelDensity':
+      material = texelDensityMaterial(src, options.texelDensityTarget || DEFAULT_TEXEL_DENSITY_TARGET,
+        mesh ? getMetresPerUnit(mesh) : 1);
+      break;
+
+    default:
+      material = new THREE.MeshBasicMaterial({ color: 0xff00ff });
+  }
+
+  material.name = `${src.name || 'material'} (${view})`;
+  material.side = src.side ?? THREE.FrontSide;
+  material.toneMapped = false;
+  material.userData.debugView = view;
+  return material;
+}
+
+/**
+ * Dispose a debug material; textures of the source material and the shared checker are kept
+ * @param {THREE.Material} material
+ */
+export function disposeDebugMaterial(material) {
+  material.dispose();
+}
+
+/**
+ * Edges where the UV layout is cut: edges of a triangle whose UVs no neighbouring triangle
+ * shares (island borders and open mesh borders)
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {Float32Array} Line segment positions (pairs of points)
+ */
+export function findUVSeams(geometry) {
+  const position = geometry.attributes.position;
+  const uv = geometry.attributes.uv;
+  if (!position || !uv) return new Float32Array(0);
+
+  const index = geometry.index;
+  const count = index ? index.count : position.count;
+  const vertexAt = i => (index ? index.getX(i) : i);
+
+  // Vertices split for UVs or normals share a position id
+  const positionIds = new Map();
+  const positionId = (vertex) => {
+    const key = `${Math.round(position.getX(vertex) * 1e4)},${Math.round(position.getY(vertex) * 1e4)},${Math.round(position.getZ(vertex) * 1e4)}`;
+    if (!positionIds.has(key)) positionIds.set(key, positionIds.size);
+    return positionIds.get(key);
+  };
+  const uvKey = vertex => `${Math.round(uv.getX(vertex) * 1e4)},${Math.round(uv.getY(vertex) * 1e4)}`;
+
+  // position edge -> UV edge -> { count, a, b }
+  const edges = new Map();
+  for (let i = 0; i + 2 < count; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      let a = vertexAt(i + k);
+      let b = vertexAt(i + (k + 1) % 3);
+      let idA = positionId(a);
+      let idB = positionId(b);
+      if (idA === idB) continue;
+      if (idA > idB) {
+        [a, b] = [b, a];
+        [idA, idB] = [idB, idA];
+      }
+      const edgeKey = `${idA}_${idB}`;
+      const uvEdgeKey = `${uvKey(a)}_${uvKey(b)}`;
+      if (!edges.has(edgeKey)) edges.set(edgeKey, new Map());
+      const uvEdges = edges.get(edgeKey);
+      const entry = uvEdges.get(uvEdgeKey);
+      if (entry) entry.count++;
+      else uvEdges.set(uvEdgeKey, { count: 1, a, b });
+    }
+  }
+
+  const points = [];
+  edges.forEach(uvEdges => {
+    if (Array.from(uvEdges.values()).every(entry => entry.count > 1)) return;
+    const { a, b } = uvEdges.values().next().value;
+    points.push(position.getX(a), position.getY(a), position.getZ(a), position.getX(b), position.getY(b), position.getZ(b));
+  });
+  return new Float32Array(points);
+}
+
+/**
+ * Draw the UV seams of a mesh as lines. The overlay lives in a helper group of the scene
+ * (not under the model, so exports and the Inspector tree don't see it) and follows the
+ * mesh's world matrix; skinned meshes show their bind pose.
+ * @param {THREE.Object3D} mesh
+ */
+export function addSeamOverlay(mesh) {
+  if (overlays.has(mesh) || !mesh.geometry) return;
+  let scene = mesh;
+  while (scene.parent) scene = scene.parent;
+  if (scene === mesh) return;
+
+  let group = scene.getObjectByName(OVERLAY_GROUP_NAME);
+  if (!group) {
+    group = new THREE.Group();
+    group.name = OVERLAY_GROUP_NAME;
+    scene.add(group);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(findUVSeams(mesh.geometry), 3));
+  const lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0xff3030, toneMapped: false }));
+  lines.name = `${mesh.name || 'mesh'} UV seams`;
+  lines.matrixAutoUpdate = false;
+  lines.frustumCulled = false;
+  lines.onBeforeRender = () => lines.matrixWorld.copy(mesh.matrixWorld);
+  // Not pickable: clicks go to the mesh underneath
+  lines.raycast = () => {};
+  group.add(lines);
+  overlays.set(mesh, lines);
+}
+
+/**
+ * Remove the overlay added for a mesh, if any
+ * @param {THREE.Object3D} mesh
+ */
+export function removeDebugOverlay(mesh) {
+  const lines = overlays.get(mesh);
+  if (!lines) return;
+  const group = lines.parent;
+  group?.remove(lines);
+  if (group && !group.children.length) group.parent?.remove(group);
+  lines.geometry.dispose();
+  lines.material.dispose();
+  overlays.delete(mesh);
+}
+
+/**
+ * Remove the overlays of every mesh under an object (e.g. a model being removed)
+ * @param {THREE.Object3D} object
+ */
+export function removeDebugOverlays(object) {
+  object.traverse(removeDebugOverlay);
+}
@@ -0,0 +1,76 @@
+/**
+ * Export File Utilities
+ *
+ * Helpers shared by the exporters: turning data URIs into blobs, packing
+ * multi-file outputs into a ZIP (zip.js) and triggering browser downloads.
+ */
+
+import Logger from '../core/Logger.js';
+
+/**
+ * Convert a base64 data URI into a Blob
+ * @param {string} dataURI - data:<mime>;base64,<data>
+ * @returns {Blob}
+ */
+export function dataURIToBlob(dataURI) {
+  const [header, data] = dataURI.split(',');
+  const mimeType = header.match(/^data:([^;]+)/)?.[1] || 'application/octet-stream';
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * Pack several files into a single ZIP archive
+ * @param {Array<{name: string, blob: Blob}>} files - Files to pack; names may contain folders
+ * @returns {Promise<Blob>} The ZIP archive
+ */
+export async function packFilesToZIP(files) {
+  if (typeof zip === 'undefined' || typeof zip.ZipWriter === 'undefined') {
+    throw new Error('zip.js library is not loaded. Please include it in your HTML.');
+  }
+
+  const zipWriter = new zip.ZipWriter(new zip.BlobWriter('application/zip'));
+  for (const { name, blob } of files) {
+    await zipWriter.add(name, new zip.BlobReader(blob));
+  }
+  const archive = await zipWriter.close();
+  Logger.log(`[exportFiles] Packed ${files.length} files into ZIP (${archive.size} bytes)`);
+  return archive;
+}
+
+/**
+ * Trigger a browser download for a blob
+ * @param {Blob} blob - Data to download
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  Logger.log(`[exportFiles] Download started: ${fileName} (${blob.size} bytes)`);
+}
+
+/**
+ * Make a string safe to use as a file name
+ * @param {string} name - Raw name (object or model name)
+ * @param {string} [fallback='export'] - Used when nothing usable is left
+ * @returns {string}
+ */
+export function sanitizeFileName(name, fallback = 'export') {
+  const cleaned = String(name || '')
+    .replace(/\.[a-z0-9]+$/i, '')
+    .replace(/[^\w\-. ]+/g, '_')
+    .trim();
+  return cleaned || fallback;
+}
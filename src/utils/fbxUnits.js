@@ -0,0 +1,62 @@
+/**
+ * FBX Units
+ *
+ * FBXLoader reads GlobalSettings only for the ambient color and keeps its parsed tree private,
+ * so the unit scale the file declares (GlobalSettings UnitScaleFactor, centimetres per unit)
+ * is read here from the same buffer. No three.js import: the FBX parser worker uses it too.
+ *
+ * Usage:
+ *   root.userData.unitScaleFactor = readFBXUnitScaleFactor(buffer); // null when not declared
+ */
+
+const BINARY_MAGIC = 'Kaydara FBX Binary  \0';
+const PROPERTY_NAME = 'UnitScaleFactor';
+
+/**
+ * @param {ArrayBuffer} buffer - Whole FBX file
+ * @returns {number|null} Centimetres per unit, or null when the file declares none
+ */
+export function readFBXUnitScaleFactor(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const isBinary = bytes.length >= BINARY_MAGIC.length &&
+    String.fromCharCode(...bytes.subarray(0, BINARY_MAGIC.length)) === BINARY_MAGIC;
+  const value = isBinary ? readBinary(bytes) : readText(bytes);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Binary P record: S"UnitScaleFactor" S"double" S"Number" S"" D<value>, every S with a uint32 length.
+ * The name is matched with its length prefix, so OriginalUnitScaleFactor is skipped.
+ * @private
+ */
+function readBinary(bytes) {
+  const name = Array.from(PROPERTY_NAME, char => char.charCodeAt(0));
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const S = 'S'.charCodeAt(0);
+
+  for (let i = 5; i + name.length < bytes.length; i++) {
+    if (bytes[i - 5] !== S || view.getUint32(i - 4, true) !== name.length) continue;
+    if (!name.every((code, k) => bytes[i + k] === code)) continue;
+
+    // Skip the type, label and flags strings, then read the number
+    let offset = i + name.length;
+    for (let k = 0; k < 3 && bytes[offset] === S; k++) {
+      offset += 5 + view.getUint32(offset + 1, true);
+    }
+    const type = String.fromCharCode(bytes[offset]);
+    if (type === 'D' && offset + 9 <= bytes.length) return view.getFloat64(offset + 1, true);
+    if (type === 'F' && offset + 5 <= bytes.length) return view.getFloat32(offset + 1, true);
+    return null;
+  }
+  return null;
+}
+
+/**
+ * ASCII: P: "UnitScaleFactor", "double", "Number", "",2.54
+ * @private
+ */
+function readText(bytes) {
+  const text = new TextDecoder().decode(bytes);
+  const match = /P:\s*"UnitScaleFactor"\s*,[^\n]*,\s*([-+\d.eE]+)\s*$/m.exec(text);
+  return match ? Number(match[1]) : null;
+}
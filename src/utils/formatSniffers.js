@@ -0,0 +1,143 @@
+/**
+ * Format Sniffers
+ *
+ * Magic-byte checks for the model formats AssetLoader registers, so extension-less or
+ * misnamed files (a binary FBX saved as .bin) are still routed to the right loader.
+ * Every sniffer receives the first bytes of the file (see readFileHeader) and the file itself.
+ */
+
+// Enough for magic numbers, the first ZIP entry name and a few lines of text headers
+export const HEADER_SIZE = 4096;
+
+const textDecoder = new TextDecoder('utf-8');
+
+/**
+ * Read the first bytes of a file for sniffing
+ * @param {Blob} file - The file to inspect
+ * @param {number} [size=HEADER_SIZE] - Number of bytes to read
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readFileHeader(file, size = HEADER_SIZE) {
+  return new Uint8Array(await file.slice(0, size).arrayBuffer());
+}
+
+/**
+ * Check whether the header starts with the given ASCII signature
+ * @param {Uint8Array} header - File header
+ * @param {string} signature - ASCII signature
+ * @param {number} [offset=0] - Byte offset of the signature
+ * @returns {boolean}
+ */
+export function startsWithASCII(header, signature, offset = 0) {
+  if (header.length < offset + signature.length) return false;
+  for (let i = 0; i < signature.length; i++) {
+    if (header[offset + i] !== signature.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Decode the header as text, or return null when it contains binary data
+ * @param {Uint8Array} header - File header
+ * @returns {string|null}
+ */
+export function getHeaderText(header) {
+  for (let i = 0; i < header.length; i++) {
+    const byte = header[i];
+    // Control characters other than tab, line feed and carriage return mean binary data
+    if (byte < 9 || (byte > 13 && byte < 32)) return null;
+  }
+  // Drop a UTF-8 byte order mark
+  return textDecoder.decode(header).replace(/^\uFEFF/, '');
+}
+
+/**
+ * Check for a ZIP local file header
+ * @param {Uint8Array} header - File header
+ * @returns {boolean}
+ */
+export function isZIP(header) {
+  return header.length >= 4 && header[0] === 0x50 && header[1] === 0x4B && header[2] === 0x03 && header[3] === 0x04;
+}
+
+/**
+ * Name of the first entry of a ZIP archive, read from its local file header
+ * @param {Uint8Array} header - File header
+ * @returns {string|null}
+ */
+export function getFirstZIPEntryName(header) {
+  if (!isZIP(header) || header.length < 30) return null;
+  const nameLength = header[26] | (header[27] << 8);
+  if (header.length < 30 + nameLength) return null;
+  return textDecoder.decode(header.subarray(30, 30 + nameLength));
+}
+
+/** Binary glTF (.glb, .vrm): "glTF" magic */
+export function sniffGLB(header) {
+  return startsWithASCII(header, 'glTF');
+}
+
+/** glTF JSON: an object with an "asset" property near the start */
+export function sniffGLTF(header) {
+  const text = getHeaderText(header);
+  return !!text && /^\s*\{/.test(text) && /"asset"\s*:/.test(text);
+}
+
+/** FBX: binary magic or the comment ASCII exporters write on the first line */
+export function sniffFBX(header) {
+  if (startsWithASCII(header, 'Kaydara FBX Binary')) return true;
+  const text = getHeaderText(header);
+  return !!text && /^\s*;\s*FBX\s/.test(text);
+}
+
+/** Wavefront OBJ: text with vertex statements */
+export function sniffOBJ(header) {
+  const text = getHeaderText(header);
+  return !!text && /^v[ \t]+-?[\d.]/m.test(text) && !/^\s*[{<]/.test(text);
+}
+
+/** STL: "solid ... facet" text, or a binary file whose size matches its triangle count */
+export function sniffSTL(header, file) {
+  const text = getHeaderText(header);
+  if (text) {
+    return /^\s*solid\b/.test(text) && /\bfacet\s+normal\b/.test(text);
+  }
+  if (header.length < 84 || !file) return false;
+  const triangles = new DataView(header.buffer, header.byteOffset, 84).getUint32(80, true);
+  return 84 + triangles * 50 === file.size;
+}
+
+/** Stanford PLY: "ply" magic line */
+export function sniffPLY(header) {
+  return startsWithASCII(header, 'ply\n') || startsWithASCII(header, 'ply\r\n');
+}
+
+/** 3MF: a ZIP package that starts with its OPC parts or the 3D model part */
+export function sniff3MF(header) {
+  const name = getFirstZIPEntryName(header);
+  return !!name && (/^3D\//i.test(name) || name === '[Content_Types].xml' || name === '_rels/.rels');
+}
+
+/** Collada: XML with a COLLADA root element */
+export function sniffCollada(header) {
+  const text = getHeaderText(header);
+  return !!text && /<COLLADA[\s>]/.test(text);
+}
+
+/** 3DS: main chunk 0x4D4D whose length is the file size */
+export function sniff3DS(header, file) {
+  if (header.length < 6 || header[0] !== 0x4D || header[1] !== 0x4D) return false;
+  const length = new DataView(header.buffer, header.byteOffset, 6).getUint32(2, true);
+  return !file || length === file.size;
+}
+
+/** USDZ: an uncompressed ZIP whose first entry is the root USD layer */
+export function sniffUSDZ(header) {
+  const name = getFirstZIPEntryName(header);
+  return !!name && /\.usd[ac]?$/i.test(name);
+}
+
+/** USDA: "#usda" layer header */
+export function sniffUSDA(header) {
+  return startsWithASCII(header, '#usda');
+}
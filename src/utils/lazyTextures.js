@@ -0,0 +1,374 @@
+/**
+ * Lazy ZIP Textures
+ *
+ * A texture map whose textures are decoded only when a material asks for them.
+ * The archive is indexed up front: every texture entry gets a placeholder THREE.Texture
+ * (no image yet) that stays the same object for its whole life, so the loaders, the
+ * texture resolver and applyTexturesFromMap() can hand it out before it is decoded.
+ * load() decodes placeholders in place.
+ *
+ * A memory budget (estimated GPU bytes) caps the decoded textures: past it, textures no
+ * model uses are evicted (decoded again on the next request), then the largest textures
+ * in use are downsized by halves.
+ *
+ * Materials that need their own wrap / repeat / offset (MTL maps, remapped references) get a
+ * copy of the placeholder (copyTexture()); copies share its data and follow it through
+ * decoding, eviction and downsizing.
+ *
+ * Usage:
+ *   const textures = new LazyTextureMap((blob, path) => loadTextureFromBlob(blob, path, THREE));
+ *   const texture = textures.addSource('textures/wood.png', () => entry.getData(new zip.BlobWriter()));
+ *   textureMap.set('wood.png', texture);
+ *   textures.setBudget(512 * 1024 * 1024);
+ *   textures.setUsageCheck(() => new Set(texturesUsedByModels));
+ *   await textures.load([texture]);
+ *   material.map = copyTexture(texture);           // own sampling settings, same image
+ */
+
+import * as THREE from 'three';
+import Logger from '../core/Logger.js';
+import { tagTextureReference } from './zipTextures.js';
+
+// Textures are not downsized below this size (longest side, px)
+const MIN_DOWNSIZE = 256;
+
+// Properties a decoded texture carries over to its placeholder
+const ADOPTED_PROPERTIES = [
+  'source', 'mipmaps', 'format', 'internalFormat', 'type', 'minFilter', 'magFilter',
+  'generateMipmaps', 'premultiplyAlpha', 'unpackAlignment'
+];
+
+// Set in the constructors of DataTexture and CompressedTexture; the renderer picks the upload path by them
+const TYPE_FLAGS = ['isDataTexture', 'isCompressedTexture'];
+
+// Placeholder or copy -> LazyTextureMap that created it (copyTexture)
+const owners = new WeakMap();
+
+/**
+ * Estimate the GPU memory of a texture
+ * @param {THREE.Texture} texture
+ * @returns {number} Bytes (mipmaps included)
+ */
+export function estimateTextureBytes(texture) {
+  if (texture.isCompressedTexture) {
+    return texture.mipmaps.reduce((sum, mipmap) => sum + (mipmap.data?.byteLength || 0), 0);
+  }
+  const image = texture.image;
+  if (!image?.width || !image?.height) return 0;
+  const bytesPerPixel = image.data ? image.data.byteLength / (image.width * image.height) : 4;
+  return Math.round(image.width * image.height * bytesPerPixel * (texture.generateMipmaps ? 4 / 3 : 1));
+}
+
+/**
+ * Move the decoded data into the placeholder. Sampling settings the loaders or
+ * applyTexturesFromMap() set on the placeholder (wrap, repeat, color space) are kept.
+ */
+function adoptTexture(placeholder, decoded) {
+  ADOPTED_PROPERTIES.forEach(key => { placeholder[key] = decoded[key]; });
+  TYPE_FLAGS.forEach(flag => {
+    if (decoded[flag]) placeholder[flag] = true;
+    else delete placeholder[flag];
+  });
+  // Compressed data cannot be flipped on upload (see textureDecoders.js)
+  if (decoded.isCompressedTexture || decoded.userData.fixedOrientation) {
+    placeholder.flipY = false;
+    placeholder.userData.fixedOrientation = true;
+  }
+  placeholder.needsUpdate = true;
+}
+
+/**
+ * Give a copy the current data of its placeholder; its own sampling settings are kept
+ */
+function syncCopy(copy, placeholder) {
+  copy.dispose();
+  ADOPTED_PROPERTIES.forEach(key => { copy[key] = placeholder[key]; });
+  TYPE_FLAGS.forEach(flag => {
+    if (placeholder[flag]) copy[flag] = true;
+    else delete copy[flag];
+  });
+  if (placeholder.userData.fixedOrientation) {
+    copy.flipY = false;
+    copy.userData.fixedOrientation = true;
+  }
+}
+
+/**
+ * Return a placeholder to its undecoded state
+ */
+function resetTexture(texture) {
+  texture.dispose();
+  texture.source = new THREE.Source();
+  texture.mipmaps = [];
+  TYPE_FLAGS.forEach(flag => { delete texture[flag]; });
+}
+
+/**
+ * Halve an image texture (image, canvas or bitmap); data and compressed textures are left alone
+ * @returns {boolean} True if the texture was downsized
+ */
+function downsizeTexture(texture) {
+  const image = texture.image;
+  if (texture.isDataTexture || texture.isCompressedTexture || !image?.width || image.data) return false;
+  if (Math.max(image.width, image.height) / 2 < MIN_DOWNSIZE) return false;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.floor(image.width / 2));
+  canvas.height = Math.max(1, Math.floor(image.height / 2));
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  image.close?.(); // ImageBitmap
+
+  texture.dispose();
+  texture.image = canvas;
+  texture.needsUpdate = true;
+  return true;
+}
+
+/**
+ * Copy of a texture for a material slot with its own wrap, repeat and offset. Copies share the
+ * image (texture.source); copies of LazyTextureMap placeholders also follow their decoding.
+ * @param {THREE.Texture} texture
+ * @returns {THREE.Texture}
+ */
+export function copyTexture(texture) {
+  return owners.get(texture)?.copy(texture) || texture.clone();
+}
+
+/**
+ * Texture map (path -> texture) with on-demand decoding and a memory budget.
+ * Extends Map, so code that only looks textures up (matchTexturePath, buildMaterialTextureIndex)
+ * works with it unchanged.
+ */
+export class LazyTextureMap extends Map {
+  /**
+   * @param {function(Blob, string):Promise<THREE.Texture>} decode - Decodes an archive entry (see loadTextureFromBlob)
+   */
+  constructor(decode) {
+    super();
+    this.decode = decode;
+    // Placeholder texture -> { texture, path, read, state, bytes, lastUsed, pins, promise, copies }
+    this.records = new Map();
+    // Copy -> record of its placeholder
+    this.copies = new WeakMap();
+    this.budget = 0;
+    this.usageCheck = () => new Set();
+    this.clock = 0;
+    this.onDispose = null;
+  }
+
+  /**
+   * Register an archive entry and create its placeholder texture
+   * @param {string} path - Path inside the archive; becomes texture.name
+   * @param {function():Promise<Blob>} read - Reads the entry data
+   * @returns {THREE.Texture} The placeholder
+   */
+  addSource(path, read) {
+    const texture = new THREE.Texture();
+    texture.name = path;
+    // Same default as loadTextureFromBlob()
+    texture.flipY = false;
+    this.records.set(texture, { texture, path, read, state: 'pending', bytes: 0, lastUsed: 0, pins: 0, promise: null, copies: new Set() });
+    owners.set(texture, this);
+    return texture;
+  }
+
+  /**
+   * Copy a placeholder (see copyTexture()). The copy counts as its placeholder for load(),
+   * isLoaded() and the usage check.
+   * @param {THREE.Texture} texture - Placeholder of this map or a copy of one
+   * @returns {THREE.Texture|null} Null for textures this map does not own
+   */
+  copy(texture) {
+    const record = this._getRecord(texture);
+    if (!record) return null;
+
+    const copy = texture.clone();
+    syncCopy(copy, record.texture);
+    // Nothing to upload until the placeholder is decoded
+    if (record.state !== 'loaded') copy.version = 0;
+    record.copies.add(copy);
+    this.copies.set(copy, record);
+    owners.set(copy, this);
+    return copy;
+  }
+
+  /**
+   * @param {THREE.Texture} texture
+   * @returns {boolean} True if the texture is a placeholder of this map
+   */
+  owns(texture) {
+    return this.records.has(texture);
+  }
+
+  /**
+   * @param {THREE.Texture} texture - Placeholder or copy
+   * @returns {THREE.Texture} The placeholder of a copy; other textures as they are
+   */
+  getPlaceholder(texture) {
+    return this.copies.get(texture)?.texture || texture;
+  }
+
+  /**
+   * @param {THREE.Texture} texture
+   * @returns {boolean} True if the texture holds decoded data
+   */
+  isLoaded(texture) {
+    return this._getRecord(texture)?.state === 'loaded';
+  }
+
+  /**
+   * @private
+   */
+  _getRecord(texture) {
+    return this.records.get(texture) || this.copies.get(texture) || null;
+  }
+
+  /**
+   * Carry the placeholder's current data over to its copies
+   * @private
+   */
+  _syncCopies(record) {
+    record.copies.forEach(copy => {
+      syncCopy(copy, record.texture);
+      if (record.state === 'loaded') copy.needsUpdate = true;
+    });
+  }
+
+  /**
+   * Decode textures of this map, placeholders or their copies (others are ignored). Textures that fail to decode are
+   * removed from the map and tagged as unresolved references, so the missing textures
+   * dialog can remap them.
+   * @param {Iterable<THREE.Texture>} textures
+   * @returns {Promise<void>}
+   */
+  async load(textures) {
+    const records = [];
+    for (const texture of textures) {
+      const record = this._getRecord(texture);
+      if (record && !records.includes(record)) records.push(record);
+    }
+    if (!records.length) return;
+
+    // Pinned textures are not evicted while the batch loads, although no material uses them yet
+    records.forEach(record => { record.pins++; record.lastUsed = ++this.clock; });
+    try {
+      await Promise.all(records.map(record => this._decode(record)));
+    } finally {
+      records.forEach(record => { record.pins--; });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _decode(record) {
+    if (record.state !== 'pending') return record.promise;
+
+    record.state = 'loading';
+    record.promise = (async () => {
+      const { texture } = record;
+      try {
+        const decoded = await this.decode(await record.read(), record.path);
+        if (record.state !== 'loading') return; // disposed meanwhile
+        adoptTexture(texture, decoded);
+        record.state = 'loaded';
+        record.bytes = estimateTextureBytes(texture);
+        this._syncCopies(record);
+        this.enforceBudget();
+      } catch (error) {
+        Logger.warn(`[lazyTextures] Failed to decode ${record.path}:`, error);
+        record.state = 'failed';
+        this.forEach((value, key) => { if (value === texture) this.delete(key); });
+        tagTextureReference(texture, record.path);
+        record.copies.forEach(copy => tagTextureReference(copy, record.path));
+      }
+    })();
+    return record.promise;
+  }
+
+  /**
+   * @param {number} bytes - Budget for decoded textures; 0 for no limit
+   */
+  setBudget(bytes) {
+    this.budget = Math.max(0, Number(bytes) || 0);
+    this.enforceBudget();
+  }
+
+  /**
+   * @param {function():Set<THREE.Texture>} check - Returns the textures materials currently use
+   */
+  setUsageCheck(check) {
+    this.usageCheck = check || (() => new Set());
+  }
+
+  /**
+   * @returns {{textures: number, loaded: number, bytes: number, budget: number}}
+   */
+  getStats() {
+    const loaded = Array.from(this.records.values()).filter(record => record.state === 'loaded');
+    return {
+      textures: this.records.size,
+      loaded: loaded.length,
+      bytes: loaded.reduce((sum, record) => sum + record.bytes, 0),
+      budget: this.budget
+    };
+  }
+
+  /**
+   * Bring the decoded textures under the budget: evict the least recently requested
+   * textures no material uses, then downsize the largest remaining ones
+   */
+  enforceBudget() {
+    if (!this.budget) return;
+    let { bytes } = this.getStats();
+    if (bytes <= this.budget) return;
+
+    const inUse = this.usageCheck();
+    const loaded = Array.from(this.records.values()).filter(record => record.state === 'loaded');
+
+    const evictable = loaded
+      .filter(record => !record.pins && !inUse.has(record.texture) && !Array.from(record.copies).some(copy => inUse.has(copy)))
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const record of evictable) {
+      if (bytes <= this.budget) break;
+      bytes -= record.bytes;
+      resetTexture(record.texture);
+      record.state = 'pending';
+      record.bytes = 0;
+      record.promise = null;
+      this._syncCopies(record);
+      Logger.log(`[lazyTextures] Evicted ${record.path}`);
+    }
+
+    const remaining = loaded.filter(record => record.state === 'loaded');
+    while (bytes > this.budget) {
+      remaining.sort((a, b) => b.bytes - a.bytes);
+      const largest = remaining.find(record => downsizeTexture(record.texture));
+      if (!largest) break;
+      const before = largest.bytes;
+      largest.bytes = estimateTextureBytes(largest.texture);
+      this._syncCopies(largest);
+      bytes -= before - largest.bytes;
+      Logger.log(`[lazyTextures] Downsized ${largest.path} to ${largest.texture.image.width}x${largest.texture.image.height}`);
+    }
+
+    if (bytes > this.budget) {
+      Logger.warn(`[lazyTextures] Textures in use need ${Math.round(bytes / 1048576)} MB, over the ${Math.round(this.budget / 1048576)} MB budget`);
+    }
+  }
+
+  /**
+   * Dispose all textures and release the archive
+   */
+  dispose() {
+    this.records.forEach((record, texture) => {
+      record.state = 'disposed';
+      texture.dispose();
+      record.copies.forEach(copy => copy.dispose());
+    });
+    this.records.clear();
+    this.clear();
+    this.onDispose?.();
+    this.onDispose = null;
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Loader Warning Capture
+ *
+ * three.js loaders report skipped features (unsupported map types, extra skinning weights,
+ * unknown material types, ...) only through console.warn. This module records those messages
+ * while a load runs, so they end up in userData.loadWarnings and the load diagnostics report.
+ */
+
+/**
+ * Join console arguments into one message, substituting %s / %d / %i / %f / %o placeholders
+ * the way the console does (FBXLoader passes the feature name as an argument)
+ * @param {Array<*>} args - console.warn arguments
+ * @returns {string}
+ */
+function formatWarning(args) {
+  const toText = (arg) => (arg instanceof Error ? arg.message : String(arg));
+  const [first, ...rest] = args;
+  if (typeof first !== 'string') return args.map(toText).join(' ');
+
+  const message = first.replace(/%[sdifoO]/g, (token) => (rest.length ? toText(rest.shift()) : token));
+  return [message, ...rest.map(toText)].join(' ');
+}
+
+/**
+ * Start recording console warnings that begin with the given prefix.
+ * Warnings are still printed; identical messages are counted once with a repeat count.
+ * @param {string} prefix - Message prefix, e.g. 'THREE.FBXLoader:'
+ * @returns {function():string[]} Stops recording and returns the collected warnings
+ */
+export function captureLoaderWarnings(prefix) {
+  const originalWarn = console.warn;
+  const counts = new Map();
+
+  console.warn = function (...args) {
+    const message = formatWarning(args);
+    if (message.startsWith(prefix)) {
+      const text = message.slice(prefix.length).trim();
+      counts.set(text, (counts.get(text) || 0) + 1);
+    }
+    return originalWarn.apply(this, args);
+  };
+
+  return () => {
+    console.warn = originalWarn;
+    return Array.from(counts, ([text, count]) => (count > 1 ? `${text} (×${count})` : text));
+  };
+}
@@ -0,0 +1,164 @@
+/**
+ * Material Presets
+ *
+ * A preset is a material's parameters (three.js material JSON) plus its textures embedded as
+ * PNG data URLs, so it can be stored in IndexedDB and exported as a self-contained JSON file.
+ * Textures are read back through the renderer (see readTexturePixels in textureUsage.js), so
+ * compressed and data textures are saved as well, as 8-bit images.
+ *
+ * Preset: { id, name, material, textures: { slot: { image, name, colorSpace, flipY, wrapS,
+ *           wrapT, repeat, offset, rotation, channel } }, swatch, createdAt }
+ */
+
+import * as THREE from 'three';
+import { TEXTURE_SLOTS, readTexturePixels, drawTexturePreview } from './textureUsage.js';
+
+// Longest side of embedded textures (px)
+export const PRESET_TEXTURE_SIZE = 2048;
+
+// "type" of exported library files
+export const PRESET_FILE_TYPE = 'fbxViewer.materialLibrary';
+const PRESET_FILE_VERSION = 1;
+
+// Map strengths that Material.toJSON() writes only next to their map
+const MAP_PARAMETERS = [
+  'normalMapType', 'normalScale', 'clearcoatNormalScale', 'bumpScale', 'displacementScale',
+  'displacementBias', 'aoMapIntensity', 'lightMapIntensity'
+];
+
+/**
+ * Encode one texture as a PNG data URL with its sampling parameters
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Texture} texture
+ * @returns {Object|null} Null if the texture cannot be read (not decoded, cube texture)
+ */
+function serializeTexture(renderer, texture) {
+  const pixels = readTexturePixels(renderer, texture, PRESET_TEXTURE_SIZE);
+  if (!pixels) return null;
+  // Drawn upright like an image file, so it is loaded back with the same flipY; alpha is kept
+  // for cut-outs and transparency
+  const canvas = document.createElement('canvas');
+  drawTexturePreview(canvas, pixels, { channel: 'rgba', flipY: texture.flipY });
+  return {
+    image: canvas.toDataURL('image/png'),
+    name: texture.name || '',
+    colorSpace: texture.colorSpace,
+    flipY: texture.flipY,
+    wrapS: texture.wrapS,
+    wrapT: texture.wrapT,
+    repeat: texture.repeat.toArray(),
+    offset: texture.offset.toArray(),
+    rotation: texture.rotation,
+    channel: texture.channel || 0
+  };
+}
+
+/**
+ * Build a preset from a material
+ * @param {THREE.Material} material
+ * @param {THREE.WebGLRenderer} renderer - Reads the texture data
+ * @param {string} [name] - Preset name (defaults to the material name)
+ * @returns {{preset: Object, skipped: string[]}} The preset (without id) and the texture slots that could not be read
+ */
+export function createPreset(material, renderer, name) {
+  const textures = {};
+  const skipped = [];
+  TEXTURE_SLOTS.forEach(slot => {
+    const texture = material[slot];
+    if (!texture?.isTexture) return;
+    const data = serializeTexture(renderer, texture);
+    if (data) textures[slot] = data;
+    else skipped.push(slot);
+  });
+
+  // Parameters only: textures are embedded separately, the environment belongs to the scene
+  const copy = material.clone();
+  Object.keys(copy).forEach(key => { if (copy[key]?.isTexture) copy[key] = null; });
+  copy.userData = {};
+  const json = copy.toJSON();
+  copy.dispose();
+  delete json.metadata;
+  delete json.uuid;
+  MAP_PARAMETERS.forEach(key => {
+    const value = material[key];
+    if (value !== undefined) json[key] = value?.isVector2 ? value.toArray() : value;
+  });
+
+  return {
+    preset: {
+      name: name || material.name || material.type,
+      material: json,
+      textures,
+      swatch: material.color?.isColor ? `#${material.color.getHexString()}` : '#808080',
+      createdAt: Date.now()
+    },
+    skipped
+  };
+}
+
+/**
+ * Create the material of a preset; its textures are decoded before the promise resolves
+ * @param {Object} preset
+ * @returns {Promise<THREE.Material>}
+ */
+export async function createPresetMaterial(preset) {
+  const material = new THREE.MaterialLoader().parse(preset.material);
+  material.name = preset.name;
+  material.userData.materialPreset = preset.id;
+
+  const loader = new THREE.TextureLoader();
+  await Promise.all(Object.entries(preset.textures || {}).map(async ([slot, data]) => {
+    if (!(slot in material)) return;
+    const texture = await loader.loadAsync(data.image);
+    texture.name = data.name;
+    texture.colorSpace = data.colorSpace;
+    texture.flipY = data.flipY;
+    texture.wrapS = data.wrapS;
+    texture.wrapT = data.wrapT;
+    texture.repeat.fromArray(data.repeat);
+    texture.offset.fromArray(data.offset);
+    texture.rotation = data.rotation;
+    texture.channel = data.channel;
+    texture.needsUpdate = true;
+    material[slot] = texture;
+  }));
+  material.needsUpdate = true;
+  return material;
+}
+
+/**
+ * @param {Object[]} presets
+ * @returns {string} JSON of a library file
+ */
+export function formatPresetFile(presets) {
+  return JSON.stringify({ type: PRESET_FILE_TYPE, version: PRESET_FILE_VERSION, presets }, null, 2);
+}
+
+/**
+ * Read a library file written by formatPresetFile()
+ * @param {string} text
+ * @returns {Object[]} Presets
+ * @throws {Error} When the file is not a material library
+ */
+export function parsePresetFile(text) {
+  const data = JSON.parse(text);
+  if (data?.type !== PRESET_FILE_TYPE || !Array.isArray(data.presets)) {
+    throw new Error('Not a material library file');
+  }
+  return data.presets.filter(preset => preset?.id && preset.name && preset.material?.type);
+}
+
+/**
+ * Match a material name against a wildcard pattern ('*' any text, '?' one character), ignoring case
+ * @param {string} name
+ * @param {string} pattern - e.g. "car_paint*"
+ * @returns {boolean}
+ */
+export function matchesNamePattern(name, pattern) {
+  const source = pattern.trim().split('').map(char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, 'i').test(name || '');
+}
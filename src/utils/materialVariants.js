@@ -0,0 +1,251 @@
+/**
+ * Material Variants
+ *
+ * Named material assignments of a model (colourways), switched without touching the materials
+ * themselves. Variants come from glTF KHR_materials_variants (read by GLTFLoaderWrapper; their
+ * materials are created by the glTF parser on first use) or are captured from the current
+ * assignments. "No variant" shows the materials the model had before the first switch.
+ * GLTFMaterialsVariantsExporter writes them back out as KHR_materials_variants.
+ *
+ * Usage:
+ *   readGLTFVariants(gltf);                       // after GLTFLoader
+ *   await selectVariant(model, 'Red');            // null goes back to the default materials
+ *   captureVariant(model, 'Blue');
+ */
+
+import { getSourceMaterials, setSourceMaterials } from '../Materials.js';
+
+export const VARIANTS_EXTENSION = 'KHR_materials_variants';
+
+// Model root -> { names, active, parser, meshes }
+//   meshes: Map<mesh, { defaults: Material[]|null, mappings: Map<name, Array<Material|number>>, gltfMaterials: Map<index, Material> }>
+//   Mapping entries are per material slot: a material, or a glTF material index (created on first use)
+const variantSets = new WeakMap();
+// Mesh -> variant set of its model (export)
+const meshSets = new WeakMap();
+
+function getOrCreateSet(model) {
+  if (!variantSets.has(model)) {
+    variantSets.set(model, { names: [], active: null, parser: null, meshes: new Map() });
+  }
+  return variantSets.get(model);
+}
+
+function getMeshEntry(set, mesh) {
+  if (!set.meshes.has(mesh)) {
+    set.meshes.set(mesh, { defaults: null, mappings: new Map(), gltfMaterials: new Map() });
+    meshSets.set(mesh, set);
+  }
+  return set.meshes.get(mesh);
+}
+
+/**
+ * Register the KHR_materials_variants of a loaded glTF on its scene
+ * @param {Object} gltf - GLTFLoader result ({ scene, parser, userData })
+ * @returns {string[]} Variant names (empty without the extension)
+ */
+export function readGLTFVariants(gltf) {
+  const extension = gltf?.userData?.gltfExtensions?.[VARIANTS_EXTENSION];
+  if (!gltf?.scene || !Array.isArray(extension?.variants)) return [];
+
+  const set = getOrCreateSet(gltf.scene);
+  set.parser = gltf.parser;
+  set.names = extension.variants.map((variant, index) => variant.name || `Variant ${index + 1}`);
+
+  // GLTFLoader keeps unknown primitive extensions in the userData of the primitive's mesh
+  gltf.scene.traverse(object => {
+    const mappings = object.isMesh && object.userData.gltfExtensions?.[VARIANTS_EXTENSION]?.mappings;
+    if (!Array.isArray(mappings)) return;
+    const entry = getMeshEntry(set, object);
+    mappings.forEach(mapping => {
+      (mapping.variants || []).forEach(index => {
+        if (set.names[index] !== undefined) entry.mappings.set(set.names[index], [mapping.material]);
+      });
+    });
+  });
+  return set.names.slice();
+}
+
+/**
+ * @param {THREE.Object3D} model
+ * @returns {{names: string[], active: string|null}|null} Null when the model has no variants
+ */
+export function getVariants(model) {
+  const set = variantSets.get(model);
+  return set?.names.length ? { names: set.names.slice(), active: set.active } : null;
+}
+
+/**
+ * Material of a mapping entry. glTF material indices are created by the parser and finished
+ * for the mesh's geometry (vertex colors, flat shading, derivative tangents) as on load;
+ * the parser caches both, so a material the model already uses is not created again.
+ * @private
+ */
+async function resolveMaterial(set, mesh, slot) {
+  if (typeof slot !== 'number') return slot;
+  const entry = set.meshes.get(mesh);
+  if (!entry.gltfMaterials.has(slot)) {
+    const target = { geometry: mesh.geometry, material: await set.parser.getDependency('material', slot), isPoints: mesh.isPoints, isLine: mesh.isLine };
+    set.parser.assignFinalMaterial(target);
+    entry.gltfMaterials.set(slot, target.material);
+  }
+  return entry.gltfMaterials.get(slot);
+}
+
+/**
+ * Variant mappings of the meshes under an object
+ * @private
+ */
+function collectMappings(object, callback) {
+  object.traverse(child => {
+    const set = meshSets.get(child);
+    set?.meshes.get(child).mappings.forEach(mapping => mapping.forEach(slot => callback(set, child, slot)));
+  });
+}
+
+/**
+ * Create the glTF materials of every variant under an object (the exporter needs them all)
+ * @param {THREE.Object3D} object - Model or part of it
+ * @returns {Promise<void>}
+ */
+export async function loadVariantMaterials(object) {
+  const pending = [];
+  collectMappings(object, (set, mesh, slot) => pending.push(resolveMaterial(set, mesh, slot)));
+  await Promise.all(pending);
+}
+
+/**
+ * Loaded variant materials of the meshes under an object, shown or not
+ * @param {THREE.Object3D} object
+ * @returns {Set<THREE.Material>}
+ */
+export function getVariantMaterials(object) {
+  const materials = new Set();
+  collectMappings(object, (set, mesh, slot) => {
+    const material = typeof slot === 'number' ? set.meshes.get(mesh).gltfMaterials.get(slot) : slot;
+    if (material) materials.add(material);
+  });
+  return materials;
+}
+
+/**
+ * Show a variant. Meshes the variant does not map get their default materials.
+ * @param {THREE.Object3D} model
+ * @param {string|null} name - Variant name; null shows the default materials
+ * @returns {Promise<boolean>} False when the model has no such variant
+ */
+export async function selectVariant(model, name) {
+  const set = variantSets.get(model);
+  if (!set || (name !== null && !set.names.includes(name))) return false;
+  if (name === set.active) return true;
+
+  // Leaving the default: remember what it was
+  if (set.active === null) {
+    set.meshes.forEach((entry, mesh) => { entry.defaults = getSourceMaterials(mesh).slice(); });
+  }
+
+  for (const [mesh, entry] of set.meshes) {
+    const mapping = name === null ? null : entry.mappings.get(name);
+    const defaults = entry.defaults || getSourceMaterials(mesh);
+    const materials = mapping
+      ? await Promise.all(defaults.map((material, index) => (mapping[index] !== undefined ? resolveMaterial(set, mesh, mapping[index]) : material)))
+      : defaults;
+    setSourceMaterials(mesh, materials);
+  }
+  set.active = name;
+  return true;
+}
+
+/**
+ * Store the current material assignments of every mesh of a model as a variant
+ * (replacing a variant with the same name). The captured variant becomes the shown one.
+ * @param {THREE.Object3D} model
+ * @param {string} name
+ */
+export function captureVariant(model, name) {
+  const set = getOrCreateSet(model);
+  model.traverse(object => {
+    if (!object.isMesh || !object.material) return;
+    const entry = getMeshEntry(set, object);
+    const materials = getSourceMaterials(object).slice();
+    // Meshes that were never switched still show their default materials
+    if (set.active === null || !entry.defaults) entry.defaults = materials;
+    entry.mappings.set(name, materials);
+  });
+  if (!set.names.includes(name)) set.names.push(name);
+  set.active = name;
+}
+
+/**
+ * Remove a variant; the default materials come back if it is shown
+ * @param {THREE.Object3D} model
+ * @param {string} name
+ * @returns {Promise<void>}
+ */
+export async function removeVariant(model, name) {
+  const set = variantSets.get(model);
+  if (!set?.names.includes(name)) return;
+  if (set.active === name) await selectVariant(model, null);
+  set.names = set.names.filter(item => item !== name);
+  set.meshes.forEach(entry => entry.mappings.delete(name));
+}
+
+/**
+ * GLTFExporter plugin writing KHR_materials_variants for meshes with variants.
+ * Primitives get the default materials (the ones shown without a variant) and a mapping
+ * per variant; glTF variant materials must be loaded first (loadVariantMaterials()).
+ *
+ * Usage:
+ *   exporter.register(writer => new GLTFMaterialsVariantsExporter(writer));
+ */
+export class GLTFMaterialsVariantsExporter {
+  constructor(writer) {
+    this.writer = writer;
+    this.name = VARIANTS_EXTENSION;
+    this.variants = [];
+  }
+
+  writeMesh(mesh, meshDef) {
+    const set = meshSets.get(mesh);
+    const entry = set?.meshes.get(mesh);
+    if (!entry) return;
+
+    // Primitives follow the geometry groups of multi-material meshes (see GLTFExporter.processMesh)
+    const isMultiMaterial = Array.isArray(mesh.material);
+    meshDef.primitives.forEach((primitive, i) => {
+      const slot = isMultiMaterial ? mesh.geometry.groups[i]?.materialIndex ?? 0 : 0;
+      const mappings = new Map(); // glTF material index -> variant indices
+
+      set.names.forEach(name => {
+        const value = entry.mappings.get(name)?.[slot];
+        const material = typeof value === 'number' ? entry.gltfMaterials.get(value) : value;
+        if (!material) return;
+        const materialIndex = this.writer.processMaterial(material);
+        if (materialIndex === null) return;
+        if (!this.variants.includes(name)) this.variants.push(name);
+        if (!mappings.has(materialIndex)) mappings.set(materialIndex, []);
+        mappings.get(materialIndex).push(this.variants.indexOf(name));
+      });
+      if (!mappings.size) return;
+
+      // The primitive got the shown variant material; glTF expects the default there (overrides stay as shown)
+      const shown = isMultiMaterial ? mesh.material[slot] : mesh.material;
+      if (set.active !== null && entry.defaults?.[slot] && getSourceMaterials(mesh)[slot] === shown) {
+        const defaultIndex = this.writer.processMaterial(entry.defaults[slot]);
+        if (defaultIndex !== null) primitive.material = defaultIndex;
+      }
+      primitive.extensions = primitive.extensions || {};
+      primitive.extensions[this.name] = {
+        mappings: Array.from(mappings, ([material, variants]) => ({ material, variants }))
+      };
+      this.writer.extensionsUsed[this.name] = true;
+    });
+  }
+
+  afterParse() {
+    if (!this.variants.length) return;
+    const json = this.writer.json;
+    json.extensions = json.extensions || {};
+    json.extensions[this.name] = { variants: this.variants.map(name => ({ name })) };
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Sibling File Utilities
+ *
+ * Models are often split across several files (.gltf + .bin + images, .obj + .mtl + textures).
+ * This module maps such sibling files (dropped together or extracted from the same ZIP)
+ * and serves them to three.js loaders through LoadingManager.setURLModifier.
+ */
+
+import Logger from '../core/Logger.js';
+import { getBasename } from './zipTextures.js';
+
+// Matches the "blob:<origin>/" prefix that relative URIs inherit from a model's object URL
+const BLOB_BASE_PATTERN = /^blob:[^/]*\/\/[^/]*\//i;
+
+/**
+ * Remove the "blob:<origin>/" prefix that loaders put in front of relative URIs
+ * @param {string} url - URL requested by a loader
+ * @returns {string} The relative path, or the URL unchanged
+ */
+export function stripBlobBase(url) {
+  return url.replace(BLOB_BASE_PATTERN, '');
+}
+
+/**
+ * Normalize a relative path for lookups: decode, unify separators, drop "./" and leading slashes.
+ * @param {string} path - The path to normalize
+ * @returns {string} The normalized, lowercased path
+ */
+export function normalizeSiblingPath(path) {
+  if (!path) return '';
+  let normalized = String(path);
+  try {
+    normalized = decodeURIComponent(normalized);
+  } catch (e) {
+    // Keep the raw path if it is not valid URI encoding
+  }
+  return normalized
+    .replace(/\\/g, '/')
+    .replace(/^(\.\/)+/, '')
+    .replace(/^\/+/, '')
+    .toLowerCase();
+}
+
+/**
+ * Build a sibling map from dropped files or extracted ZIP entries.
+ * @param {Iterable<File>|Map<string, File>} files - Files, or a map of archive paths to files
+ * @returns {Map<string, File>} Map of normalized paths to files
+ */
+export function createSiblingMap(files) {
+  const siblings = new Map();
+  if (!files) return siblings;
+
+  if (files instanceof Map) {
+    for (const [path, file] of files) {
+      siblings.set(normalizeSiblingPath(path), file);
+    }
+    return siblings;
+  }
+
+  for (const file of files) {
+    siblings.set(normalizeSiblingPath(file.webkitRelativePath || file.name), file);
+  }
+  return siblings;
+}
+
+/**
+ * Find a sibling file for a path referenced by a model.
+ * Tries an exact match, then a trailing path match, then a basename match.
+ * @param {string} path - The path referenced by the model
+ * @param {Map<string, File>} siblings - Map created by createSiblingMap()
+ * @returns {File|null} The matched file or null if not found
+ */
+export function findSiblingFile(path, siblings) {
+  if (!path || !siblings?.size) return null;
+
+  const wanted = normalizeSiblingPath(path);
+  if (siblings.has(wanted)) {
+    return siblings.get(wanted);
+  }
+
+  for (const [key, file] of siblings) {
+    if (key.endsWith('/' + wanted) || wanted.endsWith('/' + key)) {
+      return file;
+    }
+  }
+
+  const basename = getBasename(wanted);
+  for (const [key, file] of siblings) {
+    if (getBasename(key) === basename) {
+      return file;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a URL modifier that serves sibling files to a LoadingManager.
+ * Object URLs are created on demand and kept until dispose() is called,
+ * because some loaders (FBX) keep fetching textures after their onLoad callback.
+ * @param {Map<string, File>} siblings - Map created by createSiblingMap()
+ * @returns {{modifier: function(string):string, dispose: function():void}}
+ */
+export function createSiblingURLModifier(siblings) {
+  const objectUrls = new Map();
+
+  const modifier = (url) => {
+    if (!url || /^data:/i.test(url)) return url;
+
+    const relative = stripBlobBase(url);
+    const file = findSiblingFile(relative, siblings);
+    if (!file) return url;
+
+    if (!objectUrls.has(file)) {
+      objectUrls.set(file, URL.createObjectURL(file));
+    }
+    Logger.log(`[siblingFiles] Resolved ${relative} -> ${file.name}`);
+    return objectUrls.get(file);
+  };
+
+  const dispose = () => {
+    objectUrls.forEach(url => URL.revokeObjectURL(url));
+    if (objectUrls.size) {
+      Logger.log(`[siblingFiles] Revoked ${objectUrls.size} object URLs.`);
+    }
+    objectUrls.clear();
+  };
+
+  return { modifier, dispose };
+}
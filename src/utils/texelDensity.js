@@ -0,0 +1,123 @@
+/**
+ * Texel Density
+ *
+ * Pixels of a material's color map per metre of surface, per triangle:
+ *   density = sqrt(uvArea · mapWidth · mapHeight / surfaceArea)
+ * Surface areas are taken in world space and converted to metres with the unit scale the
+ * source file declares (FBX UnitScaleFactor); files that declare none count as metres.
+ * The "Texel density" debug view (utils/debugViews.js) draws the same value per pixel as
+ * a heatmap against a target density.
+ */
+
+import * as THREE from 'three';
+
+// Target density (px/m) until the user sets one
+export const DEFAULT_TEXEL_DENSITY_TARGET = 512;
+
+/**
+ * Unit scale of the model an object belongs to. Only a scale declared by the file is used:
+ * units guessed from the model size (FBXMetadataExtractor.detectUnits) can be off by 100×.
+ * Collada scenes are already scaled to metres by ColladaLoader.
+ * @param {THREE.Object3D} object
+ * @returns {{metresPerUnit: number, declared: boolean}} 1 m per unit when the file declares no scale
+ */
+export function getUnitScale(object) {
+  for (let current = object; current; current = current.parent) {
+    const factor = current.userData?.fbxMetadata?.unitScaleFactor;
+    if (factor > 0) return { metresPerUnit: factor / 100, declared: true };
+  }
+  return { metresPerUnit: 1, declared: false };
+}
+
+/**
+ * Metres per scene unit of the model an object belongs to
+ * @param {THREE.Object3D} object
+ * @returns {number}
+ */
+export function getMetresPerUnit(object) {
+  return getUnitScale(object).metresPerUnit;
+}
+
+/**
+ * Size of the color map of a material
+ * @param {THREE.Material} material
+ * @returns {{width: number, height: number}|null} Null without a decoded map
+ */
+export function getMapSize(material) {
+  const image = material?.map?.image;
+  return image?.width && image?.height ? { width: image.width, height: image.height } : null;
+}
+
+/**
+ * Texel density statistics of a mesh (bind pose for skinned meshes)
+ * @param {THREE.Mesh} mesh
+ * @param {number} [metresPerUnit] - Defaults to the units of the mesh's model
+ * @returns {{min: number, max: number, average: number, triangles: number, mapSize: {width: number, height: number}}|null}
+ *   Densities in px/m; the average is weighted by surface area. Null when no triangle has a map and UVs.
+ */
+export function computeTexelDensity(mesh, metresPerUnit = getMetresPerUnit(mesh)) {
+  const geometry = mesh.geometry;
+  const position = geometry?.attributes?.position;
+  const uv = geometry?.attributes?.uv;
+  if (!position || !uv) return null;
+
+  const materials = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+  const index = geometry.index;
+  const count = index ? index.count : position.count;
+  const groups = geometry.groups.length ? geometry.groups : [{ start: 0, count, materialIndex: 0 }];
+
+  mesh.updateWorldMatrix(true, false);
+  const a = new THREE.Vector3();
+  const b = new THREE.Vector3();
+  const c = new THREE.Vector3();
+  const ua = new THREE.Vector2();
+  const ub = new THREE.Vector2();
+  const uc = new THREE.Vector2();
+  const unitArea = metresPerUnit * metresPerUnit;
+
+  let min = Infinity;
+  let max = 0;
+  let weighted = 0;
+  let totalArea = 0;
+  let triangles = 0;
+  let mapSize = null;
+
+  groups.forEach(group => {
+    const material = materials[group.materialIndex ?? 0] || materials[0];
+    const size = getMapSize(material);
+    if (!size) return;
+    mapSize = mapSize || size;
+
+    // The map's repeat scales the UVs it is sampled with
+    const repeat = material.map.repeat;
+    const texels = size.width * size.height * Math.abs(repeat.x * repeat.y);
+    const end = Math.min(group.start + group.count, count);
+
+    for (let i = group.start; i + 2 < end; i += 3) {
+      const ia = index ? index.getX(i) : i;
+      const ib = index ? index.getX(i + 1) : i + 1;
+      const ic = index ? index.getX(i + 2) : i + 2;
+
+      a.fromBufferAttribute(position, ia).applyMatrix4(mesh.matrixWorld);
+      b.fromBufferAttribute(position, ib).applyMatrix4(mesh.matrixWorld);
+      c.fromBufferAttribute(position, ic).applyMatrix4(mesh.matrixWorld);
+      const area = b.sub(a).cross(c.sub(a)).length() / 2 * unitArea;
+
+      ua.fromBufferAttribute(uv, ia);
+      ub.fromBufferAttribute(uv, ib).sub(ua);
+      uc.fromBufferAttribute(uv, ic).sub(ua);
+      const uvArea = Math.abs(ub.cross(uc)) / 2;
+      if (!(area > 0) || !(uvArea > 0)) continue;
+
+      const density = Math.sqrt(uvArea * texels / area);
+      min = Math.min(min, density);
+      max = Math.max(max, density);
+      weighted += density * area;
+      totalArea += area;
+      triangles++;
+    }
+  });
+
+  if (!triangles) return null;
+  return { min, max, average: weighted / totalArea, triangles, mapSize };
+}
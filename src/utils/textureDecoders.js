@@ -0,0 +1,295 @@
+/**
+ * Texture Decoders
+ *
+ * Decoding of texture containers the browser cannot load as images: DDS (BC1-BC7),
+ * KTX2 (Basis Universal) and EXR. Used by loadTextureFromBlob() in zipTextures.js.
+ *
+ * Block-compressed DDS data is uploaded as is when the GPU supports the format
+ * (S3TC for BC1-BC3, BPTC for BC6H/BC7) and decoded on the CPU otherwise (see bcDecoder.js).
+ * KTX2 is transcoded by KTX2Loader to whatever the GPU supports, or to RGBA8.
+ *
+ * Compressed textures cannot be flipped on upload, so they keep texture.flipY = false;
+ * CPU-decoded copies set userData.fixedOrientation to look the same.
+ */
+
+import * as THREE from 'three';
+import { KTX2Loader } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/loaders/KTX2Loader.js';
+import Logger from '../core/Logger.js';
+import { decodeBC, BC_BLOCK_BYTES } from './bcDecoder.js';
+
+const BASIS_TRANSCODER_PATH = 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/libs/basis/';
+
+// Extensions handled here rather than by TextureLoader
+export const DECODED_TEXTURE_EXTENSIONS = ['.dds', '.ktx2', '.exr'];
+
+const DDS_MAGIC = 0x20534444;
+const DDPF_ALPHAPIXELS = 0x1;
+const DDPF_FOURCC = 0x4;
+const DDPF_RGB = 0x40;
+const DDPF_LUMINANCE = 0x20000;
+
+const FOURCC_FORMATS = {
+  DXT1: 'bc1', DXT2: 'bc2', DXT3: 'bc2', DXT4: 'bc3', DXT5: 'bc3',
+  ATI1: 'bc4', BC4U: 'bc4', ATI2: 'bc5', BC5U: 'bc5'
+};
+
+// DXGI_FORMAT values of the DX10 header extension
+const DXGI_FORMATS = {
+  28: 'rgba8', 29: 'rgba8', 87: 'bgra8', 91: 'bgra8',
+  71: 'bc1', 72: 'bc1', 74: 'bc2', 75: 'bc2', 77: 'bc3', 78: 'bc3',
+  80: 'bc4', 83: 'bc5', 95: 'bc6h', 96: 'bc6h-signed', 98: 'bc7', 99: 'bc7'
+};
+
+let textureRenderer = null;
+let ktx2Loader = null;
+
+/**
+ * Give the decoders the renderer, so they can check which compressed formats the GPU supports
+ * @param {THREE.WebGLRenderer} renderer
+ */
+export function configureTextureDecoders(renderer) {
+  textureRenderer = renderer || null;
+  if (ktx2Loader && textureRenderer) {
+    ktx2Loader.detectSupport(textureRenderer);
+  }
+}
+
+/**
+ * The shared KTX2Loader (KTX2Loader warns when several instances are active)
+ * @returns {KTX2Loader}
+ */
+export function getKTX2Loader() {
+  if (!ktx2Loader) {
+    ktx2Loader = new KTX2Loader();
+    ktx2Loader.setTranscoderPath(BASIS_TRANSCODER_PATH);
+    if (textureRenderer) ktx2Loader.detectSupport(textureRenderer);
+  }
+  return ktx2Loader;
+}
+
+export function disposeTextureDecoders() {
+  ktx2Loader?.dispose();
+  ktx2Loader = null;
+}
+
+/**
+ * @param {string} filename
+ * @returns {boolean} True if decodeTextureBlob() handles the file
+ */
+export function isDecodedTextureFile(filename) {
+  const lower = String(filename || '').toLowerCase();
+  return DECODED_TEXTURE_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+/**
+ * Decode a DDS, KTX2 or EXR texture
+ * @param {Blob} blob - The file contents
+ * @param {string} filename - Name used to pick the decoder and as texture.name
+ * @returns {Promise<THREE.Texture>}
+ */
+export async function decodeTextureBlob(blob, filename) {
+  const lower = filename.toLowerCase();
+  let texture;
+
+  if (lower.endsWith('.dds')) {
+    texture = createDDSTexture(parseDDS(await blob.arrayBuffer()), filename);
+  } else if (lower.endsWith('.ktx2')) {
+    if (!textureRenderer) throw new Error('KTX2 textures need a renderer to detect GPU formats');
+    texture = await loadFromObjectURL(getKTX2Loader(), blob);
+  } else if (lower.endsWith('.exr')) {
+    const { EXRLoader } = await import('https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/loaders/EXRLoader.js');
+    texture = await loadFromObjectURL(new EXRLoader().setDataType(THREE.HalfFloatType), blob);
+  } else {
+    throw new Error(`No decoder for ${filename}`);
+  }
+
+  texture.name = filename;
+  Logger.log(`[textureDecoders] Decoded ${filename}: ${texture.image?.width}x${texture.image?.height}${texture.isCompressedTexture ? ' (GPU compressed)' : ''}`);
+  return texture;
+}
+
+async function loadFromObjectURL(loader, blob) {
+  const url = URL.createObjectURL(blob);
+  try {
+    return await loader.loadAsync(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Parse a DDS file
+ * @param {ArrayBuffer} buffer
+ * @returns {{width: number, height: number, format: string, mipmaps: Array<{data: Uint8Array, width: number, height: number}>}}
+ *   format is a bcDecoder format, 'bc6h', 'bc6h-signed' or 'rgba8' (uncompressed data converted to RGBA)
+ */
+export function parseDDS(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 128 || view.getUint32(0, true) !== DDS_MAGIC) {
+    throw new Error('Not a DDS file');
+  }
+
+  const height = view.getUint32(12, true);
+  const width = view.getUint32(16, true);
+  const mipmapCount = Math.max(1, view.getUint32(28, true));
+  const pfFlags = view.getUint32(80, true);
+  const fourCC = String.fromCharCode(...new Uint8Array(buffer, 84, 4));
+  let offset = 128;
+  let format = null;
+
+  if (pfFlags & DDPF_FOURCC) {
+    if (fourCC === 'DX10') {
+      const dxgiFormat = view.getUint32(128, true);
+      format = DXGI_FORMATS[dxgiFormat];
+      offset += 20;
+      if (!format) throw new Error(`Unsupported DXGI format ${dxgiFormat}`);
+    } else {
+      format = FOURCC_FORMATS[fourCC];
+      if (!format) throw new Error(`Unsupported DDS format ${fourCC}`);
+    }
+  } else if (pfFlags & (DDPF_RGB | DDPF_LUMINANCE)) {
+    format = 'masked';
+  } else {
+    throw new Error('Unsupported DDS pixel format');
+  }
+
+  const masks = format === 'masked' ? {
+    bytes: view.getUint32(88, true) / 8,
+    r: view.getUint32(92, true),
+    g: view.getUint32(96, true),
+    b: view.getUint32(100, true),
+    a: pfFlags & DDPF_ALPHAPIXELS ? view.getUint32(104, true) : 0
+  } : null;
+
+  // Cube maps and arrays store the faces one after another; the first face comes first
+  const mipmaps = [];
+  let w = width;
+  let h = height;
+  for (let level = 0; level < mipmapCount; level++) {
+    const size = getLevelSize(format, w, h, masks);
+    if (offset + size > buffer.byteLength) break;
+    const data = new Uint8Array(buffer, offset, size);
+    mipmaps.push({ data: convertUncompressed(format, data, w, h, masks), width: w, height: h });
+    offset += size;
+    w = Math.max(1, w >> 1);
+    h = Math.max(1, h >> 1);
+  }
+  if (!mipmaps.length) throw new Error('DDS file is truncated');
+
+  const outFormat = format === 'masked' || format === 'bgra8' ? 'rgba8' : format;
+  return { width, height, format: outFormat, mipmaps };
+}
+
+function getLevelSize(format, width, height, masks) {
+  if (format === 'masked') return width * height * masks.bytes;
+  if (format === 'rgba8' || format === 'bgra8') return width * height * 4;
+  const blockBytes = BC_BLOCK_BYTES[format] || 16;
+  return Math.max(1, Math.ceil(width / 4)) * Math.max(1, Math.ceil(height / 4)) * blockBytes;
+}
+
+/**
+ * Convert uncompressed pixel data (bit masks or BGRA) to RGBA8; block data is returned as is
+ */
+function convertUncompressed(format, data, width, height, masks) {
+  if (format === 'bgra8') {
+    const out = new Uint8Array(data);
+    for (let i = 0; i < out.length; i += 4) {
+      out[i] = data[i + 2];
+      out[i + 2] = data[i];
+    }
+    return out;
+  }
+  if (format !== 'masked') return data;
+
+  const channel = (value, mask) => {
+    if (!mask) return null;
+    const shift = Math.log2(mask & -mask);
+    const max = mask >>> shift;
+    return Math.round(((value & mask) >>> shift) * 255 / max);
+  };
+
+  const out = new Uint8Array(width * height * 4);
+  for (let i = 0, src = 0; i < width * height; i++, src += masks.bytes) {
+    let value = 0;
+    for (let b = 0; b < masks.bytes; b++) value |= data[src + b] << (b * 8);
+    value >>>= 0;
+    const r = channel(value, masks.r) ?? 0;
+    out[i * 4] = r;
+    // Luminance formats only have a red mask
+    out[i * 4 + 1] = channel(value, masks.g) ?? r;
+    out[i * 4 + 2] = channel(value, masks.b) ?? r;
+    out[i * 4 + 3] = channel(value, masks.a) ?? 255;
+  }
+  return out;
+}
+
+/**
+ * The GPU format for a DDS block format, or null if the renderer cannot sample it.
+ * BC4/BC5 are always decoded: as RGTC they would sample as (r, 0, 0) and (x, y, 0), which
+ * breaks roughness/metalness maps (green/blue) and normal maps (z).
+ */
+function getGPUFormat(format, width, height) {
+  const extensions = textureRenderer?.extensions;
+  if (!extensions) return null;
+
+  // S3TC and BPTC uploads need whole blocks on the base level
+  const wholeBlocks = width % 4 === 0 && height % 4 === 0;
+  switch (format) {
+    case 'bc1':
+      return wholeBlocks && extensions.has('WEBGL_compressed_texture_s3tc') ? THREE.RGBA_S3TC_DXT1_Format : null;
+    case 'bc2':
+      return wholeBlocks && extensions.has('WEBGL_compressed_texture_s3tc') ? THREE.RGBA_S3TC_DXT3_Format : null;
+    case 'bc3':
+      return wholeBlocks && extensions.has('WEBGL_compressed_texture_s3tc') ? THREE.RGBA_S3TC_DXT5_Format : null;
+    case 'bc7':
+      return wholeBlocks && extensions.has('EXT_texture_compression_bptc') ? THREE.RGBA_BPTC_Format : null;
+    case 'bc6h':
+      return extensions.has('EXT_texture_compression_bptc') ? THREE.RGB_BPTC_UNSIGNED_Format ?? null : null;
+    case 'bc6h-signed':
+      return extensions.has('EXT_texture_compression_bptc') ? THREE.RGB_BPTC_SIGNED_Format ?? null : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Create a texture from parsed DDS data: compressed when the GPU supports the format,
+ * otherwise decoded to RGBA8 on the CPU
+ * @param {Object} dds - Result of parseDDS()
+ * @param {string} filename - For messages
+ * @returns {THREE.Texture}
+ */
+function createDDSTexture(dds, filename) {
+  const { width, height, format } = dds;
+  const glFormat = getGPUFormat(format, width, height);
+
+  if (glFormat) {
+    // An incomplete mip chain would leave the texture black
+    const fullChain = Math.floor(Math.log2(Math.max(width, height))) + 1;
+    const mipmaps = dds.mipmaps.length === fullChain ? dds.mipmaps : dds.mipmaps.slice(0, 1);
+    const texture = new THREE.CompressedTexture(mipmaps, width, height, glFormat);
+    texture.minFilter = mipmaps.length > 1 ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.generateMipmaps = false;
+    texture.needsUpdate = true;
+    return texture;
+  }
+
+  if (format.startsWith('bc6h')) {
+    throw new Error(`${filename}: BC6H needs GPU support (EXT_texture_compression_bptc)`);
+  }
+
+  const base = dds.mipmaps[0];
+  const pixels = format === 'rgba8' ? base.data : decodeBC(format, base.data, width, height);
+  if (format !== 'rgba8') {
+    Logger.log(`[textureDecoders] ${filename}: ${format.toUpperCase()} not supported by the GPU, decoded on the CPU`);
+  }
+
+  const texture = new THREE.DataTexture(pixels, width, height, THREE.RGBAFormat, THREE.UnsignedByteType);
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.generateMipmaps = true;
+  texture.userData.fixedOrientation = true;
+  texture.needsUpdate = true;
+  return texture;
+}
@@ -0,0 +1,294 @@
+/**
+ * Texture Naming Profiles
+ *
+ * Describe how texture pack files are named, so ZIP textures can be assigned to material
+ * slots automatically: "Rock_BaseColor.png" -> material "Rock", slot "map".
+ *
+ * A profile:
+ *   {
+ *     id: 'unreal',
+ *     label: 'Unreal',
+ *     pattern: '^(?<material>.+)-(?<type>[a-z]+)$', // optional regex on the name without extension;
+ *                                                   // without it, the longest known suffix wins
+ *     maps: {
+ *       d: 'map',                                   // suffix -> material slot
+ *       orm: { ao: 'r', roughness: 'g', metalness: 'b' },   // packed channels
+ *       gloss: { roughness: '1-r' }                 // 1- inverts the channel (smoothness/gloss)
+ *     }
+ *   }
+ *
+ * Packed maps are repacked by packChannels() into the layout three.js samples
+ * (aoMap: R, roughnessMap: G, metalnessMap: B).
+ */
+
+import * as THREE from 'three';
+import Logger from '../core/Logger.js';
+
+// Characters that separate the material name from the map suffix
+const SEPARATORS = '_-. ';
+
+const ORM = { ao: 'r', roughness: 'g', metalness: 'b' };
+
+// The suffixes parseTextureFilename() understood before profiles existed
+const GENERIC_MAPS = {
+  basecolor: 'map', basecolour: 'map', diffuse: 'map', albedo: 'map', color: 'map', base: 'map',
+  normal: 'normalMap', norm: 'normalMap',
+  roughness: 'roughnessMap', rough: 'roughnessMap',
+  metallic: 'metalnessMap', metal: 'metalnessMap', metalic: 'metalnessMap',
+  ao: 'aoMap', ambientocclusion: 'aoMap',
+  emissive: 'emissiveMap', emission: 'emissiveMap', emit: 'emissiveMap',
+  alpha: 'alphaMap', transparency: 'alphaMap',
+  bump: 'bumpMap', height: 'bumpMap',
+  displacement: 'displacementMap'
+};
+
+const UNREAL_MAPS = {
+  d: 'map', bc: 'map', basecolor: 'map', diffuse: 'map', albedo: 'map',
+  n: 'normalMap', normal: 'normalMap',
+  orm: ORM, arm: ORM,
+  mra: { metalness: 'r', roughness: 'g', ao: 'b' },
+  rma: { roughness: 'r', metalness: 'g', ao: 'b' },
+  r: 'roughnessMap', roughness: 'roughnessMap',
+  m: 'metalnessMap', metallic: 'metalnessMap',
+  ao: 'aoMap',
+  e: 'emissiveMap', emissive: 'emissiveMap',
+  h: 'bumpMap', height: 'bumpMap',
+  opacity: 'alphaMap', alpha: 'alphaMap',
+  s: 'specularMap', spec: 'specularMap', specular: 'specularMap'
+};
+
+const UNITY_HDRP_MAPS = {
+  basemap: 'map', basecolor: 'map', albedo: 'map', albedotransparency: 'map', maintex: 'map',
+  normal: 'normalMap', normalmap: 'normalMap', bumpmap: 'normalMap',
+  maskmap: { metalness: 'r', ao: 'g', roughness: '1-a' },
+  metallicsmoothness: { metalness: 'r', roughness: '1-a' },
+  metallic: { metalness: 'r', roughness: '1-a' },
+  occlusion: 'aoMap',
+  emission: 'emissiveMap', emissive: 'emissiveMap',
+  height: 'bumpMap', heightmap: 'bumpMap'
+};
+
+const SUBSTANCE_MAPS = {
+  basecolor: 'map', base_color: 'map', diffuse: 'map',
+  normal: 'normalMap', normal_opengl: 'normalMap', normal_directx: 'normalMap',
+  roughness: 'roughnessMap',
+  metallic: 'metalnessMap', metalness: 'metalnessMap',
+  mixed_ao: 'aoMap', ambient_occlusion: 'aoMap', ambientocclusion: 'aoMap', ao: 'aoMap',
+  occlusionroughnessmetallic: ORM,
+  glossiness: { roughness: '1-r' },
+  emissive: 'emissiveMap',
+  height: 'bumpMap',
+  opacity: 'alphaMap',
+  specular: 'specularMap', specularlevel: 'specularMap'
+};
+
+export const NAMING_PROFILES = [
+  { id: 'generic', label: 'Generic', maps: GENERIC_MAPS },
+  { id: 'unreal', label: 'Unreal', maps: UNREAL_MAPS },
+  { id: 'unity-hdrp', label: 'Unity HDRP', maps: UNITY_HDRP_MAPS },
+  { id: 'substance', label: 'Substance', maps: SUBSTANCE_MAPS }
+];
+
+// Tries the suffixes of every built-in profile; the first profile defining a suffix wins
+export const AUTO_PROFILE = {
+  id: 'auto',
+  label: 'Auto',
+  maps: NAMING_PROFILES.reduce((maps, profile) => ({ ...profile.maps, ...maps }), {})
+};
+
+/**
+ * Find a naming profile by id
+ * @param {string} id - Profile id ('auto', 'unreal', ..., or the id of a custom profile)
+ * @param {Object[]} [customProfiles] - User-defined profiles
+ * @returns {Object} The profile; the auto profile for unknown ids
+ */
+export function getNamingProfile(id, customProfiles = []) {
+  return [...customProfiles, ...NAMING_PROFILES].find(profile => profile.id === id) || AUTO_PROFILE;
+}
+
+// Suffixes per profile, longest first, so "normal_opengl" is tried before "opengl"
+const sortedSuffixes = new WeakMap();
+
+function getSuffixes(profile) {
+  if (!sortedSuffixes.has(profile)) {
+    sortedSuffixes.set(profile, Object.keys(profile.maps).sort((a, b) => b.length - a.length));
+  }
+  return sortedSuffixes.get(profile);
+}
+
+/**
+ * Split a texture file name into the material name and what the texture holds
+ * @param {string} filename - Texture file name or archive path
+ * @param {Object} [profile=AUTO_PROFILE] - Naming profile
+ * @returns {{material: string, slot?: string, channels?: Object}|null}
+ *   slot for plain maps, channels for packed maps; null if the name does not match the profile
+ */
+export function matchTextureName(filename, profile = AUTO_PROFILE) {
+  if (!filename) return null;
+
+  const base = filename.split(/[\\/]/).pop();
+  const dot = base.lastIndexOf('.');
+  const name = dot > 0 ? base.slice(0, dot) : base;
+  const lower = name.toLowerCase();
+
+  let material = null;
+  let type = null;
+
+  if (profile.pattern) {
+    let regex;
+    try {
+      regex = new RegExp(profile.pattern, 'i');
+    } catch (error) {
+      Logger.warn(`[textureNaming] Invalid pattern in profile ${profile.id}:`, error);
+      return null;
+    }
+    const groups = name.match(regex)?.groups;
+    if (!groups?.material || !groups?.type) return null;
+    material = groups.material;
+    type = groups.type.toLowerCase();
+  } else {
+    type = getSuffixes(profile).find(suffix =>
+      lower.length > suffix.length + 1 &&
+      lower.endsWith(suffix) &&
+      SEPARATORS.includes(lower[lower.length - suffix.length - 1]));
+    if (!type) return null;
+    material = name.slice(0, name.length - type.length - 1);
+  }
+
+  const target = profile.maps[type];
+  if (!target) return null;
+  return typeof target === 'string' ? { material, slot: target } : { material, channels: target };
+}
+
+/**
+ * Parse the text form of profile maps, one suffix per line:
+ *   D = map
+ *   ORM = ao:r roughness:g metalness:b
+ *   Gloss = roughness:1-r
+ * @param {string} text
+ * @returns {Object} Maps for a profile
+ */
+export function parseNamingMaps(text) {
+  const maps = {};
+  String(text || '').split('\n').forEach(line => {
+    const [suffix, value] = line.split('=').map(part => part?.trim());
+    if (!suffix || !value) return;
+    if (!value.includes(':')) {
+      maps[suffix.toLowerCase()] = value;
+      return;
+    }
+    const channels = {};
+    value.split(/[\s,]+/).forEach(pair => {
+      const [slot, channel] = pair.split(':');
+      if (['ao', 'roughness', 'metalness'].includes(slot) && /^(1-)?[rgba]$/i.test(channel || '')) {
+        channels[slot] = channel.toLowerCase();
+      }
+    });
+    if (Object.keys(channels).length) maps[suffix.toLowerCase()] = channels;
+  });
+  return maps;
+}
+
+/**
+ * Inverse of parseNamingMaps()
+ * @param {Object} maps
+ * @returns {string}
+ */
+export function formatNamingMaps(maps) {
+  return Object.entries(maps || {}).map(([suffix, target]) => typeof target === 'string'
+    ? `${suffix} = ${target}`
+    : `${suffix} = ${Object.entries(target).map(([slot, channel]) => `${slot}:${channel}`).join(' ')}`).join('\n');
+}
+
+const CHANNEL_INDEX = { r: 0, g: 1, b: 2, a: 3 };
+const SLOT_CHANNELS = [['ao', 'aoMap'], ['roughness', 'roughnessMap'], ['metalness', 'metalnessMap']];
+
+// Repacked textures per source texture and channel layout
+const packedCache = new WeakMap();
+
+/**
+ * Read the RGBA pixels of a texture image (image, canvas, bitmap or DataTexture data)
+ * @param {*} image - texture.image
+ * @returns {{data: Uint8ClampedArray|Uint8Array, width: number, height: number, stride: number}|null}
+ */
+function readPixels(image) {
+  if (!image?.width || !image?.height) return null;
+
+  if (image.data) {
+    return { data: image.data, width: image.width, height: image.height, stride: image.data.length / (image.width * image.height) };
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(image, 0, 0);
+  // The canvas stores premultiplied colors, so RGB under fully transparent pixels reads back as 0
+  return { data: context.getImageData(0, 0, image.width, image.height).data, width: image.width, height: image.height, stride: 4 };
+}
+
+/**
+ * Rearrange a packed texture into the ORM layout three.js samples
+ * (aoMap: R, roughnessMap: G, metalnessMap: B).
+ * @param {THREE.Texture} texture - Packed source texture (must have loaded)
+ * @param {Object} channels - Source channel per slot, e.g. { metalness: 'r', ao: 'g', roughness: '1-a' }
+ * @returns {{texture: THREE.Texture, slots: string[]}|null} The texture and the slots it serves
+ */
+export function packChannels(texture, channels) {
+  const slots = SLOT_CHANNELS.filter(([key]) => channels[key]).map(([, slot]) => slot);
+  if (!slots.length) return null;
+
+  // Already in the right place: use the texture as is
+  if (SLOT_CHANNELS.every(([key], i) => !channels[key] || channels[key] === 'rgb'[i])) {
+    return { texture, slots };
+  }
+
+  const key = SLOT_CHANNELS.map(([name]) => channels[name] || '-').join(',');
+  const cached = packedCache.get(texture)?.get(key);
+  if (cached) return { texture: cached, slots };
+
+  // Compressed data cannot be read back
+  const pixels = texture.isCompressedTexture ? null : readPixels(texture.image);
+  if (!pixels) {
+    Logger.warn(`[textureNaming] Cannot repack ${texture.name}: image not loaded or compressed`);
+    return null;
+  }
+
+  const { data, width, height, stride } = pixels;
+  const sources = SLOT_CHANNELS.map(([name]) => {
+    const spec = channels[name];
+    if (!spec) return null;
+    const invert = spec.startsWith('1-');
+    return { index: CHANNEL_INDEX[spec.slice(invert ? 2 : 0)], invert };
+  });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  const output = context.createImageData(width, height);
+  for (let i = 0, o = 0; o < output.data.length; i += stride, o += 4) {
+    for (let c = 0; c < 3; c++) {
+      const source = sources[c];
+      if (!source) {
+        output.data[o + c] = 255;
+        continue;
+      }
+      // Missing alpha in RGB sources reads as opaque
+      const value = source.index < stride ? data[i + source.index] : 255;
+      output.data[o + c] = source.invert ? 255 - value : value;
+    }
+    output.data[o + 3] = 255;
+  }
+  context.putImageData(output, 0, 0);
+
+  const packed = new THREE.CanvasTexture(canvas);
+  packed.name = `${texture.name} (ORM)`;
+  packed.flipY = texture.flipY;
+  packed.colorSpace = THREE.NoColorSpace;
+
+  if (!packedCache.has(texture)) packedCache.set(texture, new Map());
+  packedCache.get(texture).set(key, packed);
+  Logger.log(`[textureNaming] Repacked ${texture.name} (${key}) for ${slots.join(', ')}`);
+  return { texture: packed, slots };
+}
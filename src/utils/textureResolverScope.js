@@ -0,0 +1,55 @@
+/**
+ * Texture Resolver Scope
+ *
+ * Loaders such as ColladaLoader and TDSLoader create their own TextureLoader instances
+ * while parsing, so there is no loadTexture method to override as for FBX.
+ * This helper routes those loads through a texture resolver for the duration of a
+ * synchronous parse() call, limited to loaders bound to a given LoadingManager.
+ */
+
+import * as THREE from 'three';
+import Logger from '../core/Logger.js';
+import { tagTextureReference } from './zipTextures.js';
+
+const PATCHED_LOADERS = [THREE.TextureLoader, THREE.DataTextureLoader];
+
+/**
+ * Run a synchronous parse with texture loads resolved by textureResolver first.
+ * @param {THREE.LoadingManager} manager - Only loaders using this manager are affected
+ * @param {function(string):THREE.Texture|null} textureResolver - Resolver from AssetLoader.createTextureResolver()
+ * @param {function():*} parse - Synchronous parse callback
+ * @returns {*} The return value of parse
+ */
+export function withTextureResolver(manager, textureResolver, parse) {
+  if (!textureResolver) return parse();
+
+  const originals = PATCHED_LOADERS.map(LoaderClass => LoaderClass.prototype.load);
+
+  PATCHED_LOADERS.forEach((LoaderClass, i) => {
+    const originalLoad = originals[i];
+    LoaderClass.prototype.load = function (url, onLoad, onProgress, onError) {
+      if (this.manager === manager) {
+        try {
+          const resolved = textureResolver(url);
+          if (resolved && resolved.isTexture) {
+            Logger.log(`[textureResolverScope] Texture resolved from ZIP: ${url}`);
+            if (onLoad) setTimeout(() => onLoad(resolved), 0);
+            return resolved;
+          }
+        } catch (error) {
+          Logger.warn(`[textureResolverScope] Texture resolver failed for ${url}:`, error);
+        }
+      }
+      const texture = originalLoad.call(this, url, onLoad, onProgress, onError);
+      return this.manager === manager ? tagTextureReference(texture, url) : texture;
+    };
+  });
+
+  try {
+    return parse();
+  } finally {
+    PATCHED_LOADERS.forEach((LoaderClass, i) => {
+      LoaderClass.prototype.load = originals[i];
+    });
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * Texture Usage
+ *
+ * Data for the texture browser: which textures the loaded models and the ZIP texture map
+ * hold, their size, format, color space and memory, and which mesh / material slot uses
+ * each one. Previews are read back through the renderer, so compressed and float textures
+ * show up the same way as images.
+ */
+
+import * as THREE from 'three';
+import { estimateTextureBytes } from './lazyTextures.js';
+
+// Material slots offered as drop targets, in display order (only the ones a material has are shown)
+export const TEXTURE_SLOTS = [
+  'map', 'normalMap', 'roughnessMap', 'metalnessMap', 'aoMap', 'emissiveMap', 'alphaMap',
+  'bumpMap', 'displacementMap', 'specularMap', 'lightMap', 'clearcoatMap', 'clearcoatNormalMap',
+  'clearcoatRoughnessMap', 'transmissionMap', 'thicknessMap', 'sheenColorMap', 'sheenRoughnessMap',
+  'iridescenceMap', 'iridescenceThicknessMap', 'specularIntensityMap', 'specularColorMap'
+];
+
+// Slots that hold colors (sampled as sRGB); the others hold data
+export const COLOR_SLOTS = ['map', 'emissiveMap', 'specularColorMap', 'sheenColorMap'];
+
+// The UV layout overlay draws at most this many triangles
+const MAX_UV_TRIANGLES = 100000;
+
+// Compressed formats by constant name; constants missing from this three.js build are skipped
+const COMPRESSED_FORMAT_NAMES = [
+  ['RGB_S3TC_DXT1_Format', 'BC1'], ['RGBA_S3TC_DXT1_Format', 'BC1'],
+  ['RGBA_S3TC_DXT3_Format', 'BC2'], ['RGBA_S3TC_DXT5_Format', 'BC3'],
+  ['RED_RGTC1_Format', 'BC4'], ['RED_GREEN_RGTC2_Format', 'BC5'],
+  ['RGB_BPTC_UNSIGNED_Format', 'BC6H'], ['RGB_BPTC_SIGNED_Format', 'BC6H'], ['RGBA_BPTC_Format', 'BC7'],
+  ['RGB_ETC1_Format', 'ETC1'], ['RGB_ETC2_Format', 'ETC2'], ['RGBA_ETC2_EAC_Format', 'ETC2 EAC'],
+  ['RGBA_ASTC_4x4_Format', 'ASTC 4×4'], ['RGBA_ASTC_6x6_Format', 'ASTC 6×6'], ['RGBA_ASTC_8x8_Format', 'ASTC 8×8'],
+  ['RGB_PVRTC_4BPPV1_Format', 'PVRTC'], ['RGBA_PVRTC_4BPPV1_Format', 'PVRTC']
+];
+const compressedFormats = new Map(COMPRESSED_FORMAT_NAMES
+  .filter(([constant]) => THREE[constant] !== undefined)
+  .map(([constant, name]) => [THREE[constant], name]));
+
+/**
+ * Short format label: "RGBA8", "RGBA16F", "BC7", ...
+ * @param {THREE.Texture} texture
+ * @returns {string}
+ */
+export function describeTextureFormat(texture) {
+  if (texture.isCompressedTexture) {
+    return compressedFormats.get(texture.format) || 'Compressed';
+  }
+  const channels = {
+    [THREE.RGBAFormat]: 'RGBA', [THREE.RedFormat]: 'R', [THREE.RGFormat]: 'RG', [THREE.AlphaFormat]: 'A'
+  }[texture.format] || 'RGBA';
+  const bits = {
+    [THREE.UnsignedByteType]: '8', [THREE.HalfFloatType]: '16F', [THREE.FloatType]: '32F'
+  }[texture.type] || '';
+  return `${channels}${bits}`;
+}
+
+/**
+ * @param {THREE.Texture} texture
+ * @returns {string} 'sRGB', 'Linear' or '—' (non-color data)
+ */
+export function describeColorSpace(texture) {
+  if (texture.colorSpace === THREE.SRGBColorSpace) return 'sRGB';
+  if (texture.colorSpace === THREE.LinearSRGBColorSpace) return 'Linear';
+  return '—';
+}
+
+/**
+ * Size, format and memory of a texture
+ * @param {THREE.Texture} texture
+ * @returns {{id: string, name: string, width: number, height: number, format: string, colorSpace: string, bytes: number, loaded: boolean}}
+ */
+export function describeTexture(texture) {
+  const image = Array.isArray(texture.image) ? texture.image[0] : texture.image;
+  const loaded = Boolean(image?.width || texture.mipmaps?.length);
+  return {
+    id: texture.uuid,
+    name: texture.name || texture.userData?.sourcePath || texture.uuid,
+    width: image?.width || 0,
+    height: image?.height || 0,
+    format: loaded ? describeTextureFormat(texture) : '',
+    colorSpace: describeColorSpace(texture),
+    bytes: loaded ? estimateTextureBytes(texture) : 0,
+    loaded
+  };
+}
+
+/**
+ * Every texture the models use or the texture map holds, with its users
+ * @param {THREE.Object3D[]} models - Loaded model roots
+ * @param {Map<string, THREE.Texture>} [textureMap] - ZIP textures (each texture is listed once)
+ * @returns {Array<{texture: THREE.Texture, inArchive: boolean, usages: Array<{object: THREE.Object3D, material: THREE.Material, slot: string}>}>}
+ *   Sorted by name, with the fields of describeTexture()
+ */
+export function collectTextures(models, textureMap = null) {
+  const entries = new Map();
+  const entryFor = (texture) => {
+    if (!entries.has(texture)) entries.set(texture, { texture, inArchive: false, usages: [] });
+    return entries.get(texture);
+  };
+
+  (models || []).forEach(model => model.traverse(object => {
+    if (!object.material) return;
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.filter(Boolean).forEach(material => {
+      Object.entries(material).forEach(([slot, value]) => {
+        // Copies of ZIP textures (own wrap / repeat, see copyTexture()) are listed with the archive texture
+        if (value?.isTexture) entryFor(textureMap?.getPlaceholder?.(value) || value).usages.push({ object, material, slot });
+      });
+    });
+  }));
+
+  new Set(textureMap?.values() || []).forEach(texture => { entryFor(texture).inArchive = true; });
+
+  return Array.from(entries.values())
+    .map(entry => ({ ...entry, ...describeTexture(entry.texture) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+let previewScene = null;
+
+function getPreviewScene() {
+  if (!previewScene) {
+    const material = new THREE.ShaderMaterial({
+      uniforms: { map: { value: null }, srgb: { value: false } },
+      vertexShader: 'varying vec2 vUv; void main() { vUv = uv; gl_Position = vec4(position.xy, 0.0, 1.0); }',
+      // Raw texels: sRGB textures are decoded on sampling, so encode them back
+      fragmentShader: `
+        uniform sampler2D map;
+        uniform bool srgb;
+        varying vec2 vUv;
+        void main() {
+          vec4 color = texture2D(map, vUv);
+          if (srgb) color.rgb = mix(color.rgb * 12.92, pow(color.rgb, vec3(1.0 / 2.4)) * 1.055 - 0.055, step(0.0031308, color.rgb));
+          gl_FragColor = color;
+        }`,
+      depthTest: false,
+      depthWrite: false
+    });
+    const scene = new THREE.Scene();
+    scene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material));
+    previewScene = { scene, camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1), material };
+  }
+  return previewScene;
+}
+
+/**
+ * Read the texels of a 2D texture (any format the GPU can sample) scaled to fit maxSize
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Texture} texture
+ * @param {number} [maxSize=512] - Longest side of the result
+ * @returns {{data: Uint8Array, width: number, height: number}|null} RGBA rows from v = 0 up; null for cube / 3D textures or undecoded ones
+ */
+export function readTexturePixels(renderer, texture, maxSize = 512) {
+  if (!renderer || texture.isCubeTexture || texture.isData3DTexture || texture.isDataArrayTexture) return null;
+  const { width: sourceWidth, height: sourceHeight, loaded } = describeTexture(texture);
+  if (!loaded || !sourceWidth || !sourceHeight) return null;
+
+  const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+  const width = Math.max(1, Math.round(sourceWidth * scale));
+  const height = Math.max(1, Math.round(sourceHeight * scale));
+
+  const { scene, camera, material } = getPreviewScene();
+  material.uniforms.map.value = texture;
+  material.uniforms.srgb.value = texture.colorSpace === THREE.SRGBColorSpace;
+
+  const target = new THREE.WebGLRenderTarget(width, height);
+  const previousTarget = renderer.getRenderTarget();
+  const data = new Uint8Array(width * height * 4);
+  try {
+    renderer.setRenderTarget(target);
+    renderer.render(scene, camera);
+    renderer.readRenderTargetPixels(target, 0, 0, width, height, data);
+  } finally {
+    renderer.setRenderTarget(previousTarget);
+    material.uniforms.map.value = null;
+    target.dispose();
+  }
+  return { data, width, height };
+}
+
+/**
+ * Draw texels read by readTexturePixels(), upright like the image file
+ * @param {HTMLCanvasElement} canvas - Resized to the pixels
+ * @param {{data: Uint8Array, width: number, height: number}} pixels
+ * @param {Object} [options]
+ * @param {string} [options.channel='rgb'] - 'rgb' (opaque), 'rgba' (keeps the alpha), or 'r' / 'g' / 'b' / 'a' shown as grayscale
+ * @param {boolean} [options.flipY=true] - texture.flipY: whether the image top is at v = 1
+ */
+export function drawTexturePreview(canvas, pixels, { channel = 'rgb', flipY = true } = {}) {
+  const { data, width, height } = pixels;
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  const output = context.createImageData(width, height);
+  const single = { r: 0, g: 1, b: 2, a: 3 }[channel];
+
+  for (let y = 0; y < height; y++) {
+    const sourceRow = flipY ? height - 1 - y : y;
+    for (let x = 0; x < width; x++) {
+      const i = (sourceRow * width + x) * 4;
+      const o = (y * width + x) * 4;
+      if (single === undefined) {
+        output.data[o] = data[i];
+        output.data[o + 1] = data[i + 1];
+        output.data[o + 2] = data[i + 2];
+      } else {
+        output.data[o] = output.data[o + 1] = output.data[o + 2] = data[i + single];
+      }
+      output.data[o + 3] = channel === 'rgba' ? data[i + 3] : 255;
+    }
+  }
+  context.putImageData(output, 0, 0);
+}
+
+/**
+ * Draw the UV layout of meshes over a preview canvas, with the texture's own transform
+ * @param {HTMLCanvasElement} canvas - Same size as the preview
+ * @param {THREE.Object3D[]} objects - Meshes that use the texture
+ * @param {THREE.Texture} texture
+ */
+export function drawUVLayout(canvas, objects, texture) {
+  const context = canvas.getContext('2d');
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.strokeStyle = 'rgba(255, 196, 0, 0.85)';
+  context.lineWidth = 1;
+
+  texture.updateMatrix();
+  const uv = new THREE.Vector2();
+  const attribute = texture.channel ? `uv${texture.channel}` : 'uv';
+  const toCanvas = (index, uvs) => {
+    uv.fromBufferAttribute(uvs, index).applyMatrix3(texture.matrix);
+    return [uv.x * canvas.width, (texture.flipY ? 1 - uv.y : uv.y) * canvas.height];
+  };
+
+  let triangles = 0;
+  context.beginPath();
+  for (const object of new Set(objects)) {
+    const geometry = object.geometry;
+    const uvs = geometry?.attributes?.[attribute];
+    if (!uvs) continue;
+    const index = geometry.index;
+    const count = index ? index.count : uvs.count;
+    for (let i = 0; i + 2 < count && triangles < MAX_UV_TRIANGLES; i += 3, triangles++) {
+      const corners = [0, 1, 2].map(k => toCanvas(index ? index.getX(i + k) : i + k, uvs));
+      context.moveTo(corners[0][0], corners[0][1]);
+      context.lineTo(corners[1][0], corners[1][1]);
+      context.lineTo(corners[2][0], corners[2][1]);
+      context.closePath();
+    }
+  }
+  context.stroke();
+}
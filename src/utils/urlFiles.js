@@ -0,0 +1,147 @@
+/**
+ * URL File Utilities
+ *
+ * Fetch remote assets as File objects so they go through the same loaders as
+ * dropped files, and resolve the resources they reference relative to their URL.
+ */
+
+import Logger from '../core/Logger.js';
+import { stripBlobBase } from './siblingFiles.js';
+
+// Extensions for responses whose name carries none (e.g. /download?id=42)
+const CONTENT_TYPE_EXTENSIONS = {
+  'model/gltf-binary': 'glb',
+  'model/gltf+json': 'gltf',
+  'model/obj': 'obj',
+  'model/stl': 'stl',
+  'model/3mf': '3mf',
+  'model/vnd.collada+xml': 'dae',
+  'model/vnd.usdz+zip': 'usdz',
+  'application/zip': 'zip',
+  'application/x-zip-compressed': 'zip'
+};
+
+// Path part of an object URL (blob:<origin>/<uuid>): the model file itself, not a reference
+const OBJECT_URL_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check whether a URL (with its blob base stripped) is an object URL rather than a relative reference
+ * @param {string} path - URL or path after stripBlobBase()
+ * @returns {boolean}
+ */
+export function isObjectURLPath(path) {
+  return /^blob:/i.test(path) || OBJECT_URL_ID_PATTERN.test(path);
+}
+
+/**
+ * Read the file name from a Content-Disposition header.
+ * Prefers the RFC 5987 `filename*=UTF-8''...` form over plain `filename=`.
+ * @param {string|null} header - Content-Disposition header value
+ * @returns {string|null} The file name or null if none is given
+ */
+export function getFileNameFromContentDisposition(header) {
+  if (!header) return null;
+
+  const extended = header.match(/filename\*\s*=\s*[\w-]*'[^']*'([^;]+)/i);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1].trim().replace(/^"|"$/g, ''));
+    } catch (e) {
+      // Fall back to the plain filename parameter
+    }
+  }
+
+  const plain = header.match(/filename\s*=\s*(?:"([^"]*)"|([^;]+))/i);
+  const name = plain ? (plain[1] ?? plain[2]).trim() : '';
+  return name || null;
+}
+
+/**
+ * Derive a file name for a fetched resource: Content-Disposition first, then the URL path.
+ * Names without an extension get one from the Content-Type when it is known.
+ * @param {Response} response - The fetch response
+ * @param {string} url - The requested URL
+ * @returns {string}
+ */
+export function getFileNameFromResponse(response, url) {
+  let name = getFileNameFromContentDisposition(response.headers.get('Content-Disposition'));
+
+  if (!name) {
+    try {
+      const path = new URL(response.url || url, window.location.href).pathname;
+      name = decodeURIComponent(path.split('/').pop() || '');
+    } catch (e) {
+      name = '';
+    }
+  }
+  name = name.split(/[\\/]/).pop() || 'download';
+
+  if (!/\.[a-z0-9]+$/i.test(name)) {
+    const contentType = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    const extension = CONTENT_TYPE_EXTENSIONS[contentType];
+    if (extension) name += `.${extension}`;
+  }
+  return name;
+}
+
+/**
+ * Fetch a URL into a File, reporting download progress when the size is known.
+ * @param {string} url - Absolute or page-relative URL
+ * @param {function(number):void} [onProgress] - Progress callback (0-1)
+ * @param {AbortSignal} [signal] - Aborts the request and the body download
+ * @returns {Promise<{file: File, url: string}>} The file and the final (post-redirect) URL
+ */
+export async function fetchFileFromURL(url, onProgress, signal) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url}: ${response.status} ${response.statusText}`);
+  }
+
+  const name = getFileNameFromResponse(response, url);
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  let blob;
+
+  if (total && response.body && onProgress) {
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      loaded += value.length;
+      onProgress(Math.min(loaded / total, 1));
+    }
+    blob = new Blob(chunks);
+  } else {
+    blob = await response.blob();
+    onProgress?.(1);
+  }
+
+  Logger.log(`[urlFiles] Fetched ${url} as ${name} (${blob.size} bytes)`);
+  return {
+    file: new File([blob], name, { type: blob.type || response.headers.get('Content-Type') || '' }),
+    url: response.url || new URL(url, window.location.href).href
+  };
+}
+
+/**
+ * Create a URL modifier that resolves resources referenced by a fetched model
+ * (.bin buffers, textures, MTL maps) relative to the model's URL.
+ * @param {string} baseURL - URL the model was fetched from
+ * @returns {function(string):string}
+ */
+export function createBaseURLModifier(baseURL) {
+  return (url) => {
+    if (!url || /^data:/i.test(url)) return url;
+
+    const relative = stripBlobBase(url);
+    if (isObjectURLPath(relative)) return url;
+
+    try {
+      return new URL(relative.replace(/\\/g, '/'), baseURL).href;
+    } catch (e) {
+      return url;
+    }
+  };
+}
@@ -6,8 +6,10 @@
  */
 
 import Logger from '../core/Logger.js';
+import { DECODED_TEXTURE_EXTENSIONS, decodeTextureBlob, isDecodedTextureFile } from './textureDecoders.js';
+import { LazyTextureMap } from './lazyTextures.js';
 // Supported texture file extensions
-const TEXTURE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp', '.tga'];
+const TEXTURE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.bmp', '.tga', ...DECODED_TEXTURE_EXTENSIONS];
 
 // Check if TGA loader is available (global, THREE namespace, or tga-js)
 const hasTGALoader = typeof TGALoader !== 'undefined' ||
@@ -27,12 +29,17 @@ export function isTextureFile(filename) {
 
 /**
  * Load a texture from a Blob object
+ * DDS, KTX2 and EXR files go through textureDecoders.js
  * @param {Blob} blob - The blob containing texture data
  * @param {string} filename - The filename for the texture
  * @param {Object} threeModule - The THREE module to use for texture loading
  * @returns {Promise<THREE.Texture>} A promise that resolves to the loaded texture
  */
 export function loadTextureFromBlob(blob, filename, threeModule) {
+  if (isDecodedTextureFile(filename)) {
+    return decodeTextureBlob(blob, filename);
+  }
+
   return new Promise((resolve, reject) => {
     try {
       const url = URL.createObjectURL(blob);
@@ -200,13 +207,115 @@ export function getBasename(path) {
   return path.split('/').pop().split('\\').pop();
 }
 
+/**
+ * Find a texture by file name (case-insensitive), ignoring directories
+ * @param {string} name - File name or path
+ * @param {Map<string, THREE.Texture>} textureMap - The map of available textures
+ * @returns {THREE.Texture|null}
+ */
+function findTextureByBasename(name, textureMap) {
+  const basename = getBasename(name).toLowerCase();
+  if (textureMap.has(basename)) {
+    return textureMap.get(basename);
+  }
+  for (const [key, texture] of textureMap) {
+    if (getBasename(key).toLowerCase() === basename) {
+      return texture;
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn a wildcard pattern into a case-insensitive RegExp; every * captures
+ * @param {string} pattern - e.g. "*_D.tga"
+ * @returns {RegExp}
+ */
+function wildcardToRegExp(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('(.*)');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Rewrite a texture reference with the first matching remap rule.
+ * Rules match the file name only; the captures of * in `from` fill the * in `to` in order.
+ * @param {string} path - Texture path as referenced by the model
+ * @param {Array<{from: string, to: string}>} rules - e.g. { from: '*_D.tga', to: '*_BaseColor.png' }
+ * @returns {string|null} The rewritten file name, or null if no rule matches
+ */
+export function remapTexturePath(path, rules) {
+  if (!path || !rules?.length) return null;
+
+  const basename = getBasename(path);
+  for (const rule of rules) {
+    if (!rule?.from || !rule?.to) continue;
+    const match = basename.match(wildcardToRegExp(rule.from));
+    if (match) {
+      const captures = match.slice(1);
+      return rule.to.replace(/\*/g, () => captures.shift() ?? '');
+    }
+  }
+  return null;
+}
+
+/**
+ * Derive a remap rule from one reference and the texture picked for it.
+ * The common start of both file names, cut back to a separator, becomes *:
+ * "Wood_D.tga" + "textures/Wood_BaseColor.png" -> { from: '*_D.tga', to: '*_BaseColor.png' }.
+ * Names without a common start give an exact rule.
+ * @param {string} reference - Texture path as referenced by the model
+ * @param {string} target - Path of the chosen texture
+ * @returns {{from: string, to: string}}
+ */
+export function deriveRemapRule(reference, target) {
+  const from = getBasename(reference);
+  const to = getBasename(target);
+
+  let common = 0;
+  while (common < from.length && common < to.length && from[common].toLowerCase() === to[common].toLowerCase()) {
+    common++;
+  }
+  // Keep the separator in the rule, so "*_D" does not also match "WoodD"
+  while (common > 0 && !/[_\-. ]/.test(from[common])) {
+    common--;
+  }
+
+  if (common === 0 || common >= from.length || common >= to.length) {
+    return { from, to };
+  }
+  return { from: `*${from.slice(common)}`, to: `*${to.slice(common)}` };
+}
+
+/**
+ * Remember which path a loader requested for a texture, so a reference that failed
+ * to load can be remapped later (see Materials.findUnresolvedTextures)
+ * @param {THREE.Texture} texture - Texture created by the loader
+ * @param {string} path - Texture path as referenced by the model
+ * @returns {THREE.Texture} The same texture
+ */
+export function tagTextureReference(texture, path) {
+  if (texture?.isTexture && path && !texture.userData.sourcePath) {
+    texture.userData.sourcePath = path;
+  }
+  return texture;
+}
+
+/**
+ * @param {THREE.Texture} texture
+ * @returns {string} The path recorded by tagTextureReference(), or ''
+ */
+export function getTextureReference(texture) {
+  return texture?.userData?.sourcePath || '';
+}
+
 /**
  * Match a texture path against a texture map with different strategies
  * @param {string} path - The texture path to match
  * @param {Map<string, THREE.Texture>} textureMap - The map of available textures
+ * @param {Array<{from: string, to: string}>} [rules] - Remap rules tried before the partial match
  * @returns {THREE.Texture|null} The matched texture or null if not found
  */
-export function matchTexturePath(path, textureMap) {
+export function matchTexturePath(path, textureMap, rules = null) {
   if (!path || !textureMap) return null;
   
   const pathLower = path.toLowerCase();
@@ -218,13 +327,22 @@ export function matchTexturePath(path, textureMap) {
   
   // 2. Try basename match (case-insensitive)
   const basename = getBasename(path).toLowerCase();
-  for (const [key, texture] of textureMap) {
-    if (getBasename(key).toLowerCase() === basename) {
+  const byBasename = findTextureByBasename(path, textureMap);
+  if (byBasename) {
+    return byBasename;
+  }
+
+  // 3. Try user remap rules ("*_D.tga" -> "*_BaseColor.png")
+  const remapped = remapTexturePath(path, rules);
+  if (remapped) {
+    const texture = findTextureByBasename(remapped, textureMap);
+    if (texture) {
+      Logger.log(`[zipTextures] Remapped ${path} -> ${remapped}`);
       return texture;
     }
   }
   
-  // 3. Try partial match (path ends with texture name)
+  // 4. Try partial match (path ends with texture name)
   for (const [key, texture] of textureMap) {
     const keyLower = key.toLowerCase();
     if (keyLower.includes(basename) || basename.includes(keyLower)) {
@@ -236,11 +354,113 @@ export function matchTexturePath(path, textureMap) {
 }
 
 /**
- * Load textures from a ZIP file using the zip.js library for streaming.
+ * Store a texture in a texture map under the normalized keys used by matchTexturePath()
+ * @param {Map<string, THREE.Texture>} textureMap - The map to fill
+ * @param {string} filename - The texture path inside the archive
+ * @param {THREE.Texture} texture - The texture (a placeholder of a LazyTextureMap)
+ */
+function addTextureToMap(textureMap, filename, texture) {
+  const filenameLower = filename.toLowerCase();
+  textureMap.set(filenameLower, texture);
+
+  const basename = getBasename(filename);
+  const dot = basename.lastIndexOf('.');
+  const basenameNoExt = dot > 0 ? basename.substring(0, dot) : basename;
+  const ext = filenameLower.substring(filenameLower.lastIndexOf('.')) || '';
+
+  textureMap.set(basenameNoExt.toLowerCase(), texture);
+  textureMap.set((basenameNoExt + ext).toLowerCase(), texture);
+}
+
+/**
+ * Extract files from a ZIP archive as File objects, keyed by their path inside the archive.
+ * @param {File} zipFile - The ZIP file to extract.
+ * @param {function(string):boolean} [filter] - Optional predicate on the entry path.
+ * @param {function(number):void} [onProgress] - Callback for progress updates (0-1).
+ * @returns {Promise<Map<string, File>>} A promise that resolves to a map of archive paths to files.
+ */
+export async function extractFilesFromZIP(zipFile, filter, onProgress) {
+    if (!zipFile) {
+        throw new Error('ZIP file is required');
+    }
+    if (typeof zip === 'undefined' || typeof zip.BlobReader === 'undefined') {
+        throw new Error('zip.js library is not loaded. Please include it in your HTML.');
+    }
+
+    const files = new Map();
+    const zipReader = new zip.ZipReader(new zip.BlobReader(zipFile));
+
+    try {
+        const entries = await zipReader.getEntries();
+        const fileEntries = entries.filter(entry => !entry.directory && (!filter || filter(entry.filename)));
+
+        Logger.log(`[zipTextures] Extracting ${fileEntries.length} files from ZIP`);
+        if (onProgress) onProgress(0);
+
+        const totalSize = fileEntries.reduce((acc, entry) => acc + entry.uncompressedSize, 0);
+        let processedSize = 0;
+
+        for (const entry of fileEntries) {
+            const blob = await entry.getData(new zip.BlobWriter());
+            files.set(entry.filename, new File([blob], getBasename(entry.filename)));
+
+            processedSize += entry.uncompressedSize;
+            if (onProgress && totalSize > 0) {
+                onProgress(processedSize / totalSize);
+            }
+        }
+
+        return files;
+    } finally {
+        await zipReader.close();
+    }
+}
+
+/**
+ * Create an empty lazy texture map that decodes entries with loadTextureFromBlob()
+ * @param {Object} threeModule - The THREE module to use for texture loading
+ * @returns {LazyTextureMap}
+ */
+function createLazyTextureMap(threeModule) {
+    return new LazyTextureMap(async (blob, filename) => {
+        const texture = await loadTextureFromBlob(blob, filename, threeModule);
+        // The image is decoded, the blob URL is no longer needed
+        const url = texture.image?.src;
+        if (url?.startsWith('blob:')) {
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+        return texture;
+    });
+}
+
+/**
+ * Index textures from already extracted files (e.g. the result of extractFilesFromZIP).
+ * Non-texture files are skipped. Textures are decoded on demand, see LazyTextureMap.load().
+ * @param {Map<string, File>} files - Map of archive paths to files.
+ * @param {Object} threeModule - The THREE module to use for texture loading.
+ * @param {function(number):void} [onProgress] - Callback for progress updates (0-1).
+ * @returns {Promise<LazyTextureMap>} A promise that resolves to a map of texture paths to textures.
+ */
+export async function loadTexturesFromFiles(files, threeModule, onProgress) {
+    const textureMap = createLazyTextureMap(threeModule);
+    const textureEntries = Array.from(files).filter(([path]) => isTextureFile(path));
+
+    for (const [path, file] of textureEntries) {
+        addTextureToMap(textureMap, path, textureMap.addSource(path, async () => file));
+    }
+    if (onProgress) onProgress(1);
+
+    Logger.log(`[zipTextures] Indexed ${textureEntries.length} textures from extracted files`);
+    return textureMap;
+}
+
+/**
+ * Index the textures of a ZIP file using the zip.js library. Entries are read and decoded
+ * on demand (see LazyTextureMap.load()); the archive stays open until the map is disposed.
  * @param {File} zipFile - The ZIP file to load textures from.
  * @param {Object} threeModule - The THREE module to use for texture loading.
  * @param {function(number):void} [onProgress] - Callback for progress updates (0-1).
- * @returns {Promise<Map<string, THREE.Texture>>} A promise that resolves to a map of texture paths to textures.
+ * @returns {Promise<LazyTextureMap>} A promise that resolves to a map of texture paths to textures.
  */
 export async function loadTexturesFromZIP(zipFile, threeModule, onProgress) {
     if (!zipFile || !threeModule) {
@@ -250,74 +470,26 @@ export async function loadTexturesFromZIP(zipFile, threeModule, onProgress) {
         throw new Error('zip.js library is not loaded. Please include it in your HTML.');
     }
 
-    const textureMap = new Map();
-    const objectUrls = [];
-    
+    const zipReader = new zip.ZipReader(new zip.BlobReader(zipFile));
+
     try {
-        // Use a BlobReader to read the zipFile streamingly
-        const zipReader = new zip.ZipReader(new zip.BlobReader(zipFile));
-        
-        // Get all entries from the zip file
+        // Reading the central directory is cheap: no entry data is decompressed here
         const entries = await zipReader.getEntries();
         const textureEntries = entries.filter(entry => !entry.directory && isTextureFile(entry.filename));
-        
         Logger.log(`[zipTextures] Found ${textureEntries.length} texture entries in ZIP`);
-        if (onProgress) onProgress(0);
-
-        // Calculate total size for accurate progress tracking
-        const totalSize = textureEntries.reduce((acc, entry) => acc + entry.uncompressedSize, 0);
-        let processedSize = 0;
 
+        const textureMap = createLazyTextureMap(threeModule);
         for (const entry of textureEntries) {
-            const filename = entry.filename;
-            try {
-                // Extract the file data as a Blob
-                const blob = await entry.getData(new zip.BlobWriter());
-                
-                // Load the texture from the blob
-                const texture = await loadTextureFromBlob(blob, filename, threeModule);
-                objectUrls.push(texture.image.src); // Store the URL for later cleanup
-
-                // Store in map with normalized keys for better matching
-                const filenameLower = filename.toLowerCase();
-                textureMap.set(filenameLower, texture);
-
-                const basename = getBasename(filename);
-                const dot = basename.lastIndexOf('.');
-                const basenameNoExt = dot > 0 ? basename.substring(0, dot) : basename;
-                const ext = filenameLower.substring(filenameLower.lastIndexOf('.')) || '';
-
-                textureMap.set(basenameNoExt.toLowerCase(), texture);
-                textureMap.set((basenameNoExt + ext).toLowerCase(), texture);
-
-                Logger.log(`[zipTextures] Loaded texture: ${filename} (basename: ${basename})`);
-            } catch (error) {
-                Logger.warn(`[zipTextures] Failed to load texture ${filename}:`, error);
-            } finally {
-                // Update progress based on the size of the processed file
-                processedSize += entry.uncompressedSize;
-                if (onProgress && totalSize > 0) {
-                    onProgress(processedSize / totalSize);
-                }
-            }
+            const texture = textureMap.addSource(entry.filename, () => entry.getData(new zip.BlobWriter()));
+            addTextureToMap(textureMap, entry.filename, texture);
         }
+        textureMap.onDispose = () => zipReader.close();
+        if (onProgress) onProgress(1);
 
-        // Close the zip reader
-        await zipReader.close();
-
-        // Clean up object URLs after a short delay to ensure textures are rendered
-        setTimeout(() => {
-            objectUrls.forEach(url => URL.revokeObjectURL(url));
-            Logger.log(`[zipTextures] Revoked ${objectUrls.length} object URLs.`);
-        }, 1000);
-
-        Logger.log(`[zipTextures] Loaded ${textureMap.size} textures from ZIP`);
         return textureMap;
-
     } catch (error) {
         Logger.error('[zipTextures] Failed to process ZIP file:', error);
-        // Clean up any URLs created before the error
-        objectUrls.forEach(url => URL.revokeObjectURL(url));
+        await zipReader.close();
         throw error;
     }
 }
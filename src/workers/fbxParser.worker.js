@@ -0,0 +1,183 @@
+/**
+ * FBX parser worker
+ *
+ * Runs FBXLoader.parse() off the main thread and posts the result back in a form
+ * the main thread can rebuild cheaply (see src/loaders/FBXWorkerParser.js):
+ *   - object:     Object3D.toJSON() of the scene graph, with geometry stubs and without animations
+ *   - geometries: attribute / index / morph arrays, transferred instead of copied
+ *   - clips:      animation tracks with transferred times / values
+ *   - blobs:      embedded textures, keyed by texture uuid
+ *
+ * Workers have no import map and no DOM, so three.js comes from jsDelivr's ESM build
+ * and texture loads are recorded instead of executed; the main thread loads them.
+ *
+ * Message in:  { id, buffer: ArrayBuffer, fileName }
+ * Message out: { id, payload } or { id, error }
+ */
+
+import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.152.2/+esm';
+import { FBXLoader } from 'https://cdn.jsdelivr.net/npm/three@0.152.2/examples/jsm/loaders/FBXLoader.js/+esm';
+import Logger from '../core/Logger.js';
+import { captureLoaderWarnings } from '../utils/loaderWarnings.js';
+import { readFBXUnitScaleFactor } from '../utils/fbxUnits.js';
+
+// FBXTreeParser creates object URLs for embedded textures through window.URL
+self.window = self;
+
+/**
+ * Stand-in for TextureLoader / TGALoader: returns an empty texture that remembers its URL
+ * @param {string} url - URL the parser asked for (file name, blob: or data: URL)
+ * @param {string} [sourceType] - Loader the main thread should use ('tga')
+ * @returns {THREE.Texture}
+ */
+function recordTexture(url, sourceType) {
+  const texture = new THREE.Texture();
+  texture.userData.sourceURL = url;
+  if (sourceType) texture.userData.sourceType = sourceType;
+  return texture;
+}
+
+THREE.TextureLoader.prototype.load = function (url) {
+  return recordTexture(url);
+};
+
+const tgaRecorder = {
+  path: '',
+  setPath(path) { this.path = path || ''; return this; },
+  setCrossOrigin() { return this; },
+  load(url) { return recordTexture(url, 'tga'); }
+};
+
+const manager = new THREE.LoadingManager();
+manager.addHandler(/\.tga$/i, tgaRecorder);
+
+/**
+ * Collect geometry arrays for transfer
+ * @param {THREE.BufferGeometry} geometry
+ * @param {Set<ArrayBuffer>} transfer - Buffers to transfer
+ */
+function serializeGeometry(geometry, transfer) {
+  const serializeAttribute = (attribute) => {
+    transfer.add(attribute.array.buffer);
+    return { array: attribute.array, itemSize: attribute.itemSize, normalized: attribute.normalized };
+  };
+
+  const attributes = {};
+  Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+    attributes[name] = serializeAttribute(attribute);
+  });
+
+  const morphAttributes = {};
+  Object.entries(geometry.morphAttributes).forEach(([name, list]) => {
+    morphAttributes[name] = list.map(attribute => ({ ...serializeAttribute(attribute), name: attribute.name }));
+  });
+
+  return {
+    uuid: geometry.uuid,
+    name: geometry.name,
+    attributes,
+    morphAttributes,
+    morphTargetsRelative: geometry.morphTargetsRelative,
+    index: geometry.index ? serializeAttribute(geometry.index) : null,
+    groups: geometry.groups,
+    userData: geometry.userData
+  };
+}
+
+/**
+ * Collect animation tracks for transfer
+ * @param {THREE.AnimationClip} clip
+ * @param {Set<ArrayBuffer>} transfer - Buffers to transfer
+ */
+function serializeClip(clip, transfer) {
+  return {
+    uuid: clip.uuid,
+    name: clip.name,
+    duration: clip.duration,
+    blendMode: clip.blendMode,
+    tracks: clip.tracks.map(track => {
+      transfer.add(track.times.buffer);
+      transfer.add(track.values.buffer);
+      return {
+        type: track.ValueTypeName,
+        name: track.name,
+        times: track.times,
+        values: track.values,
+        interpolation: track.getInterpolation()
+      };
+    })
+  };
+}
+
+/**
+ * Serialize the parsed scene for postMessage
+ * @param {THREE.Group} root - FBXLoader result
+ * @returns {Promise<{payload: Object, transfer: ArrayBuffer[]}>}
+ */
+async function serializeScene(root) {
+  const transfer = new Set();
+  const geometries = new Map();
+  const clips = new Map();
+  const animationOwners = {};
+
+  root.traverse(object => {
+    if (object.geometry && !geometries.has(object.geometry.uuid)) {
+      geometries.set(object.geometry.uuid, serializeGeometry(object.geometry, transfer));
+      // toJSON() would copy every array into JSON; the main thread gets the transferred data instead
+      object.geometry.toJSON = function () { return { uuid: this.uuid, type: 'BufferGeometry' }; };
+    }
+    if (object.animations?.length) {
+      animationOwners[object.uuid] = object.animations.map(clip => {
+        if (!clips.has(clip.uuid)) clips.set(clip.uuid, serializeClip(clip, transfer));
+        return clip.uuid;
+      });
+      object.animations = [];
+    }
+  });
+
+  const object = root.toJSON();
+
+  // Embedded textures were turned into object URLs inside this worker; send their data instead
+  const blobs = {};
+  for (const texture of object.textures || []) {
+    const url = texture.userData?.sourceURL;
+    if (url?.startsWith('blob:')) {
+      blobs[texture.uuid] = await (await fetch(url)).blob();
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  return {
+    payload: {
+      object,
+      geometries: Array.from(geometries.values()),
+      clips: Array.from(clips.values()),
+      animationOwners,
+      blobs
+    },
+    transfer: Array.from(transfer)
+  };
+}
+
+self.onmessage = async (event) => {
+  const { id, buffer, fileName } = event.data;
+  try {
+    const start = performance.now();
+    const stopCapture = captureLoaderWarnings('THREE.FBXLoader:');
+    let root;
+    try {
+      root = new FBXLoader(manager).parse(buffer, '');
+      // Declared unit scale, for FBXMetadataExtractor on the main thread
+      root.userData.unitScaleFactor = readFBXUnitScaleFactor(buffer);
+    } finally {
+      // Skipped features travel to the main thread in userData, like USDZ load warnings
+      const warnings = stopCapture();
+      if (root && warnings.length) root.userData.loadWarnings = warnings;
+    }
+    const { payload, transfer } = await serializeScene(root);
+    self.postMessage({ id, payload }, transfer);
+    Logger.log(`[fbxParser.worker] Parsed ${fileName} in ${(performance.now() - start).toFixed(2)}ms`);
+  } catch (error) {
+    self.postMessage({ id, error: error?.message || String(error) });
+  }
+};